@@ -2,40 +2,97 @@
 (function() {
     'use strict';
 
+    // shared calculation engine (engine/hydration-engine.js)
+    const { Calculator } = HydrationEngine;
+
     // configuration constants
     const CONFIG = {
+        ...HydrationEngine.CONFIG,
+        
         // Storage keys
         STORAGE_KEY: 'hydration_data',
+        QUARANTINE_KEY: 'hydration_data_quarantine',
+        
+        // Storage schema
+        SCHEMA_VERSION: 3,
+        MAX_QUARANTINE_ITEMS: 5,
+        
+        // Profiles
+        DEFAULT_PROFILE_ID: 'default',
+        DEFAULT_PROFILE_NAME: 'Me',
+        MAX_PROFILE_NAME_LENGTH: 40,
+        
+        // Drink reminders: check interval (ms) and defaults; pace reminders
+        // use the engine's CONFIG.PACE margin
+        REMINDER_CHECK_INTERVAL: 60000,
+        DEFAULT_REMINDER_INTERVAL: 60,
+        DEFAULT_REMINDER_COUNT: 8,
+        
+        // How often the pace indicator and intake chart follow the clock (ms)
+        PACE_REFRESH_INTERVAL: 60000,
+        
+        // Intake chart: SVG size and padding (px), pace line sample step
+        // and hour tick spacing (min)
+        CHART: {
+            WIDTH: 600,
+            HEIGHT: 220,
+            PADDING: { top: 16, right: 16, bottom: 28, left: 56 },
+            SAMPLE_MINUTES: 15,
+            TICK_MINUTES: 180
+        },
         
-        // Calculation constants
-        BASE_WATER_PER_KG: 35,
-        EXERCISE_WATER_PER_HOUR: 500,
+        // Quick-add containers: the ones every profile starts with (named by
+        // size, following the selected drink), the icons a container can
+        // show, and limits for user-defined ones
+        DEFAULT_CONTAINERS: [
+            { id: 'glass', size: 'glass', amount: 250 },
+            { id: 'bottle', size: 'bottle', amount: 500 },
+            { id: 'large-bottle', size: 'largeBottle', amount: 750 }
+        ],
+        CONTAINER_ICONS: {
+            glass: '🥛',
+            mug: '☕',
+            teacup: '🍵',
+            cup: '🥤',
+            bottle: '🍶',
+            carton: '🧃',
+            can: '🥫'
+        },
+        MAX_CONTAINERS: 12,
+        MAX_CONTAINER_NAME_LENGTH: 30,
+        
+        // Largest single drink accepted (ml)
+        MAX_INTAKE_AMOUNT: 5000,
+
+        // Longest workout that can be logged (min)
+        MAX_WORKOUT_MINUTES: 600,
         
-        // Safety limits
-        MIN_WATER: 1500,
-        MAX_WATER: 10000,
-        DANGER_WATER: 5000,
+        // Backup files
+        BACKUP_APP_ID: 'hydration-plus',
+        BACKUP_VERSION: 1,
         
-        // Electrolyte limits (mg/day)
-        SODIUM: { min: 1500, max: 2300, danger: 5000 },
-        POTASSIUM: { min: 2600, max: 3400, danger: 6000 },
-        MAGNESIUM: { male: 420, female: 320, danger: 700 },
-        CALCIUM: { young: 1000, senior: 1200, danger: 2500 },
+        // Language used when neither the saved nor the browser language has a catalog
+        DEFAULT_LANGUAGE: 'en',
         
         // Toast settings
         TOAST_DURATION: 4000,
+        UNDO_DURATION: 8000,
+        
+        // Longest date range a period report covers (days)
+        MAX_REPORT_DAYS: 366,
+        
+        // How long overhydration alerts stay up, by level
+        SAFETY_ALERT_DURATION: { caution: 6000, warning: 10000, danger: 15000 },
         MAX_TOASTS: 3,
         
         // Debounce delay
-        DEBOUNCE_DELAY: 300,
-        
-        // Weight conversion
-        KG_TO_LBS: 2.20462,
-        LBS_TO_KG: 0.453592
+        DEBOUNCE_DELAY: 300
     };
 
     // utility functions
     const Utils = {
+        ...HydrationEngine.Utils,
+
         // debounce function to limit execution rate
         debounce(func, wait) {
             let timeout;
@@ -56,39 +113,95 @@
             return div.innerHTML;
         },
 
-        // format number with commas
-        formatNumber(num) {
-            return Math.round(num).toLocaleString();
-        },
-
         // get current timestamp in ISO format
         getTimestamp() {
             return new Date().toISOString();
         },
 
-        // get current date string (YYYY-MM-DD)
-        getDateString() {
-            const now = new Date();
-            return now.toISOString().split('T')[0];
+        // format a whole number for the current language
+        formatNumber(num) {
+            return HydrationEngine.Utils.formatNumber(num, I18n.getLocale());
         },
 
-        // get current time string (HH:MM)
-        getTimeString() {
-            const now = new Date();
-            return now.toLocaleTimeString('en-US', { 
-                hour: '2-digit', 
-                minute: '2-digit',
-                hour12: false
-            });
+        // format a number with up to the given decimals for the current language
+        formatDecimal(num, digits) {
+            return Number(num).toLocaleString(I18n.getLocale(), { maximumFractionDigits: digits });
+        },
+
+        // format ml as a number in a volume unit for the current language
+        formatVolumeValue(ml, unit) {
+            return HydrationEngine.Utils.formatVolumeValue(ml, unit, I18n.getLocale());
+        },
+
+        // format ml in a volume unit with its translated label
+        formatVolume(ml, unit) {
+            const key = CONFIG.VOLUME_UNITS[unit] ? unit : CONFIG.DEFAULT_VOLUME_UNIT;
+            return I18n.t(`volumeUnits.${key}`, { amount: this.formatVolumeValue(ml, key) });
+        },
+
+        // get the local tracking day (YYYY-MM-DD) of a moment, honoring the day start hour
+        getDateString(date = new Date()) {
+            return HydrationEngine.Utils.getDateString(date, StorageManager.getPreferences().dayStartHour);
+        },
+
+        // get the moment the next tracking day starts
+        getNextDayStart(date = new Date()) {
+            return HydrationEngine.Utils.getNextDayStart(date, StorageManager.getPreferences().dayStartHour);
+        },
+
+        // parse a YYYY-MM-DD string as a local date
+        parseDateString(dateString) {
+            const [year, month, day] = dateString.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        },
+
+        // format a YYYY-MM-DD string for display
+        formatDate(dateString, options = { weekday: 'short', month: 'short', day: 'numeric' }) {
+            return this.parseDateString(dateString).toLocaleDateString(I18n.getLocale(), options);
         },
 
-        // validate number within range
-        validateNumber(value, min, max) {
-            const num = parseFloat(value);
-            if (isNaN(num)) return { valid: false, error: 'Please enter a valid number' };
-            if (num < min) return { valid: false, error: `Minimum value is ${min}` };
-            if (num > max) return { valid: false, error: `Maximum value is ${max}` };
-            return { valid: true, value: num };
+        // format an ISO timestamp as a time of day for display
+        formatTime(timestamp) {
+            return new Date(timestamp).toLocaleTimeString(I18n.getLocale(), { hour: 'numeric', minute: '2-digit' });
+        },
+
+        // format an ISO timestamp as date and time for display
+        formatDateTime(timestamp) {
+            return new Date(timestamp).toLocaleString(I18n.getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+        },
+
+        // get a local time string (HH:MM), as stored with each entry
+        getTimeString(date = new Date()) {
+            const pad = value => String(value).padStart(2, '0');
+            return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        },
+
+        // get the moment an HH:MM time falls on within a tracking day
+        getTrackingTime(dateString, time) {
+            return HydrationEngine.Utils.getTrackingTime(dateString, time, StorageManager.getPreferences().dayStartHour);
+        },
+
+        // convert °C to °F
+        celsiusToFahrenheit(celsius) {
+            return celsius * 9 / 5 + 32;
+        },
+
+        // convert °F to °C
+        fahrenheitToCelsius(fahrenheit) {
+            return (fahrenheit - 32) * 5 / 9;
+        },
+
+        // trigger a file download from in-memory content
+        downloadFile(content, fileName, mimeType) {
+            const blob = new Blob([content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 0);
         },
 
         // check if localStorage is available
@@ -104,40 +217,389 @@
         }
     };
 
+    // storage schema: versions, migrations and validation
+    const StorageSchema = {
+        // ordered migrations; each upgrades the blob to `version`
+        migrations: [
+            {
+                version: 2,
+                description: 'Wrap single-profile data into a default profile',
+                migrate(data) {
+                    const profile = StorageManager.createProfileData(CONFIG.DEFAULT_PROFILE_ID, CONFIG.DEFAULT_PROFILE_NAME);
+                    profile.userProfile = data.userProfile || {};
+                    profile.dailyGoals = data.dailyGoals || {};
+                    profile.tracking = data.tracking || {};
+                    return {
+                        activeProfileId: profile.id,
+                        profiles: { [profile.id]: profile }
+                    };
+                }
+            },
+            {
+                version: 3,
+                description: 'Store altitude as meters instead of a bucket name',
+                migrate(data) {
+                    Object.values(data.profiles || {}).forEach(profile => {
+                        const userProfile = profile && profile.userProfile;
+                        if (userProfile && typeof userProfile.altitude === 'string') {
+                            userProfile.altitude = Calculator.getAltitudeMeters(userProfile);
+                        }
+                    });
+                    return data;
+                }
+            }
+        ],
+
+        // work out the version of a stored blob (unversioned blobs predate profiles or schema versions)
+        detectVersion(data) {
+            if (typeof data.schemaVersion === 'number') {
+                return data.schemaVersion;
+            }
+            return data.profiles ? 2 : 1;
+        },
+
+        // run every migration newer than the blob's version
+        migrate(data) {
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('stored data is not an object');
+            }
+
+            const version = this.detectVersion(data);
+            if (version > CONFIG.SCHEMA_VERSION) {
+                throw new Error(`stored data has schema version ${version}, newer than supported version ${CONFIG.SCHEMA_VERSION}`);
+            }
+
+            let migrated = data;
+            this.migrations
+                .filter(migration => migration.version > version)
+                .forEach(migration => {
+                    migrated = migration.migrate(migrated);
+                    migrated.schemaVersion = migration.version;
+                });
+
+            migrated.schemaVersion = CONFIG.SCHEMA_VERSION;
+            return { data: migrated, migrated: version !== CONFIG.SCHEMA_VERSION || data.schemaVersion === undefined };
+        },
+
+        // check the structure of a current-version blob, repairing what can be repaired
+        validate(store) {
+            const issues = [];
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+            if (!isObject(store.profiles) || Object.keys(store.profiles).length === 0) {
+                return { valid: false, error: 'no profiles found', issues: issues };
+            }
+
+            Object.keys(store.profiles).forEach(id => {
+                const profile = store.profiles[id];
+
+                if (!isObject(profile)) {
+                    issues.push(`profile "${id}" is not an object`);
+                    delete store.profiles[id];
+                    return;
+                }
+
+                profile.id = id;
+                if (typeof profile.name !== 'string' || !profile.name.trim()) {
+                    issues.push(`profile "${id}" has no name`);
+                    profile.name = CONFIG.DEFAULT_PROFILE_NAME;
+                }
+
+                ['userProfile', 'dailyGoals', 'tracking'].forEach(key => {
+                    if (!isObject(profile[key])) {
+                        if (profile[key] !== undefined) {
+                            issues.push(`${key} of "${profile.name}" is malformed`);
+                        }
+                        profile[key] = {};
+                    }
+                });
+
+                ['reminders', 'schedule'].forEach(key => {
+                    if (profile[key] !== undefined && !isObject(profile[key])) {
+                        issues.push(`${key} of "${profile.name}" are malformed`);
+                        delete profile[key];
+                    }
+                });
+
+                if (profile.sweatTests !== undefined) {
+                    if (!Array.isArray(profile.sweatTests)) {
+                        issues.push(`sweat tests of "${profile.name}" are malformed`);
+                        profile.sweatTests = [];
+                    } else {
+                        const validTests = profile.sweatTests.filter(sweatTest => this.isValidSweatTest(sweatTest));
+                        if (validTests.length !== profile.sweatTests.length) {
+                            issues.push(`${profile.sweatTests.length - validTests.length} malformed sweat tests of "${profile.name}"`);
+                            profile.sweatTests = validTests;
+                        }
+                    }
+                }
+
+                if (profile.containers !== undefined) {
+                    if (!Array.isArray(profile.containers)) {
+                        issues.push(`containers of "${profile.name}" are malformed`);
+                        delete profile.containers;
+                    } else {
+                        const validContainers = profile.containers.filter(container => this.isValidContainer(container));
+                        if (validContainers.length !== profile.containers.length) {
+                            issues.push(`${profile.containers.length - validContainers.length} malformed containers of "${profile.name}"`);
+                            profile.containers = validContainers;
+                        }
+                    }
+                }
+
+                Object.keys(profile.tracking).forEach(date => {
+                    const day = profile.tracking[date];
+
+                    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !isObject(day)) {
+                        issues.push(`tracking day "${date}" of "${profile.name}" is malformed`);
+                        delete profile.tracking[date];
+                        return;
+                    }
+
+                    ['waterIntake', 'electrolyteIntake', 'safetyEvents', 'workouts'].forEach(listKey => {
+                        if (day[listKey] === undefined) return;
+
+                        if (!Array.isArray(day[listKey])) {
+                            issues.push(`${listKey} on ${date} of "${profile.name}" is malformed`);
+                            day[listKey] = [];
+                            return;
+                        }
+
+                        const validEntries = day[listKey].filter(entry => this.isValidEntry(entry, listKey));
+                        if (validEntries.length !== day[listKey].length) {
+                            issues.push(`${day[listKey].length - validEntries.length} malformed ${listKey} entries on ${date} of "${profile.name}"`);
+                            day[listKey] = validEntries;
+                        }
+                    });
+                });
+            });
+
+            if (store.preferences !== undefined) {
+                if (!isObject(store.preferences)) {
+                    issues.push('preferences are malformed');
+                    delete store.preferences;
+                } else {
+                    if (store.preferences.volumeUnit !== undefined && !CONFIG.VOLUME_UNITS[store.preferences.volumeUnit]) {
+                        issues.push(`volume unit "${store.preferences.volumeUnit}" is unknown`);
+                        delete store.preferences.volumeUnit;
+                    }
+                    const dayStartHour = store.preferences.dayStartHour;
+                    if (dayStartHour !== undefined && !(Number.isInteger(dayStartHour) && dayStartHour >= 0 && dayStartHour <= 23)) {
+                        issues.push('day start hour is malformed');
+                        delete store.preferences.dayStartHour;
+                    }
+                    if (store.preferences.language !== undefined && typeof store.preferences.language !== 'string') {
+                        issues.push('language preference is malformed');
+                        delete store.preferences.language;
+                    }
+                }
+            }
+
+            const profileIds = Object.keys(store.profiles);
+            if (profileIds.length === 0) {
+                return { valid: false, error: 'no readable profiles found', issues: issues };
+            }
+
+            if (!store.profiles[store.activeProfileId]) {
+                if (store.activeProfileId !== undefined) {
+                    issues.push('active profile is missing');
+                }
+                store.activeProfileId = profileIds[0];
+            }
+
+            return { valid: true, store: store, issues: issues };
+        },
+
+        // check a single tracking entry
+        isValidEntry(entry, listKey) {
+            if (entry === null || typeof entry !== 'object' || typeof entry.timestamp !== 'string' ||
+                isNaN(new Date(entry.timestamp).getTime())) {
+                return false;
+            }
+
+            if (listKey === 'waterIntake') {
+                return typeof entry.amount === 'number' && isFinite(entry.amount) && entry.amount > 0;
+            }
+
+            if (listKey === 'workouts') {
+                return typeof entry.duration === 'number' && isFinite(entry.duration) && entry.duration > 0;
+            }
+
+            if (listKey === 'safetyEvents') {
+                return typeof entry.id === 'string' && ['caution', 'warning', 'danger'].includes(entry.level) &&
+                    typeof entry.amount === 'number' && isFinite(entry.amount);
+            }
+
+            return CONFIG.ELECTROLYTE_KEYS.every(key =>
+                entry[key] === undefined || (typeof entry[key] === 'number' && isFinite(entry[key]) && entry[key] >= 0)
+            );
+        },
+
+        // check a single sweat test
+        isValidSweatTest(sweatTest) {
+            const isPositive = value => typeof value === 'number' && isFinite(value) && value > 0;
+            const isAmount = value => value === undefined || (typeof value === 'number' && isFinite(value) && value >= 0);
+
+            return sweatTest !== null && typeof sweatTest === 'object' &&
+                isPositive(sweatTest.preWeight) && isPositive(sweatTest.postWeight) && isPositive(sweatTest.duration) &&
+                isAmount(sweatTest.fluidIntake) && isAmount(sweatTest.urineOutput) &&
+                typeof sweatTest.timestamp === 'string' && !isNaN(new Date(sweatTest.timestamp).getTime());
+        },
+
+        // check a single quick-add container
+        isValidContainer(container) {
+            const isOptionalKey = (value, options) => value === undefined || value === '' || Boolean(options[value]);
+            const hasName = typeof container?.name === 'string' && container.name.trim() !== '';
+            const hasSize = CONFIG.DEFAULT_CONTAINERS.some(preset => preset.size === container?.size);
+
+            return container !== null && typeof container === 'object' && typeof container.id === 'string' &&
+                (hasName || hasSize) &&
+                typeof container.amount === 'number' && isFinite(container.amount) &&
+                container.amount > 0 && container.amount <= CONFIG.MAX_INTAKE_AMOUNT &&
+                isOptionalKey(container.beverage, CONFIG.BEVERAGES) && isOptionalKey(container.icon, CONFIG.CONTAINER_ICONS);
+        },
+
+        // migrate then validate parsed data
+        load(data) {
+            let migration;
+            try {
+                migration = this.migrate(data);
+            } catch (error) {
+                return { valid: false, error: error.message, issues: [] };
+            }
+
+            const result = this.validate(migration.data);
+            return { ...result, migrated: migration.migrated };
+        }
+    };
+
     // localStorage manager
     const StorageManager = {
-        // get data from localStorage
-        getData() {
+        recoveryNotice: null,
+        cachedStore: null,
+
+        // get the whole stored blob (all profiles); the validated blob is kept in
+        // memory and callers get a copy they are free to change
+        getStore() {
+            if (this.cachedStore) {
+                return JSON.parse(JSON.stringify(this.cachedStore));
+            }
+
+            const store = this.readStore();
+            this.cachedStore = store;
+            return JSON.parse(JSON.stringify(store));
+        },
+
+        // drop the in-memory blob so the next read goes back to localStorage
+        clearCache() {
+            this.cachedStore = null;
+        },
+
+        // read, migrate and validate the stored blob
+        readStore() {
             if (!Utils.isLocalStorageAvailable()) {
                 console.warn('localStorage not available');
-                return this.getDefaultData();
+                return this.getDefaultStore();
             }
 
+            let raw;
             try {
-                const data = localStorage.getItem(CONFIG.STORAGE_KEY);
-                return data ? JSON.parse(data) : this.getDefaultData();
+                raw = localStorage.getItem(CONFIG.STORAGE_KEY);
             } catch (error) {
                 console.error('Error reading from localStorage:', error);
-                return this.getDefaultData();
+                return this.getDefaultStore();
+            }
+
+            if (!raw) {
+                return this.getDefaultStore();
+            }
+
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch (error) {
+                return this.recoverStore(raw, 'stored data is not valid JSON', null);
+            }
+
+            const result = StorageSchema.load(parsed);
+            if (!result.valid) {
+                return this.recoverStore(raw, result.error, null);
+            }
+
+            if (result.issues.length > 0) {
+                return this.recoverStore(raw, result.issues.join('; '), result.store);
+            }
+
+            if (result.migrated) {
+                this.saveStore(result.store);
             }
+
+            return result.store;
         },
 
-        // save data to localStorage
-        saveData(data) {
+        // quarantine unreadable data, then continue with what could be repaired
+        recoverStore(raw, reason, repairedStore) {
+            console.error('Stored data failed validation:', reason);
+            this.quarantine(raw, reason);
+
+            const store = repairedStore || this.getDefaultStore();
+            this.saveStore(store);
+
+            // a message key, shown once the language is known
+            this.recoveryNotice = repairedStore ? 'storage.partlyRecovered' : 'storage.unreadable';
+            return store;
+        },
+
+        // keep a copy of raw data that failed validation
+        quarantine(raw, reason) {
+            try {
+                const quarantined = this.getQuarantine();
+                quarantined.push({
+                    quarantinedAt: Utils.getTimestamp(),
+                    reason: reason,
+                    raw: raw
+                });
+                localStorage.setItem(
+                    CONFIG.QUARANTINE_KEY,
+                    JSON.stringify(quarantined.slice(-CONFIG.MAX_QUARANTINE_ITEMS))
+                );
+            } catch (error) {
+                console.error('Failed to quarantine data:', error);
+            }
+        },
+
+        // get quarantined data records
+        getQuarantine() {
+            try {
+                const quarantined = JSON.parse(localStorage.getItem(CONFIG.QUARANTINE_KEY));
+                return Array.isArray(quarantined) ? quarantined : [];
+            } catch (error) {
+                return [];
+            }
+        },
+
+        // delete quarantined data records
+        clearQuarantine() {
+            localStorage.removeItem(CONFIG.QUARANTINE_KEY);
+        },
+
+        // save the whole stored blob
+        saveStore(store) {
+            this.clearCache();
             if (!Utils.isLocalStorageAvailable()) {
                 console.warn('localStorage not available - data not persisted');
                 return false;
             }
 
             try {
-                localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(data));
+                localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(store));
                 return true;
             } catch (error) {
                 if (error.name === 'QuotaExceededError') {
-                    ToastManager.show('Storage limit reached. Clearing old data...', 'warning');
-                    this.clearOldData();
+                    ToastManager.show(I18n.t('storage.full'), 'warning');
+                    this.pruneOldTracking(store);
                     try {
-                        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(data));
+                        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(store));
                         return true;
                     } catch (e) {
                         console.error('Failed to save even after cleanup:', e);
@@ -149,6 +611,46 @@
             }
         },
 
+        // get default blob with a single default profile
+        getDefaultStore() {
+            const profile = this.createProfileData(CONFIG.DEFAULT_PROFILE_ID, CONFIG.DEFAULT_PROFILE_NAME);
+            return {
+                schemaVersion: CONFIG.SCHEMA_VERSION,
+                activeProfileId: profile.id,
+                profiles: { [profile.id]: profile }
+            };
+        },
+
+        // build an empty profile record
+        createProfileData(id, name) {
+            return {
+                id: id,
+                name: name,
+                createdAt: Utils.getTimestamp(),
+                ...this.getDefaultData()
+            };
+        },
+
+        // get the active profile's data
+        getData() {
+            const store = this.getStore();
+            return store.profiles[store.activeProfileId] ||
+                this.createProfileData(store.activeProfileId, CONFIG.DEFAULT_PROFILE_NAME);
+        },
+
+        // save the active profile's data
+        saveData(data) {
+            const store = this.getStore();
+            const current = store.profiles[store.activeProfileId] || {};
+            store.profiles[store.activeProfileId] = {
+                ...data,
+                id: store.activeProfileId,
+                name: current.name || CONFIG.DEFAULT_PROFILE_NAME,
+                createdAt: current.createdAt || Utils.getTimestamp()
+            };
+            return this.saveStore(store);
+        },
+
         // get default data structure
         getDefaultData() {
             return {
@@ -160,22 +662,78 @@
 
         // clear old tracking data (>30 days)
         clearOldData() {
-            const data = this.getData();
+            const store = this.getStore();
+            this.pruneOldTracking(store);
+            this.saveStore(store);
+        },
+
+        // drop tracking days older than 30 days from every profile
+        pruneOldTracking(store) {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - 30);
-            const cutoffString = cutoffDate.toISOString().split('T')[0];
+            const cutoffString = Utils.getDateString(cutoffDate);
 
-            const tracking = data.tracking || {};
-            const newTracking = {};
-            
-            for (const date in tracking) {
-                if (date >= cutoffString) {
-                    newTracking[date] = tracking[date];
+            Object.values(store.profiles).forEach(profile => {
+                const tracking = profile.tracking || {};
+                const newTracking = {};
+
+                for (const date in tracking) {
+                    if (date >= cutoffString) {
+                        newTracking[date] = tracking[date];
+                    }
                 }
+
+                profile.tracking = newTracking;
+            });
+        },
+
+        // list profiles as { id, name } sorted by name
+        getProfiles() {
+            const store = this.getStore();
+            return Object.values(store.profiles)
+                .map(profile => ({ id: profile.id, name: profile.name }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        // get the active profile id
+        getActiveProfileId() {
+            return this.getStore().activeProfileId;
+        },
+
+        // create a profile and make it active
+        createProfile(name) {
+            const store = this.getStore();
+            const id = `profile-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            store.profiles[id] = this.createProfileData(id, name);
+            store.activeProfileId = id;
+            return this.saveStore(store) ? id : null;
+        },
+
+        // rename a profile
+        renameProfile(id, name) {
+            const store = this.getStore();
+            if (!store.profiles[id]) return false;
+            store.profiles[id].name = name;
+            return this.saveStore(store);
+        },
+
+        // delete a profile, switching to another one if it was active
+        deleteProfile(id) {
+            const store = this.getStore();
+            if (!store.profiles[id] || Object.keys(store.profiles).length <= 1) return false;
+            delete store.profiles[id];
+            if (store.activeProfileId === id) {
+                store.activeProfileId = Object.keys(store.profiles)[0];
             }
+            return this.saveStore(store);
+        },
 
-            data.tracking = newTracking;
-            this.saveData(data);
+        // switch the active profile
+        switchProfile(id) {
+            const store = this.getStore();
+            if (!store.profiles[id]) return false;
+            store.activeProfileId = id;
+            return this.saveStore(store);
         },
 
         // save user profile
@@ -195,21 +753,114 @@
             return this.saveData(data);
         },
 
+        // get the active profile's sweat tests
+        getSweatTests() {
+            const data = this.getData();
+            return data.sweatTests || [];
+        },
+
+        // save the active profile's sweat tests
+        saveSweatTests(sweatTests) {
+            const data = this.getData();
+            data.sweatTests = sweatTests;
+            return this.saveData(data);
+        },
+
+        // get the active profile's reminder settings
+        getReminderSettings() {
+            const data = this.getData();
+            return data.reminders || {};
+        },
+
+        // save the active profile's reminder settings
+        saveReminderSettings(settings) {
+            const data = this.getData();
+            data.reminders = settings;
+            return this.saveData(data);
+        },
+
+        // get the active profile's quick-add containers
+        getContainers() {
+            const data = this.getData();
+            return JSON.parse(JSON.stringify(data.containers || CONFIG.DEFAULT_CONTAINERS));
+        },
+
+        // save the active profile's quick-add containers
+        saveContainers(containers) {
+            const data = this.getData();
+            data.containers = containers;
+            return this.saveData(data);
+        },
+
+        // get the active profile's waking window
+        getSchedule() {
+            const data = this.getData();
+            return { ...CONFIG.DEFAULT_SCHEDULE, ...data.schedule };
+        },
+
+        // save the active profile's waking window
+        saveSchedule(schedule) {
+            const data = this.getData();
+            data.schedule = schedule;
+            return this.saveData(data);
+        },
+
+        // get app-wide preferences (shared by all profiles)
+        getPreferences() {
+            const store = this.getStore();
+            return { volumeUnit: CONFIG.DEFAULT_VOLUME_UNIT, dayStartHour: CONFIG.DEFAULT_DAY_START_HOUR, ...store.preferences };
+        },
+
+        // save app-wide preferences
+        savePreferences(changes) {
+            const store = this.getStore();
+            store.preferences = { ...store.preferences, ...changes };
+            return this.saveStore(store);
+        },
+
         // get today's tracking data
         getTodayTracking() {
-            const data = this.getData();
-            const today = Utils.getDateString();
-            return data.tracking[today] || { waterIntake: [] };
+            return this.getDayTracking(Utils.getDateString());
         },
 
         // save today's tracking data
         saveTodayTracking(trackingData) {
+            return this.saveDayTracking(Utils.getDateString(), trackingData);
+        },
+
+        // get the tracking data of one day (YYYY-MM-DD)
+        getDayTracking(date) {
             const data = this.getData();
-            const today = Utils.getDateString();
-            data.tracking[today] = trackingData;
+            return data.tracking[date] || { waterIntake: [] };
+        },
+
+        // save the tracking data of one day, keeping entries in time order
+        saveDayTracking(date, trackingData) {
+            const data = this.getData();
+            // remember the goal that applied on this day for the history view;
+            // past days keep theirs when entries are backfilled or edited
+            const currentGoal = data.dailyGoals?.water;
+            trackingData.goal = date === Utils.getDateString()
+                ? currentGoal || trackingData.goal || 0
+                : trackingData.goal || currentGoal || 0;
+            ['waterIntake', 'electrolyteIntake', 'safetyEvents'].forEach(key => {
+                if (Array.isArray(trackingData[key])) {
+                    trackingData[key].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+                }
+            });
+            data.tracking[date] = trackingData;
             return this.saveData(data);
         },
 
+        // get all stored tracking days (newest first)
+        getTrackingHistory() {
+            const data = this.getData();
+            const tracking = data.tracking || {};
+            return Object.keys(tracking)
+                .sort((a, b) => b.localeCompare(a))
+                .map(date => ({ date: date, ...tracking[date] }));
+        },
+
         // reset today's tracking
         resetTodayTracking() {
             const data = this.getData();
@@ -219,9 +870,117 @@
         }
     };
 
-    // toast notification manager
-    const ToastManager = {
-        container: null,
+    // translated messages (locales/*.js) and the current language
+    const I18n = {
+        catalogs: window.HydrationLocales || {},
+        language: CONFIG.DEFAULT_LANGUAGE,
+
+        // pick the saved language, else the browser's, and translate the page
+        init() {
+            const saved = StorageManager.getPreferences().language;
+            const browser = (navigator.language || '').split('-')[0];
+            this.language = [saved, browser].find(language => this.catalogs[language]) || CONFIG.DEFAULT_LANGUAGE;
+
+            const select = document.getElementById('language');
+            select.innerHTML = Object.keys(this.catalogs).map(language => `
+                <option value="${language}">${Utils.sanitize(this.catalogs[language].meta.name)}</option>
+            `).join('');
+            select.value = this.language;
+            select.addEventListener('change', () => {
+                this.setLanguage(select.value);
+            });
+
+            this.applyDocument();
+        },
+
+        // switch language and re-render everything on screen
+        setLanguage(language) {
+            if (!this.catalogs[language]) return;
+
+            this.language = language;
+            StorageManager.savePreferences({ language: language });
+            this.applyDocument();
+            UIManager.refreshDisplay();
+        },
+
+        // find a message in one catalog by its dotted key
+        lookup(language, key) {
+            const messages = this.catalogs[language] ? this.catalogs[language].messages : undefined;
+            const message = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+            return typeof message === 'string' ? message : undefined;
+        },
+
+        // translate a key, falling back to English, then to the fallback text, then to the key
+        t(key, params = {}, fallback) {
+            const message = this.lookup(this.language, key) ?? this.lookup(CONFIG.DEFAULT_LANGUAGE, key);
+            if (message === undefined) {
+                return fallback !== undefined ? fallback : key;
+            }
+            return Utils.fillTemplate(message, params);
+        },
+
+        // BCP 47 locale for number and date formatting
+        getLocale() {
+            const catalog = this.catalogs[this.language];
+            return catalog ? catalog.meta.locale : 'en-US';
+        },
+
+        // PDF reports only use jsPDF's built-in fonts, so some scripts fall back to English
+        getReportLanguage() {
+            const catalog = this.catalogs[this.language];
+            return catalog && catalog.meta.pdf ? this.language : CONFIG.DEFAULT_LANGUAGE;
+        },
+
+        // run fn with another language active
+        withLanguage(language, fn) {
+            const current = this.language;
+            this.language = language;
+            try {
+                return fn();
+            } finally {
+                this.language = current;
+            }
+        },
+
+        // translate an engine recommendation, keeping its English text as the fallback
+        formatRecommendation(rec) {
+            const params = { ...rec.params };
+            if (params.source) {
+                params.sourceLabel = this.t(`sweatSodiumSource.${params.source}`, {}, params.sourceLabel);
+            }
+            if (params.rateSource) {
+                params.rateSource = this.t(`common.${params.rateSource}`);
+            }
+            return this.t(`recommendations.${rec.id}`, params, rec.text);
+        },
+
+        // translate the static page from its data-i18n attributes
+        applyDocument() {
+            const catalog = this.catalogs[this.language];
+            if (!catalog) return;
+
+            document.documentElement.lang = this.language;
+            document.documentElement.dir = catalog.meta.dir || 'ltr';
+            document.title = this.t('app.title');
+
+            document.querySelectorAll('[data-i18n]').forEach(element => {
+                element.textContent = this.t(element.dataset.i18n);
+            });
+            document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+                element.placeholder = this.t(element.dataset.i18nPlaceholder);
+            });
+            document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+                element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+            });
+            document.querySelectorAll('[data-i18n-title]').forEach(element => {
+                element.title = this.t(element.dataset.i18nTitle);
+            });
+        }
+    };
+
+    // toast notification manager
+    const ToastManager = {
+        container: null,
         activeToasts: new Map(),
         toastQueue: [],
 
@@ -280,6 +1039,27 @@
             return toastId;
         },
 
+        // show a toast with one action button, e.g. undo
+        showAction(message, actionLabel, onAction, type = 'info', duration = CONFIG.UNDO_DURATION) {
+            const toastId = this.show(message, type, duration);
+            if (!toastId) return;
+
+            const toast = this.activeToasts.get(toastId).element;
+            const actions = document.createElement('div');
+            actions.className = 'toast-actions';
+            actions.innerHTML = `<button type="button" class="toast-btn toast-btn-confirm">${Utils.sanitize(actionLabel)}</button>`;
+            toast.querySelector('.toast-content').appendChild(actions);
+
+            actions.querySelector('.toast-btn').addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.remove(toastId);
+                onAction();
+            });
+
+            return toastId;
+        },
+
         // create toast element
         createToast(message, type, toastId) {
             const toast = document.createElement('div');
@@ -295,7 +1075,7 @@
                 <div class="toast-content">
                     <p class="toast-message">${Utils.sanitize(message)}</p>
                 </div>
-                <button type="button" class="toast-close" aria-label="Close notification">
+                <button type="button" class="toast-close" aria-label="${I18n.t('toast.close')}">
                     <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
                         <path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/>
                     </svg>
@@ -327,11 +1107,11 @@
                 <div class="toast-content">
                     <p class="toast-message">${Utils.sanitize(message)}</p>
                     <div class="toast-actions">
-                        <button type="button" class="toast-btn toast-btn-confirm">Yes</button>
-                        <button type="button" class="toast-btn toast-btn-cancel">No</button>
+                        <button type="button" class="toast-btn toast-btn-confirm">${I18n.t('toast.yes')}</button>
+                        <button type="button" class="toast-btn toast-btn-cancel">${I18n.t('toast.no')}</button>
                     </div>
                 </div>
-                <button type="button" class="toast-close" aria-label="Close notification">
+                <button type="button" class="toast-close" aria-label="${I18n.t('toast.close')}">
                     <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
                         <path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/>
                     </svg>
@@ -402,6 +1182,107 @@
         }
     };
 
+    // CSV exports of the tracking data for spreadsheets; headers and values
+    // stay in English, ml and mg whatever the display language and unit
+    const CsvExporter = {
+        // quote a cell when it holds a separator, quote or line break
+        escape(value) {
+            if (value === undefined || value === null) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        },
+
+        // join rows into RFC 4180 text
+        toCsv(header, rows) {
+            return [header, ...rows].map(row => row.map(value => this.escape(value)).join(',')).join('\r\n') + '\r\n';
+        },
+
+        // stored days within the range, oldest first
+        getDays(startDate, endDate) {
+            return StorageManager.getTrackingHistory()
+                .filter(day => day.date >= startDate && day.date <= endDate)
+                .reverse();
+        },
+
+        // one row per water or electrolyte entry
+        buildEntryRows(days) {
+            const rows = [];
+
+            days.forEach(day => {
+                const entries = [
+                    ...(day.waterIntake || []).map(entry => ({ type: 'water', entry })),
+                    ...(day.electrolyteIntake || []).map(entry => ({ type: 'electrolytes', entry }))
+                ].sort((a, b) => new Date(a.entry.timestamp) - new Date(b.entry.timestamp));
+
+                entries.forEach(({ type, entry }) => {
+                    const isWater = type === 'water';
+                    rows.push([
+                        day.date,
+                        Utils.getTimeString(new Date(entry.timestamp)),
+                        entry.timestamp,
+                        type,
+                        isWater ? entry.amount : '',
+                        isWater ? Calculator.getEffectiveAmount(entry) : '',
+                        isWater ? entry.beverage || CONFIG.DEFAULT_BEVERAGE : '',
+                        ...CONFIG.ELECTROLYTE_KEYS.map(key => isWater ? '' : entry[key] || 0)
+                    ]);
+                });
+            });
+
+            return rows;
+        },
+
+        // one row per logged day against its goal
+        buildDailyRows(days) {
+            const fallbackGoal = UIManager.getCurrentGoal();
+
+            return days.map(day => {
+                const summary = Calculator.summarizeDay(day.date, day, fallbackGoal);
+                return [
+                    day.date,
+                    summary.total,
+                    summary.totals.volume,
+                    summary.goal,
+                    summary.percentage,
+                    summary.goalMet ? 'yes' : 'no',
+                    summary.entries,
+                    ...CONFIG.ELECTROLYTE_KEYS.map(key => summary.totals[key])
+                ];
+            });
+        },
+
+        // download every entry in the range
+        exportEntries(startDate, endDate) {
+            const header = ['date', 'time', 'timestamp', 'type', 'amount_ml', 'effective_ml', 'beverage',
+                ...CONFIG.ELECTROLYTE_KEYS.map(key => `${key}_mg`)];
+            this.download(startDate, endDate, 'Entries', header, days => this.buildEntryRows(days));
+        },
+
+        // download the daily totals in the range
+        exportDailyTotals(startDate, endDate) {
+            const header = ['date', 'total_ml', 'drink_volume_ml', 'goal_ml', 'percent_of_goal', 'goal_met', 'drinks',
+                ...CONFIG.ELECTROLYTE_KEYS.map(key => `${key}_mg`)];
+            this.download(startDate, endDate, 'Daily_Totals', header, days => this.buildDailyRows(days));
+        },
+
+        // build the rows of the range and save them as a CSV file
+        download(startDate, endDate, name, header, buildRows) {
+            try {
+                const rows = buildRows(this.getDays(startDate, endDate));
+                if (rows.length === 0) {
+                    ToastManager.show(I18n.t('history.noDaysInRange'), 'warning');
+                    return;
+                }
+
+                Utils.downloadFile(this.toCsv(header, rows), `Hydration_${name}_${startDate}_to_${endDate}.csv`, 'text/csv;charset=utf-8');
+                ToastManager.show(I18n.t('history.csvDownloaded'), 'success');
+            } catch (error) {
+                console.error('Error exporting CSV:', error);
+                ToastManager.show(I18n.t('history.csvFailed'), 'error');
+            }
+        }
+    };
+
     // PDF report generator
     const ReportGenerator = {
         // generate and download PDF report
@@ -410,301 +1291,773 @@
                 const { jsPDF } = window.jspdf;
                 
                 if (!jsPDF) {
-                    ToastManager.show('PDF library not loaded. Please refresh the page.', 'error');
+                    ToastManager.show(I18n.t('report.libraryMissing'), 'error');
                     return;
                 }
 
                 const data = StorageManager.getData();
-                const profile = data.userProfile || {};
-                const goals = data.dailyGoals || {};
                 const tracking = StorageManager.getTodayTracking();
 
-                if (!goals.water) {
-                    ToastManager.show('Please calculate your requirements first', 'warning');
+                if (!data.dailyGoals || !data.dailyGoals.water) {
+                    ToastManager.show(I18n.t('report.calculateFirst'), 'warning');
                     return;
                 }
 
-                ToastManager.show('Generating PDF report...', 'info', 2000);
+                // the PDF fonts only cover Latin script; other languages get an English report
+                const reportLanguage = I18n.getReportLanguage();
+
+                ToastManager.show(I18n.t('report.generating'), 'info', 2000);
+
+                const doc = I18n.withLanguage(reportLanguage, () => this.buildReport(jsPDF, data, tracking));
+
+                // save PDF
+                const fileName = `Hydration_Report_${Utils.getDateString()}.pdf`;
+                doc.save(fileName);
+
+                this.showDownloaded(reportLanguage);
+
+            } catch (error) {
+                console.error('Error generating report:', error);
+                ToastManager.show(I18n.t('report.failed'), 'error');
+            }
+        },
+
+        // confirm a download, noting an English fallback in the same toast
+        // because each toast replaces the one before it
+        showDownloaded(reportLanguage) {
+            if (reportLanguage !== I18n.language) {
+                ToastManager.show(`${I18n.t('report.downloaded')} ${I18n.t('report.englishOnly')}`, 'success', 8000);
+                return;
+            }
+            ToastManager.show(I18n.t('report.downloaded'), 'success');
+        },
+
+        // draw the report for a profile and today's tracking
+        buildReport(jsPDF, data, tracking) {
+            const profile = data.userProfile || {};
+            const goals = data.dailyGoals || {};
+
+            const doc = new jsPDF();
+            const pageWidth = doc.internal.pageSize.getWidth();
+            const pageHeight = doc.internal.pageSize.getHeight();
+            let yPos = 20;
+
+            // colors
+            const textColor = [26, 26, 26];
+            const secondaryColor = [107, 114, 128];
+            const accentColor = [102, 126, 234];
+
+            // header
+            this.addTitleBanner(doc, I18n.t('report.title'), I18n.t('report.subtitle'));
+
+            yPos = 50;
+
+            // date and time
+            doc.setFontSize(10);
+            doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
+            const reportDate = new Date().toLocaleDateString(I18n.getLocale(), { 
+                year: 'numeric', 
+                month: 'long', 
+                day: 'numeric' 
+            });
+            doc.text(I18n.t('report.generated', { date: reportDate }), 15, yPos);
+            yPos += 15;
+
+            // a prescribed restriction goes first, where a clinician looks for it
+            const restrictionLines = this.formatRestrictionLines(profile);
+            if (restrictionLines.length > 0) {
+                const todayVolume = Calculator.calculateDailyTotals(tracking).volume;
+                if (todayVolume > 0) {
+                    const allowance = Calculator.getFluidAllowance(todayVolume, profile.fluidRestriction);
+                    restrictionLines.push(I18n.t(allowance.over > 0 ? 'report.restriction.todayOver' : 'report.restriction.today', {
+                        used: UIManager.formatVolume(allowance.used),
+                        remaining: UIManager.formatVolume(allowance.remaining),
+                        over: UIManager.formatVolume(allowance.over)
+                    }));
+                }
+                yPos = this.addRestrictionBox(doc, yPos, restrictionLines);
+            }
+
+            // personal information section
+            this.addSectionHeader(doc, I18n.t('report.personalInfo'), yPos, accentColor);
+            yPos += 10;
+
+            doc.setFontSize(11);
+            doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+            
+            const notAvailable = I18n.t('common.notAvailable');
+            const personalInfo = [
+                I18n.t('report.weight', { weight: profile.weight ? `${Utils.formatDecimal(profile.weight, 1)} kg` : notAvailable }),
+                I18n.t('report.age', { age: profile.age || notAvailable }),
+                I18n.t('report.gender', { gender: profile.gender ? I18n.t(`gender.${profile.gender}`) : notAvailable }),
+                I18n.t('report.activityLevel', { level: this.formatActivityLevel(profile.activityLevel) }),
+                I18n.t('report.exercise', {
+                    minutes: profile.exerciseDuration || 0,
+                    intensity: I18n.t(`intensityName.${profile.exerciseIntensity || 'medium'}`)
+                }),
+                I18n.t('report.climate', { climate: this.formatConditions(profile) }),
+                I18n.t('report.altitude', { altitude: this.formatAltitude(profile) })
+            ];
+
+            if (profile.sweatRate) {
+                personalInfo.push(I18n.t('report.sweatRate', { rate: UIManager.formatVolumeRate(profile.sweatRate) }));
+            }
+
+            const sweatSodium = Calculator.getSweatSodiumConcentration(profile);
+            if (sweatSodium) {
+                personalInfo.push(I18n.t('report.sweatSodium', {
+                    concentration: Utils.formatNumber(sweatSodium.concentration),
+                    source: I18n.t(`sweatSodiumSource.${sweatSodium.source}`)
+                }));
+            }
+
+            personalInfo.forEach(info => {
+                doc.text(info, 20, yPos);
+                yPos += 7;
+            });
+
+            yPos += 5;
+
+            // daily requirements section
+            this.addSectionHeader(doc, I18n.t('report.dailyRequirements'), yPos, accentColor);
+            yPos += 10;
+
+            // water requirement box
+            doc.setFillColor(102, 126, 234, 0.1);
+            doc.roundedRect(15, yPos - 5, pageWidth - 30, 25, 3, 3, 'F');
+            
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.setTextColor(accentColor[0], accentColor[1], accentColor[2]);
+            doc.text(I18n.t(profile.fluidRestriction > 0 ? 'report.fluidLimit' : 'report.waterIntake'), 20, yPos + 5);
+            
+            doc.setFontSize(20);
+            doc.text(I18n.t('units.perDay', { amount: UIManager.formatVolume(goals.water) }), pageWidth - 20, yPos + 5, { align: 'right' });
+            
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+            doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
+            doc.text(UIManager.formatGoalEquivalent(goals.water), 20, yPos + 14);
+
+            yPos += 35;
+
+            // electrolytes grid
+            doc.setFontSize(12);
+            doc.setFont(undefined, 'bold');
+            doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+            doc.text(I18n.t('report.electrolytes'), 20, yPos);
+            yPos += 8;
 
-                const doc = new jsPDF();
-                const pageWidth = doc.internal.pageSize.getWidth();
-                const pageHeight = doc.internal.pageSize.getHeight();
-                let yPos = 20;
+            const electrolytes = CONFIG.ELECTROLYTE_KEYS.map(key => ({
+                name: I18n.t(`electrolytes.${key}`),
+                value: goals[key],
+                unit: 'mg'
+            }));
 
-                // colors
-                const primaryColor = [255, 198, 47];
-                const textColor = [26, 26, 26];
-                const secondaryColor = [107, 114, 128];
-                const accentColor = [102, 126, 234];
+            const colWidth = (pageWidth - 40) / 2;
+            let col = 0;
 
-                // header
-                doc.setFillColor(primaryColor[0], primaryColor[1], primaryColor[2]);
-                doc.rect(0, 0, pageWidth, 40, 'F');
+            electrolytes.forEach((electrolyte, index) => {
+                const xPos = 20 + (col * colWidth);
+                
+                doc.setFillColor(245, 244, 237);
+                doc.roundedRect(xPos, yPos - 4, colWidth - 5, 18, 2, 2, 'F');
                 
-                doc.setFontSize(28);
-                doc.setTextColor(26, 26, 26);
+                doc.setFontSize(11);
                 doc.setFont(undefined, 'bold');
-                doc.text('Hydration+ Report', pageWidth / 2, 25, { align: 'center' });
-
-                // subtitle
-                doc.setFontSize(12);
+                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+                doc.text(electrolyte.name, xPos + 5, yPos + 4);
+                
                 doc.setFont(undefined, 'normal');
-                doc.text('Personalized Water & Electrolyte Balance', pageWidth / 2, 33, { align: 'center' });
+                doc.text(`${Utils.formatNumber(electrolyte.value)} ${electrolyte.unit}`, xPos + 5, yPos + 11);
+                
+                col++;
+                if (col >= 2) {
+                    col = 0;
+                    yPos += 22;
+                }
+            });
 
-                yPos = 50;
+            if (col !== 0) yPos += 22;
+
+            // where the exercise sodium comes from
+            const sodiumSource = UIManager.formatSodiumSource(profile);
+            if (sodiumSource) {
+                const sweatSodiumLoss = Calculator.calculateSweatSodiumLoss(profile);
+                const sodiumLines = [I18n.t('report.sodiumNote', { note: sodiumSource })];
+                if (sweatSodiumLoss && profile.exerciseDuration > 60) {
+                    sodiumLines.push(I18n.t('report.sodiumReplacement', {
+                        min: Utils.formatNumber(sweatSodiumLoss.replacement.min),
+                        max: Utils.formatNumber(sweatSodiumLoss.replacement.max)
+                    }));
+                }
 
-                // date and time
-                doc.setFontSize(10);
+                doc.setFontSize(9);
+                doc.setFont(undefined, 'normal');
                 doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
-                const reportDate = new Date().toLocaleDateString('en-US', { 
-                    year: 'numeric', 
-                    month: 'long', 
-                    day: 'numeric' 
+                sodiumLines.forEach(line => {
+                    doc.splitTextToSize(line, pageWidth - 40).forEach(wrapped => {
+                        doc.text(wrapped, 20, yPos);
+                        yPos += 5;
+                    });
                 });
-                doc.text(`Generated: ${reportDate}`, 15, yPos);
-                yPos += 15;
+                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+            }
 
-                // personal information section
-                this.addSectionHeader(doc, 'Personal Information', yPos, accentColor);
+            yPos += 5;
+
+            // today's tracking section
+            if (tracking.waterIntake && tracking.waterIntake.length > 0) {
+                this.addSectionHeader(doc, I18n.t('report.todayWater'), yPos, accentColor);
                 yPos += 10;
 
-                doc.setFontSize(11);
-                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+                const trackingTotals = Calculator.calculateDailyTotals(tracking);
+                const totalIntake = trackingTotals.water;
+                const percentage = goals.water > 0 ? Math.min((totalIntake / goals.water) * 100, 100) : 0;
+
+                // progress bar
+                doc.setFillColor(224, 223, 213);
+                doc.roundedRect(20, yPos, pageWidth - 40, 12, 2, 2, 'F');
                 
-                const personalInfo = [
-                    `Weight: ${profile.weight ? profile.weight.toFixed(1) + ' kg' : 'N/A'}`,
-                    `Age: ${profile.age || 'N/A'} years`,
-                    `Gender: ${profile.gender ? profile.gender.charAt(0).toUpperCase() + profile.gender.slice(1) : 'N/A'}`,
-                    `Activity Level: ${this.formatActivityLevel(profile.activityLevel)}`,
-                    `Exercise: ${profile.exerciseDuration || 0} min/day (${profile.exerciseIntensity || 'medium'} intensity)`,
-                    `Climate: ${this.formatClimate(profile.climate)}`,
-                    `Altitude: ${this.formatAltitude(profile.altitude)}`
-                ];
+                doc.setFillColor(74, 222, 128);
+                const progressWidth = ((pageWidth - 40) * percentage) / 100;
+                doc.roundedRect(20, yPos, progressWidth, 12, 2, 2, 'F');
+                
+                doc.setFontSize(10);
+                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+                doc.text(`${UIManager.formatVolume(totalIntake)} / ${UIManager.formatVolume(goals.water)} (${Math.round(percentage)}%)`, 
+                    pageWidth / 2, yPos + 8, { align: 'center' });
 
-                personalInfo.forEach(info => {
-                    doc.text(info, 20, yPos);
+                yPos += 20;
+
+                if (trackingTotals.volume !== totalIntake) {
+                    doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
+                    doc.text(I18n.t('report.effectiveHydration', { volume: UIManager.formatVolume(trackingTotals.volume) }), 20, yPos);
+                    doc.setTextColor(textColor[0], textColor[1], textColor[2]);
                     yPos += 7;
+                }
+
+                // all entries
+                doc.setFontSize(10);
+                doc.setFont(undefined, 'bold');
+                doc.text(I18n.t('report.todayLog', { count: tracking.waterIntake.length }), 20, yPos);
+                yPos += 7;
+
+                doc.setFont(undefined, 'normal');
+                doc.setFontSize(9);
+                
+                const allEntries = [...tracking.waterIntake].reverse();
+                
+                allEntries.forEach((entry, index) => {
+                    if (yPos > pageHeight - 30) {
+                        doc.addPage();
+                        yPos = 20;
+                        doc.setFontSize(10);
+                        doc.setFont(undefined, 'bold');
+                        doc.text(I18n.t('report.todayLogContinued'), 20, yPos);
+                        yPos += 7;
+                        doc.setFont(undefined, 'normal');
+                        doc.setFontSize(9);
+                    }
+                    
+                    doc.text(I18n.t('report.logEntry', {
+                        index: index + 1,
+                        entry: UIManager.formatIntakeEntry(entry),
+                        time: Utils.formatTime(entry.timestamp),
+                        note: UIManager.formatEffectiveNote(entry)
+                    }), 25, yPos);
+                    yPos += 5;
                 });
 
                 yPos += 5;
+            }
+
+            // today's electrolyte tracking section
+            if (tracking.electrolyteIntake && tracking.electrolyteIntake.length > 0) {
+                if (yPos > pageHeight - 60) {
+                    doc.addPage();
+                    yPos = 20;
+                }
 
-                // daily requirements section
-                this.addSectionHeader(doc, 'Daily Requirements', yPos, accentColor);
+                this.addSectionHeader(doc, I18n.t('report.todayElectrolytes'), yPos, accentColor);
                 yPos += 10;
 
-                // water requirement box
-                doc.setFillColor(102, 126, 234, 0.1);
-                doc.roundedRect(15, yPos - 5, pageWidth - 30, 25, 3, 3, 'F');
-                
-                doc.setFontSize(14);
-                doc.setFont(undefined, 'bold');
-                doc.setTextColor(accentColor[0], accentColor[1], accentColor[2]);
-                doc.text('Water Intake', 20, yPos + 5);
-                
-                doc.setFontSize(20);
-                doc.text(`${Utils.formatNumber(goals.water)} ml/day`, pageWidth - 20, yPos + 5, { align: 'right' });
-                
+                const totals = Calculator.calculateDailyTotals(tracking);
+                const alerts = Calculator.checkElectrolyteLevels(totals);
+
                 doc.setFontSize(10);
                 doc.setFont(undefined, 'normal');
-                doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
-                const cups = Math.round(goals.water / 250);
-                doc.text(`Approximately ${cups} cups (250ml each)`, 20, yPos + 14);
-
-                yPos += 35;
-
-                // electrolytes grid
-                doc.setFontSize(12);
-                doc.setFont(undefined, 'bold');
-                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
-                doc.text('Electrolytes', 20, yPos);
-                yPos += 8;
-
-                const electrolytes = [
-                    { name: 'Sodium', value: goals.sodium, unit: 'mg' },
-                    { name: 'Potassium', value: goals.potassium, unit: 'mg' },
-                    { name: 'Magnesium', value: goals.magnesium, unit: 'mg' },
-                    { name: 'Calcium', value: goals.calcium, unit: 'mg' }
-                ];
 
-                const colWidth = (pageWidth - 40) / 2;
-                let col = 0;
+                CONFIG.ELECTROLYTE_KEYS.forEach(key => {
+                    const name = I18n.t(`electrolytes.${key}`);
+                    const goal = goals[key] || 0;
+                    const percentage = goal > 0 ? Math.round((totals[key] / goal) * 100) : 0;
+                    const alert = alerts.find(a => a.mineral === key);
 
-                electrolytes.forEach((electrolyte, index) => {
-                    const xPos = 20 + (col * colWidth);
-                    
-                    doc.setFillColor(245, 244, 237);
-                    doc.roundedRect(xPos, yPos - 4, colWidth - 5, 18, 2, 2, 'F');
-                    
-                    doc.setFontSize(11);
-                    doc.setFont(undefined, 'bold');
-                    doc.setTextColor(textColor[0], textColor[1], textColor[2]);
-                    doc.text(electrolyte.name, xPos + 5, yPos + 4);
-                    
-                    doc.setFont(undefined, 'normal');
-                    doc.text(`${Utils.formatNumber(electrolyte.value)} ${electrolyte.unit}`, xPos + 5, yPos + 11);
-                    
-                    col++;
-                    if (col >= 2) {
-                        col = 0;
-                        yPos += 22;
+                    if (alert) {
+                        doc.setTextColor(239, 68, 68);
+                    } else {
+                        doc.setTextColor(textColor[0], textColor[1], textColor[2]);
                     }
-                });
 
-                if (col !== 0) yPos += 22;
+                    doc.text(I18n.t('report.electrolyteLine', {
+                        name: name,
+                        total: Utils.formatNumber(totals[key]),
+                        goal: Utils.formatNumber(goal),
+                        percentage: percentage,
+                        alert: alert ? I18n.t(alert.level === 'exceeded' ? 'report.aboveLimit' : 'report.nearLimit') : ''
+                    }), 20, yPos);
+                    yPos += 6;
+                });
 
+                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
                 yPos += 5;
+            }
 
-                // today's tracking section
-                if (tracking.waterIntake && tracking.waterIntake.length > 0) {
-                    this.addSectionHeader(doc, 'Today\'s Water Tracking', yPos, accentColor);
-                    yPos += 10;
+            // recommendations section
+            const recommendations = UIManager.generateRecommendations(profile, goals.water, {
+                sodium: goals.sodium,
+                potassium: goals.potassium,
+                magnesium: goals.magnesium,
+                calcium: goals.calcium
+            });
 
-                    const totalIntake = tracking.waterIntake.reduce((sum, entry) => sum + entry.amount, 0);
-                    const percentage = goals.water > 0 ? Math.min((totalIntake / goals.water) * 100, 100) : 0;
+            if (recommendations.length > 0) {
+                if (yPos > pageHeight - 60) {
+                    doc.addPage();
+                    yPos = 20;
+                }
 
-                    // progress bar
-                    doc.setFillColor(224, 223, 213);
-                    doc.roundedRect(20, yPos, pageWidth - 40, 12, 2, 2, 'F');
-                    
-                    doc.setFillColor(74, 222, 128);
-                    const progressWidth = ((pageWidth - 40) * percentage) / 100;
-                    doc.roundedRect(20, yPos, progressWidth, 12, 2, 2, 'F');
-                    
-                    doc.setFontSize(10);
-                    doc.setTextColor(textColor[0], textColor[1], textColor[2]);
-                    doc.text(`${Utils.formatNumber(totalIntake)} ml / ${Utils.formatNumber(goals.water)} ml (${Math.round(percentage)}%)`, 
-                        pageWidth / 2, yPos + 8, { align: 'center' });
+                this.addSectionHeader(doc, I18n.t('report.recommendations'), yPos, accentColor);
+                yPos += 10;
 
-                    yPos += 20;
+                doc.setFontSize(9);
+                doc.setFont(undefined, 'normal');
+                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
 
-                    // all entries
-                    doc.setFontSize(10);
-                    doc.setFont(undefined, 'bold');
-                    doc.text(`Today's Log (${tracking.waterIntake.length} entries):`, 20, yPos);
-                    yPos += 7;
+                recommendations.forEach((rec, index) => {
+                    if (yPos > pageHeight - 40) {
+                        doc.addPage();
+                        yPos = 20;
+                        doc.setFontSize(10);
+                        doc.setFont(undefined, 'bold');
+                        doc.text(I18n.t('report.recommendationsContinued'), 20, yPos);
+                        yPos += 7;
+                        doc.setFont(undefined, 'normal');
+                        doc.setFontSize(9);
+                    }
 
-                    doc.setFont(undefined, 'normal');
-                    doc.setFontSize(9);
-                    
-                    const allEntries = [...tracking.waterIntake].reverse();
+                    doc.setFillColor(rec.type === 'warning' ? 251 : 255, rec.type === 'warning' ? 191 : 198, rec.type === 'warning' ? 36 : 47);
+                    doc.circle(22, yPos - 1.5, 1.5, 'F');
                     
-                    allEntries.forEach((entry, index) => {
-                        if (yPos > pageHeight - 30) {
-                            doc.addPage();
-                            yPos = 20;
-                            doc.setFontSize(10);
-                            doc.setFont(undefined, 'bold');
-                            doc.text('Today\'s Log (continued):', 20, yPos);
-                            yPos += 7;
-                            doc.setFont(undefined, 'normal');
-                            doc.setFontSize(9);
-                        }
-                        
-                        doc.text(`${index + 1}. ${entry.amount}ml at ${entry.time}`, 25, yPos);
+                    const lines = doc.splitTextToSize(I18n.formatRecommendation(rec), pageWidth - 50);
+                    lines.forEach((line, lineIndex) => {
+                        doc.text(line, 27, yPos);
                         yPos += 5;
                     });
+                    
+                    yPos += 2;
+                });
 
-                    yPos += 5;
+                yPos += 5;
+            }
+
+            // workout fueling plan
+            const fuelingPlan = Calculator.generateFuelingPlan(profile);
+            if (fuelingPlan) {
+                if (yPos > pageHeight - 60) {
+                    doc.addPage();
+                    yPos = 20;
                 }
 
-                // recommendations section
-                const recommendations = Calculator.generateRecommendations(profile, goals.water, {
-                    sodium: goals.sodium,
-                    potassium: goals.potassium,
-                    magnesium: goals.magnesium,
-                    calcium: goals.calcium
+                this.addSectionHeader(doc, I18n.t('report.fuelingPlan'), yPos, accentColor);
+                yPos += 10;
+
+                doc.setFontSize(9);
+                doc.setFont(undefined, 'normal');
+                doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
+                doc.splitTextToSize(UIManager.formatFuelingSummary(fuelingPlan, profile), pageWidth - 40).forEach(line => {
+                    doc.text(line, 20, yPos);
+                    yPos += 5;
                 });
+                yPos += 3;
 
-                if (recommendations.length > 0) {
-                    if (yPos > pageHeight - 60) {
+                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+                fuelingPlan.steps.forEach(step => {
+                    if (yPos > pageHeight - 30) {
                         doc.addPage();
                         yPos = 20;
+                        doc.setFontSize(10);
+                        doc.setFont(undefined, 'bold');
+                        doc.text(I18n.t('report.fuelingPlanContinued'), 20, yPos);
+                        yPos += 7;
+                        doc.setFontSize(9);
                     }
 
-                    this.addSectionHeader(doc, 'Personalized Recommendations', yPos, accentColor);
-                    yPos += 10;
-
-                    doc.setFontSize(9);
+                    const text = UIManager.formatFuelingStep(step);
+                    doc.setFont(undefined, 'bold');
+                    doc.text(text.when, 20, yPos);
                     doc.setFont(undefined, 'normal');
-                    doc.setTextColor(textColor[0], textColor[1], textColor[2]);
-
-                    recommendations.forEach((rec, index) => {
-                        if (yPos > pageHeight - 40) {
-                            doc.addPage();
-                            yPos = 20;
-                            doc.setFontSize(10);
-                            doc.setFont(undefined, 'bold');
-                            doc.text('Recommendations (continued):', 20, yPos);
-                            yPos += 7;
-                            doc.setFont(undefined, 'normal');
-                            doc.setFontSize(9);
-                        }
-
-                        doc.setFillColor(rec.type === 'warning' ? 251 : 255, rec.type === 'warning' ? 191 : 198, rec.type === 'warning' ? 36 : 47);
-                        doc.circle(22, yPos - 1.5, 1.5, 'F');
-                        
-                        const lines = doc.splitTextToSize(rec.text, pageWidth - 50);
-                        lines.forEach((line, lineIndex) => {
-                            doc.text(line, 27, yPos);
-                            yPos += 5;
-                        });
-                        
-                        yPos += 2;
+                    doc.splitTextToSize(text.what, pageWidth - 65).forEach(line => {
+                        doc.text(line, 50, yPos);
+                        yPos += 5;
                     });
+                    yPos += 1;
+                });
 
-                    yPos += 5;
+                yPos += 5;
+            }
+
+            // health conditions
+            const healthConditions = ['pregnant', 'breastfeeding', 'illness', 'kidneyDisease']
+                .filter(condition => profile[condition])
+                .map(condition => I18n.t(`health.${condition}`));
+
+            if (healthConditions.length > 0) {
+                if (yPos > pageHeight - 40) {
+                    doc.addPage();
+                    yPos = 20;
                 }
 
-                // health conditions
-                const healthConditions = [];
-                if (profile.pregnant) healthConditions.push('Pregnant');
-                if (profile.breastfeeding) healthConditions.push('Breastfeeding');
-                if (profile.illness) healthConditions.push('Illness');
-                if (profile.kidneyDisease) healthConditions.push('Kidney Disease');
+                this.addSectionHeader(doc, I18n.t('report.healthConsiderations'), yPos, accentColor);
+                yPos += 10;
+
+                doc.setFontSize(11);
+                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+                doc.text(healthConditions.join(', '), 20, yPos);
+                yPos += 10;
+            }
 
-                if (healthConditions.length > 0) {
-                    if (yPos > pageHeight - 40) {
-                        doc.addPage();
-                        yPos = 20;
-                    }
+            this.addFooter(doc);
+            this.addPageNumbers(doc);
 
-                    this.addSectionHeader(doc, 'Health Considerations', yPos, accentColor);
-                    yPos += 10;
+            return doc;
+        },
 
-                    doc.setFontSize(11);
-                    doc.setTextColor(textColor[0], textColor[1], textColor[2]);
-                    doc.text(healthConditions.join(', '), 20, yPos);
-                    yPos += 10;
+        // generate and download a report over a date range
+        async generatePeriodReport(startDate, endDate) {
+            try {
+                const { jsPDF } = window.jspdf;
+
+                if (!jsPDF) {
+                    ToastManager.show(I18n.t('report.libraryMissing'), 'error');
+                    return;
                 }
 
-                // footer with disclaimer
-                const footerY = pageHeight - 25;
-                doc.setFontSize(8);
-                doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
-                doc.text('Medical Disclaimer: This report provides general hydration guidance only. Always consult with a healthcare', 
-                    pageWidth / 2, footerY, { align: 'center' });
-                doc.text('provider for personalized medical advice, especially if you have health concerns.', 
-                    pageWidth / 2, footerY + 4, { align: 'center' });
-                
-                doc.setFontSize(7);
-                doc.text('Generated by Hydration+ | hydration-tracker.app', 
-                    pageWidth / 2, footerY + 10, { align: 'center' });
+                const data = StorageManager.getData();
+                if (!data.dailyGoals || !data.dailyGoals.water) {
+                    ToastManager.show(I18n.t('report.calculateFirst'), 'warning');
+                    return;
+                }
 
-                // save PDF
-                const fileName = `Hydration_Report_${new Date().toISOString().split('T')[0]}.pdf`;
-                doc.save(fileName);
+                const history = StorageManager.getTrackingHistory()
+                    .filter(day => day.date >= startDate && day.date <= endDate);
+                const summaries = history.map(day => Calculator.summarizeDay(day.date, day, data.dailyGoals.water));
+                const period = Calculator.summarizePeriod(summaries, startDate, endDate);
+                if (period.daysLogged === 0) {
+                    ToastManager.show(I18n.t('history.noDaysInRange'), 'warning');
+                    return;
+                }
+                const safetyEvents = history.reduce((count, day) => count + (day.safetyEvents || []).length, 0);
+                const limit = data.userProfile && data.userProfile.fluidRestriction;
+                const daysOverLimit = limit > 0
+                    ? history.filter(day => Calculator.calculateDailyTotals(day).volume > limit).length
+                    : 0;
+
+                const reportLanguage = I18n.getReportLanguage();
+
+                ToastManager.show(I18n.t('report.generating'), 'info', 2000);
+
+                const doc = I18n.withLanguage(reportLanguage, () => this.buildPeriodReport(jsPDF, data, period, safetyEvents, daysOverLimit));
+                doc.save(`Hydration_Report_${startDate}_to_${endDate}.pdf`);
 
-                ToastManager.show('Report downloaded successfully!', 'success');
+                this.showDownloaded(reportLanguage);
 
             } catch (error) {
-                console.error('Error generating report:', error);
-                ToastManager.show('Failed to generate report. Please try again.', 'error');
+                console.error('Error generating period report:', error);
+                ToastManager.show(I18n.t('report.failed'), 'error');
             }
         },
 
-        // add section header with styling
-        addSectionHeader(doc, title, yPos, color) {
-            doc.setFillColor(color[0], color[1], color[2], 0.1);
+        // draw the report for a date range: statistics, charts and a daily table
+        buildPeriodReport(jsPDF, data, period, safetyEvents, daysOverLimit) {
+            const doc = new jsPDF();
+            const pageWidth = doc.internal.pageSize.getWidth();
+            const pageHeight = doc.internal.pageSize.getHeight();
+            const textColor = [26, 26, 26];
+            const secondaryColor = [107, 114, 128];
+            const accentColor = [102, 126, 234];
+            const shortDate = date => Utils.formatDate(date, { month: 'short', day: 'numeric' });
+            const dayLine = day => I18n.t('report.period.dayLine', {
+                date: Utils.formatDate(day.date),
+                total: UIManager.formatVolume(day.total),
+                percentage: day.percentage
+            });
+
+            this.addTitleBanner(doc, I18n.t('report.period.title'), I18n.t('report.period.range', {
+                start: Utils.formatDate(period.startDate, { year: 'numeric', month: 'long', day: 'numeric' }),
+                end: Utils.formatDate(period.endDate, { year: 'numeric', month: 'long', day: 'numeric' })
+            }));
+
+            let yPos = 50;
+            doc.setFontSize(10);
+            doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
+            const reportDate = new Date().toLocaleDateString(I18n.getLocale(), { year: 'numeric', month: 'long', day: 'numeric' });
+            doc.text(I18n.t('report.generated', { date: reportDate }), 15, yPos);
+            if (data.name) {
+                doc.text(I18n.t('report.period.profile', { name: data.name }), pageWidth - 15, yPos, { align: 'right' });
+            }
+            yPos += 15;
+
+            const restrictionLines = this.formatRestrictionLines(data.userProfile || {});
+            if (restrictionLines.length > 0) {
+                restrictionLines.push(I18n.t('report.restriction.daysOver', { over: daysOverLimit, logged: period.daysLogged }));
+                yPos = this.addRestrictionBox(doc, yPos, restrictionLines);
+            }
+
+            // summary statistics
+            this.addSectionHeader(doc, I18n.t('report.period.summary'), yPos, accentColor);
+            yPos += 10;
+
+            const summaryLines = [
+                I18n.t('report.period.daysLogged', { logged: period.daysLogged, days: period.periodDays }),
+                I18n.t('report.period.adherence', { met: period.daysGoalMet, logged: period.daysLogged, adherence: period.adherence }),
+                I18n.t('report.period.average', { average: UIManager.formatVolume(period.averageIntake), percentage: period.averagePercentage }),
+                I18n.t('report.period.best', { day: dayLine(period.best) }),
+                I18n.t('report.period.worst', { day: dayLine(period.worst) })
+            ];
+            if (safetyEvents > 0) {
+                summaryLines.push(I18n.t('report.period.safetyEvents', { count: safetyEvents }));
+            }
+
+            doc.setFontSize(11);
+            doc.setFont(undefined, 'normal');
+            doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+            summaryLines.forEach(line => {
+                doc.text(line, 20, yPos);
+                yPos += 7;
+            });
+            yPos += 5;
+
+            // daily totals against each day's goal
+            this.addSectionHeader(doc, I18n.t('report.period.dailyChart'), yPos, accentColor);
+            yPos += 10;
+
+            const labelEvery = Math.ceil(period.periodDays / 8);
+            this.drawBarChart(doc, 20, yPos, pageWidth - 40, 50, period.days.map((day, index) => ({
+                value: day.summary ? day.summary.total : 0,
+                marker: day.summary ? day.summary.goal : null,
+                met: Boolean(day.summary && day.summary.goalMet),
+                label: index % labelEvery === 0 ? shortDate(day.date) : ''
+            })));
+            yPos += 62;
+
+            doc.setFontSize(8);
+            doc.setTextColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
+            doc.text(I18n.t('report.period.chartLegend'), 20, yPos);
+            yPos += 10;
+
+            // average by day of the week, starting on Monday
+            if (yPos > pageHeight - 90) {
+                doc.addPage();
+                yPos = 20;
+            }
+            this.addSectionHeader(doc, I18n.t('report.period.weekdayChart'), yPos, accentColor);
+            yPos += 10;
+
+            const weekdays = [...period.weekdays.slice(1), period.weekdays[0]];
+            this.drawBarChart(doc, 20, yPos, pageWidth - 40, 40, weekdays.map(weekday => ({
+                value: weekday.averageIntake,
+                marker: weekday.daysLogged > 0 ? weekday.averageGoal : null,
+                met: weekday.daysLogged > 0 && weekday.averageIntake >= weekday.averageGoal,
+                // 4 January 1970 was a Sunday
+                label: new Date(Date.UTC(1970, 0, 4 + weekday.weekday)).toLocaleDateString(I18n.getLocale(), { weekday: 'short', timeZone: 'UTC' })
+            })));
+            yPos += 55;
+
+            // one row per day
+            const columns = [20, 70, 110, 145, 170];
+            const addTableHeader = title => {
+                this.addSectionHeader(doc, title, yPos, accentColor);
+                yPos += 10;
+                doc.setFontSize(9);
+                doc.setFont(undefined, 'bold');
+                doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+                ['date', 'intake', 'goal', 'percentage', 'drinks'].forEach((key, index) => {
+                    doc.text(I18n.t(`report.period.columns.${key}`), columns[index], yPos);
+                });
+                doc.setFont(undefined, 'normal');
+                yPos += 6;
+            };
+
+            if (yPos > pageHeight - 60) {
+                doc.addPage();
+                yPos = 20;
+            }
+            addTableHeader(I18n.t('report.period.table'));
+
+            period.days.forEach(day => {
+                if (yPos > pageHeight - 35) {
+                    doc.addPage();
+                    yPos = 20;
+                    addTableHeader(I18n.t('report.period.tableContinued'));
+                }
+
+                const summary = day.summary;
+                doc.setTextColor(...(summary ? (summary.goalMet ? [22, 163, 74] : textColor) : secondaryColor));
+                doc.text(Utils.formatDate(day.date), columns[0], yPos);
+                if (summary) {
+                    doc.text(UIManager.formatVolume(summary.total), columns[1], yPos);
+                    doc.text(UIManager.formatVolume(summary.goal), columns[2], yPos);
+                    doc.text(`${summary.percentage}%`, columns[3], yPos);
+                    doc.text(String(summary.entries), columns[4], yPos);
+                } else {
+                    doc.text(I18n.t('report.period.notLogged'), columns[1], yPos);
+                }
+                yPos += 5;
+            });
+
+            doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+            if (yPos > pageHeight - 35) {
+                doc.addPage();
+            }
+            this.addFooter(doc);
+            this.addPageNumbers(doc);
+
+            return doc;
+        },
+
+        // draw the colored title banner at the top of the first page
+        addTitleBanner(doc, title, subtitle) {
+            const pageWidth = doc.internal.pageSize.getWidth();
+
+            doc.setFillColor(255, 198, 47);
+            doc.rect(0, 0, pageWidth, 40, 'F');
+
+            doc.setFontSize(28);
+            doc.setTextColor(26, 26, 26);
+            doc.setFont(undefined, 'bold');
+            doc.text(title, pageWidth / 2, 25, { align: 'center' });
+
+            doc.setFontSize(12);
+            doc.setFont(undefined, 'normal');
+            doc.text(subtitle, pageWidth / 2, 33, { align: 'center' });
+        },
+
+        // draw bars from a zero baseline; `marker` draws a goal tick across a bar
+        // and bars that met it are green
+        drawBarChart(doc, x, y, width, height, bars) {
+            const maxValue = Math.max(1, ...bars.map(bar => Math.max(bar.value, bar.marker || 0))) * 1.1;
+            const slot = width / bars.length;
+            const barWidth = Math.max(slot * 0.7, 0.5);
+            const baseline = y + height;
+
+            doc.setDrawColor(224, 223, 213);
+            doc.setLineWidth(0.3);
+            doc.line(x, baseline, x + width, baseline);
+
+            // scale labels
+            doc.setFontSize(7);
+            doc.setTextColor(107, 114, 128);
+            doc.text(UIManager.formatVolume(Math.round(maxValue / 1.1)), x, y - 2);
+
+            bars.forEach((bar, index) => {
+                const barX = x + index * slot + (slot - barWidth) / 2;
+                const barHeight = (bar.value / maxValue) * height;
+
+                if (barHeight > 0) {
+                    doc.setFillColor(...(bar.met ? [74, 222, 128] : [102, 126, 234]));
+                    doc.rect(barX, baseline - barHeight, barWidth, barHeight, 'F');
+                }
+
+                if (bar.marker) {
+                    const markerY = baseline - (bar.marker / maxValue) * height;
+                    doc.setDrawColor(26, 26, 26);
+                    doc.setLineWidth(0.5);
+                    doc.line(barX - 0.5, markerY, barX + barWidth + 0.5, markerY);
+                }
+
+                if (bar.label) {
+                    doc.setTextColor(107, 114, 128);
+                    doc.text(bar.label, barX + barWidth / 2, baseline + 5, { align: 'center' });
+                }
+            });
+
+            doc.setTextColor(26, 26, 26);
+        },
+
+        // disclaimer and footer line at the bottom of the last page
+        addFooter(doc) {
+            const pageWidth = doc.internal.pageSize.getWidth();
+            const footerY = doc.internal.pageSize.getHeight() - 25;
+
+            doc.setFontSize(8);
+            doc.setFont(undefined, 'normal');
+            doc.setTextColor(107, 114, 128);
+            doc.splitTextToSize(I18n.t('report.disclaimer'), pageWidth - 30).slice(0, 2).forEach((line, index) => {
+                doc.text(line, pageWidth / 2, footerY + index * 4, { align: 'center' });
+            });
+
+            doc.setFontSize(7);
+            doc.text(I18n.t('report.footer'), pageWidth / 2, footerY + 10, { align: 'center' });
+        },
+
+        // number every page once the document is complete
+        addPageNumbers(doc) {
+            const pageCount = doc.internal.getNumberOfPages();
+            const pageWidth = doc.internal.pageSize.getWidth();
+            const pageHeight = doc.internal.pageSize.getHeight();
+
+            doc.setFontSize(8);
+            doc.setFont(undefined, 'normal');
+            doc.setTextColor(107, 114, 128);
+            for (let page = 1; page <= pageCount; page++) {
+                doc.setPage(page);
+                doc.text(I18n.t('report.pageNumber', { page: page, total: pageCount }), pageWidth - 15, pageHeight - 8, { align: 'right' });
+            }
+        },
+
+        // list the prescribed limits of a profile, empty without a fluid restriction
+        formatRestrictionLines(profile) {
+            if (!(profile.fluidRestriction > 0)) {
+                return [];
+            }
+
+            const lines = [I18n.t('report.restriction.fluid', { limit: UIManager.formatVolume(profile.fluidRestriction) })];
+            if (profile.sodiumRestriction > 0) {
+                lines.push(I18n.t('report.restriction.sodium', { limit: Utils.formatNumber(profile.sodiumRestriction) }));
+            }
+            return lines;
+        },
+
+        // draw a red-edged box with a restriction's lines; returns the position below it
+        addRestrictionBox(doc, yPos, lines) {
+            const pageWidth = doc.internal.pageSize.getWidth();
+            const height = 12 + lines.length * 6;
+
+            doc.setFillColor(254, 242, 242);
+            doc.setDrawColor(239, 68, 68);
+            doc.setLineWidth(0.8);
+            doc.roundedRect(15, yPos - 6, pageWidth - 30, height, 3, 3, 'FD');
+
+            doc.setFontSize(13);
+            doc.setFont(undefined, 'bold');
+            doc.setTextColor(185, 28, 28);
+            doc.text(I18n.t('report.restriction.title'), 20, yPos + 1);
+
+            doc.setFontSize(11);
+            doc.setFont(undefined, 'normal');
+            doc.setTextColor(26, 26, 26);
+            lines.forEach((line, index) => {
+                doc.text(line, 20, yPos + 8 + index * 6);
+            });
+
+            return yPos + height + 6;
+        },
+
+        // add section header with styling
+        addSectionHeader(doc, title, yPos, color) {
+            doc.setFillColor(color[0], color[1], color[2], 0.1);
             doc.rect(15, yPos - 6, doc.internal.pageSize.getWidth() - 30, 12, 'F');
             
             doc.setFontSize(13);
@@ -715,355 +2068,1870 @@
 
         // format activity level for display
         formatActivityLevel(level) {
-            const levels = {
-                sedentary: 'Sedentary',
-                light: 'Light',
-                moderate: 'Moderate',
-                active: 'Very Active',
-                athlete: 'Athlete'
-            };
-            return levels[level] || 'Not specified';
+            return I18n.t(`activity.${level}`, {}, I18n.t('common.notSpecified'));
         },
 
         // format climate for display
         formatClimate(climate) {
-            const climates = {
-                cool: 'Cool (< 15°C)',
-                moderate: 'Moderate (15-25°C)',
-                hot: 'Hot (25-35°C)',
-                'very-hot': 'Very Hot (> 35°C)'
-            };
-            return climates[climate] || 'Not specified';
+            return I18n.t(`climate.${climate}`, {}, I18n.t('common.notSpecified'));
+        },
+
+        // format measured conditions, or the climate bucket without them
+        formatConditions(profile) {
+            const heatIndex = Calculator.getHeatIndex(profile);
+            if (heatIndex === null) {
+                return this.formatClimate(profile.climate);
+            }
+
+            const humidity = typeof profile.humidity === 'number' ? I18n.t('weather.humidity', { humidity: profile.humidity }) : '';
+            return I18n.t('weather.conditions', {
+                temperature: Math.round(profile.temperature),
+                humidity: humidity,
+                heatIndex: Math.round(heatIndex)
+            });
+        },
+
+        // format altitude in meters and feet for display
+        formatAltitude(profile) {
+            if (profile.altitude === undefined || profile.altitude === '') {
+                return I18n.t('common.notSpecified');
+            }
+
+            const altitude = Calculator.getAltitudeMeters(profile);
+            return I18n.t('altitude.value', {
+                meters: Utils.formatNumber(altitude),
+                feet: Utils.formatNumber(altitude * CONFIG.METERS_TO_FEET),
+                days: profile.altitudeDays ? I18n.t('altitude.days', { day: profile.altitudeDays }) : ''
+            });
+        }
+    };
+
+    // form validator
+    const FormValidator = {
+        // validate weight input
+        validateWeight(weight, unit) {
+            const min = unit === 'kg' ? 20 : 44;
+            const max = unit === 'kg' ? 300 : 661;
+            return Utils.validateNumber(weight, min, max);
+        },
+
+        // validate age input
+        validateAge(age) {
+            return Utils.validateNumber(age, 1, 120);
+        },
+
+        // validate exercise duration
+        validateExerciseDuration(duration) {
+            return Utils.validateNumber(duration, 0, 1440);
+        },
+
+        // validate temperature input
+        validateTemperature(temperature, unit) {
+            const { min, max } = CONFIG.TEMPERATURE_RANGE;
+            return unit === 'f'
+                ? Utils.validateNumber(temperature, Math.round(Utils.celsiusToFahrenheit(min)), Math.round(Utils.celsiusToFahrenheit(max)))
+                : Utils.validateNumber(temperature, min, max);
+        },
+
+        // validate altitude input
+        validateAltitude(altitude, unit) {
+            const { min, max } = CONFIG.ALTITUDE_RANGE;
+            return unit === 'ft'
+                ? Utils.validateNumber(altitude, Math.round(min * CONFIG.METERS_TO_FEET), Math.round(max * CONFIG.METERS_TO_FEET))
+                : Utils.validateNumber(altitude, min, max);
+        },
+
+        // validate relative humidity input
+        validateHumidity(humidity) {
+            return Utils.validateNumber(humidity, 0, 100);
+        },
+
+        // validate lab sweat sodium concentration (mg/L)
+        validateSweatSodium(concentration) {
+            return Utils.validateNumber(concentration, CONFIG.SWEAT_SODIUM_RANGE.min, CONFIG.SWEAT_SODIUM_RANGE.max);
+        },
+
+        // validate a prescribed fluid limit entered in the selected volume unit
+        validateFluidRestriction(amount, unit) {
+            const { min, max } = CONFIG.FLUID_RESTRICTION_RANGE;
+            return Utils.validateNumber(Utils.fromVolumeUnit(parseFloat(amount), unit), min, max);
+        },
+
+        // validate a prescribed sodium limit (mg/day)
+        validateSodiumRestriction(amount) {
+            return Utils.validateNumber(amount, CONFIG.SODIUM_RESTRICTION_RANGE.min, CONFIG.SODIUM_RESTRICTION_RANGE.max);
+        },
+
+        // word a failed Utils.validateNumber result in the current language
+        formatError(validation) {
+            return I18n.t(`validation.${validation.reason}`, {
+                limit: validation.limit !== undefined ? Utils.formatNumber(validation.limit) : ''
+            });
+        },
+
+        // show error message
+        showError(elementId, message) {
+            const errorElement = document.getElementById(`${elementId}-error`);
+            if (errorElement) {
+                errorElement.textContent = message;
+                errorElement.setAttribute('role', 'alert');
+            }
+        },
+
+        // clear error message
+        clearError(elementId) {
+            const errorElement = document.getElementById(`${elementId}-error`);
+            if (errorElement) {
+                errorElement.textContent = '';
+                errorElement.removeAttribute('role');
+            }
+        },
+
+        // validate all form inputs
+        validateForm() {
+            let isValid = true;
+
+            // validate weight
+            const weight = document.getElementById('weight').value;
+            const weightUnit = UIManager.getWeightUnit();
+            const weightValidation = this.validateWeight(weight, weightUnit);
+            
+            if (!weightValidation.valid) {
+                this.showError('weight', this.formatError(weightValidation));
+                isValid = false;
+            } else {
+                this.clearError('weight');
+            }
+
+            // validate age
+            const age = document.getElementById('age').value;
+            const ageValidation = this.validateAge(age);
+            
+            if (!ageValidation.valid) {
+                this.showError('age', this.formatError(ageValidation));
+                isValid = false;
+            } else {
+                this.clearError('age');
+            }
+
+            // validate optional temperature and humidity
+            const temperature = document.getElementById('temperature').value;
+            const temperatureValidation = this.validateTemperature(temperature, UIManager.getTemperatureUnit());
+            if (temperature !== '' && !temperatureValidation.valid) {
+                this.showError('temperature', this.formatError(temperatureValidation));
+                isValid = false;
+            } else {
+                this.clearError('temperature');
+            }
+
+            const humidity = document.getElementById('humidity').value;
+            const humidityValidation = this.validateHumidity(humidity);
+            if (humidity !== '' && !humidityValidation.valid) {
+                this.showError('humidity', this.formatError(humidityValidation));
+                isValid = false;
+            } else {
+                this.clearError('humidity');
+            }
+
+            // validate optional altitude and days at altitude
+            const altitude = document.getElementById('altitude').value;
+            const altitudeValidation = this.validateAltitude(altitude, UIManager.getAltitudeUnit());
+            if (altitude !== '' && !altitudeValidation.valid) {
+                this.showError('altitude', this.formatError(altitudeValidation));
+                isValid = false;
+            } else {
+                this.clearError('altitude');
+            }
+
+            const altitudeDays = document.getElementById('altitude-days').value;
+            const altitudeDaysValidation = Utils.validateNumber(altitudeDays, 1, 365);
+            if (altitudeDays !== '' && !altitudeDaysValidation.valid) {
+                this.showError('altitude-days', this.formatError(altitudeDaysValidation));
+                isValid = false;
+            } else {
+                this.clearError('altitude-days');
+            }
+
+            // validate lab sweat sodium
+            if (document.getElementById('sweat-sodium-source').value === 'lab') {
+                const concentration = document.getElementById('sweat-sodium-concentration').value;
+                const concentrationValidation = this.validateSweatSodium(concentration);
+
+                if (!concentrationValidation.valid) {
+                    this.showError('sweat-sodium-concentration', this.formatError(concentrationValidation));
+                    isValid = false;
+                } else {
+                    this.clearError('sweat-sodium-concentration');
+                }
+            }
+
+            // validate the prescribed limits; the sodium one is optional
+            if (document.getElementById('fluid-restriction').checked) {
+                const fluidLimit = document.getElementById('fluid-restriction-amount').value;
+                const fluidLimitValidation = this.validateFluidRestriction(fluidLimit, UIManager.getVolumeUnit());
+                if (!fluidLimitValidation.valid) {
+                    this.showError('fluid-restriction-amount', I18n.t(`validation.${fluidLimitValidation.reason}`, {
+                        limit: fluidLimitValidation.limit !== undefined ? UIManager.formatVolume(fluidLimitValidation.limit) : ''
+                    }));
+                    isValid = false;
+                } else {
+                    this.clearError('fluid-restriction-amount');
+                }
+
+                const sodiumLimit = document.getElementById('sodium-restriction-amount').value;
+                const sodiumLimitValidation = this.validateSodiumRestriction(sodiumLimit);
+                if (sodiumLimit !== '' && !sodiumLimitValidation.valid) {
+                    this.showError('sodium-restriction-amount', this.formatError(sodiumLimitValidation));
+                    isValid = false;
+                } else {
+                    this.clearError('sodium-restriction-amount');
+                }
+            }
+
+            // required fields
+            const requiredFields = ['gender', 'activity-level', 'climate'];
+            requiredFields.forEach(fieldId => {
+                const field = document.getElementById(fieldId);
+                if (!field.value) {
+                    ToastManager.show(I18n.t('validation.select', { field: field.previousElementSibling.textContent.trim() }), 'error');
+                    isValid = false;
+                }
+            });
+
+            return isValid;
+        }
+    };
+
+    // profile switcher
+    const ProfileManager = {
+        formMode: null,
+
+        // initialize profile controls
+        init() {
+            const profileSelect = document.getElementById('profile-select');
+            const newBtn = document.getElementById('profile-new-btn');
+            const renameBtn = document.getElementById('profile-rename-btn');
+            const deleteBtn = document.getElementById('profile-delete-btn');
+            const saveBtn = document.getElementById('profile-save-btn');
+            const cancelBtn = document.getElementById('profile-cancel-btn');
+            const nameInput = document.getElementById('profile-name');
+
+            profileSelect.addEventListener('change', () => {
+                this.switchTo(profileSelect.value);
+            });
+
+            newBtn.addEventListener('click', () => {
+                this.openForm('create');
+            });
+
+            renameBtn.addEventListener('click', () => {
+                this.openForm('rename');
+            });
+
+            deleteBtn.addEventListener('click', () => {
+                this.confirmDelete();
+            });
+
+            saveBtn.addEventListener('click', () => {
+                this.submitForm();
+            });
+
+            cancelBtn.addEventListener('click', () => {
+                this.closeForm();
+            });
+
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.submitForm();
+                } else if (e.key === 'Escape') {
+                    this.closeForm();
+                }
+            });
+
+            this.render();
+        },
+
+        // render the profile dropdown
+        render() {
+            const profileSelect = document.getElementById('profile-select');
+            const activeId = StorageManager.getActiveProfileId();
+            const profiles = StorageManager.getProfiles();
+
+            profileSelect.innerHTML = profiles.map(profile => `
+                <option value="${Utils.sanitize(profile.id)}"${profile.id === activeId ? ' selected' : ''}>${Utils.sanitize(profile.name)}</option>
+            `).join('');
+
+            document.getElementById('profile-delete-btn').disabled = profiles.length <= 1;
+        },
+
+        // get the active profile's name
+        getActiveName() {
+            return StorageManager.getData().name || CONFIG.DEFAULT_PROFILE_NAME;
+        },
+
+        // switch to another profile and reload the UI
+        switchTo(id) {
+            if (!StorageManager.switchProfile(id)) {
+                ToastManager.show(I18n.t('profile.switchFailed'), 'error');
+                this.render();
+                return;
+            }
+
+            this.closeForm();
+            this.render();
+            UIManager.reloadProfile();
+            ToastManager.show(I18n.t('profile.switched', { name: this.getActiveName() }), 'success');
+        },
+
+        // show the name form for creating or renaming
+        openForm(mode) {
+            this.formMode = mode;
+
+            const form = document.getElementById('profile-form');
+            const nameInput = document.getElementById('profile-name');
+
+            document.getElementById('profile-form-label').textContent = I18n.t(mode === 'create' ? 'profile.newName' : 'profile.rename');
+            nameInput.value = mode === 'rename' ? this.getActiveName() : '';
+            form.style.display = 'flex';
+            nameInput.focus();
+        },
+
+        // hide the name form
+        closeForm() {
+            this.formMode = null;
+            document.getElementById('profile-form').style.display = 'none';
+            document.getElementById('profile-name').value = '';
+            FormValidator.clearError('profile-name');
+        },
+
+        // validate a profile name
+        validateName(name, ignoreId) {
+            if (!name) {
+                return { valid: false, error: I18n.t('profile.nameRequired') };
+            }
+
+            if (name.length > CONFIG.MAX_PROFILE_NAME_LENGTH) {
+                return { valid: false, error: I18n.t('profile.nameTooLong', { max: CONFIG.MAX_PROFILE_NAME_LENGTH }) };
+            }
+
+            const duplicate = StorageManager.getProfiles().some(profile =>
+                profile.id !== ignoreId && profile.name.toLowerCase() === name.toLowerCase()
+            );
+            if (duplicate) {
+                return { valid: false, error: I18n.t('profile.nameTaken') };
+            }
+
+            return { valid: true, value: name };
+        },
+
+        // create or rename from the name form
+        submitForm() {
+            const name = document.getElementById('profile-name').value.trim();
+            const activeId = StorageManager.getActiveProfileId();
+            const validation = this.validateName(name, this.formMode === 'rename' ? activeId : null);
+
+            if (!validation.valid) {
+                FormValidator.showError('profile-name', validation.error);
+                return;
+            }
+
+            if (this.formMode === 'create') {
+                if (!StorageManager.createProfile(name)) {
+                    ToastManager.show(I18n.t('profile.createFailed'), 'error');
+                    return;
+                }
+                this.closeForm();
+                this.render();
+                UIManager.reloadProfile();
+                ToastManager.show(I18n.t('profile.created', { name: name }), 'success');
+            } else {
+                StorageManager.renameProfile(activeId, name);
+                this.closeForm();
+                this.render();
+                ToastManager.show(I18n.t('profile.renamed', { name: name }), 'success');
+            }
+        },
+
+        // confirm and delete the active profile
+        confirmDelete() {
+            const name = this.getActiveName();
+
+            ToastManager.showConfirm(
+                I18n.t('profile.confirmDelete', { name: name }),
+                () => {
+                    if (!StorageManager.deleteProfile(StorageManager.getActiveProfileId())) {
+                        ToastManager.show(I18n.t('profile.lastProfile'), 'error');
+                        return;
+                    }
+                    this.render();
+                    UIManager.reloadProfile();
+                    ToastManager.show(I18n.t('profile.deleted', { name: name }), 'success');
+                },
+                null,
+                'warning'
+            );
+        }
+    };
+
+    // JSON backup and restore
+    const BackupManager = {
+        pendingImport: null,
+
+        // initialize backup controls
+        init() {
+            const exportBtn = document.getElementById('export-backup-btn');
+            const importBtn = document.getElementById('import-backup-btn');
+            const fileInput = document.getElementById('import-backup-file');
+            const mergeBtn = document.getElementById('import-merge-btn');
+            const replaceBtn = document.getElementById('import-replace-btn');
+            const cancelBtn = document.getElementById('import-cancel-btn');
+
+            exportBtn.addEventListener('click', () => {
+                this.exportBackup();
+            });
+
+            importBtn.addEventListener('click', () => {
+                fileInput.click();
+            });
+
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.readBackupFile(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+
+            mergeBtn.addEventListener('click', () => {
+                this.applyImport('merge');
+            });
+
+            replaceBtn.addEventListener('click', () => {
+                ToastManager.showConfirm(
+                    I18n.t('backup.confirmReplace'),
+                    () => {
+                        this.applyImport('replace');
+                    },
+                    null,
+                    'warning'
+                );
+            });
+
+            cancelBtn.addEventListener('click', () => {
+                this.closePreview();
+            });
+
+            document.getElementById('quarantine-download-btn').addEventListener('click', () => {
+                this.downloadQuarantine();
+            });
+
+            document.getElementById('quarantine-discard-btn').addEventListener('click', () => {
+                ToastManager.showConfirm(
+                    I18n.t('backup.confirmDiscard'),
+                    () => {
+                        StorageManager.clearQuarantine();
+                        this.renderQuarantine();
+                        ToastManager.show(I18n.t('backup.discarded'), 'success');
+                    },
+                    null,
+                    'warning'
+                );
+            });
+
+            this.renderQuarantine();
+        },
+
+        // show the quarantine panel when damaged data was set aside
+        renderQuarantine() {
+            const quarantined = StorageManager.getQuarantine();
+            const panel = document.getElementById('quarantine-panel');
+
+            if (quarantined.length === 0) {
+                panel.style.display = 'none';
+                return;
+            }
+
+            const latest = quarantined[quarantined.length - 1];
+            document.getElementById('quarantine-summary').textContent =
+                I18n.t('backup.quarantineSummary', {
+                    count: quarantined.length,
+                    date: Utils.formatDateTime(latest.quarantinedAt),
+                    reason: latest.reason
+                });
+            panel.style.display = 'block';
+        },
+
+        // download quarantined raw data for manual recovery
+        downloadQuarantine() {
+            const quarantined = StorageManager.getQuarantine();
+            const fileName = `Hydration_Quarantine_${Utils.getDateString()}.json`;
+            Utils.downloadFile(JSON.stringify(quarantined, null, 2), fileName, 'application/json');
+        },
+
+        // build the versioned backup payload
+        createBackup() {
+            return {
+                app: CONFIG.BACKUP_APP_ID,
+                backupVersion: CONFIG.BACKUP_VERSION,
+                exportedAt: Utils.getTimestamp(),
+                data: StorageManager.getStore()
+            };
+        },
+
+        // download all app data as a JSON file
+        exportBackup() {
+            try {
+                const backup = this.createBackup();
+                const fileName = `Hydration_Backup_${Utils.getDateString()}.json`;
+                Utils.downloadFile(JSON.stringify(backup, null, 2), fileName, 'application/json');
+                ToastManager.show(I18n.t('backup.downloaded'), 'success');
+            } catch (error) {
+                console.error('Error exporting backup:', error);
+                ToastManager.show(I18n.t('backup.exportFailed'), 'error');
+            }
+        },
+
+        // read and validate a chosen backup file
+        async readBackupFile(file) {
+            try {
+                const text = await file.text();
+                let payload;
+
+                try {
+                    payload = JSON.parse(text);
+                } catch (e) {
+                    ToastManager.show(I18n.t('backup.notJson'), 'error');
+                    return;
+                }
+
+                const validation = this.validateBackup(payload);
+                if (!validation.valid) {
+                    ToastManager.show(I18n.t('backup.invalid', { reason: validation.error }), 'error', 6000);
+                    return;
+                }
+
+                this.pendingImport = validation.store;
+                this.showPreview(validation.store, payload.exportedAt);
+            } catch (error) {
+                console.error('Error reading backup:', error);
+                ToastManager.show(I18n.t('backup.readFailed'), 'error');
+            }
+        },
+
+        // check backup structure and return the store it contains
+        validateBackup(payload) {
+            if (!payload || typeof payload !== 'object') {
+                return { valid: false, error: I18n.t('backup.empty') };
+            }
+
+            if (payload.app !== CONFIG.BACKUP_APP_ID || !payload.data) {
+                return { valid: false, error: I18n.t('backup.wrongApp') };
+            }
+
+            if (typeof payload.backupVersion !== 'number' || payload.backupVersion > CONFIG.BACKUP_VERSION) {
+                return { valid: false, error: I18n.t('backup.newerVersion') };
+            }
+
+            const result = StorageSchema.load(payload.data);
+            if (!result.valid) {
+                return { valid: false, error: result.error };
+            }
+
+            if (result.issues.length > 0) {
+                return { valid: false, error: result.issues[0] };
+            }
+
+            const store = result.store;
+            return { valid: true, store: store };
+        },
+
+        // identity of an entry, used to skip duplicates when merging
+        getEntryKey(entry) {
+            const { time, ...fields } = entry;
+            return JSON.stringify(Object.keys(fields).sort().map(key => [key, fields[key]]));
+        },
+
+        // merge two entry lists without duplicates (sorted by timestamp)
+        mergeEntries(existing, incoming) {
+            const keys = new Set(existing.map(entry => this.getEntryKey(entry)));
+            const added = incoming.filter(entry => !keys.has(this.getEntryKey(entry)));
+            const merged = [...existing, ...added].sort((a, b) =>
+                new Date(a.timestamp) - new Date(b.timestamp)
+            );
+            return { merged: merged, added: added.length, skipped: incoming.length - added.length };
+        },
+
+        // find the local profile an imported one belongs to (same id, then same name)
+        findMatchingProfile(store, imported) {
+            if (store.profiles[imported.id]) {
+                return store.profiles[imported.id];
+            }
+            return Object.values(store.profiles).find(profile =>
+                profile.name.toLowerCase() === imported.name.toLowerCase()
+            ) || null;
+        },
+
+        // merge an imported store into the current one
+        mergeStores(current, imported) {
+            const store = JSON.parse(JSON.stringify(current));
+            const stats = { newProfiles: 0, newDays: 0, addedEntries: 0, skippedEntries: 0 };
+
+            Object.values(imported.profiles).forEach(importedProfile => {
+                const match = this.findMatchingProfile(store, importedProfile);
+
+                if (!match) {
+                    store.profiles[importedProfile.id] = JSON.parse(JSON.stringify(importedProfile));
+                    stats.newProfiles++;
+                    Object.values(importedProfile.tracking || {}).forEach(day => {
+                        stats.newDays++;
+                        stats.addedEntries += (day.waterIntake || []).length + (day.electrolyteIntake || []).length;
+                    });
+                    return;
+                }
+
+                // keep local settings, fill gaps from the backup
+                if (!match.userProfile || Object.keys(match.userProfile).length === 0) {
+                    match.userProfile = importedProfile.userProfile || {};
+                }
+                if (!match.dailyGoals || !match.dailyGoals.water) {
+                    match.dailyGoals = importedProfile.dailyGoals || {};
+                }
+
+                if (!match.containers && importedProfile.containers) {
+                    match.containers = JSON.parse(JSON.stringify(importedProfile.containers));
+                }
+
+                if (importedProfile.sweatTests) {
+                    match.sweatTests = this.mergeEntries(match.sweatTests || [], importedProfile.sweatTests).merged;
+                }
+
+                match.tracking = match.tracking || {};
+                Object.entries(importedProfile.tracking || {}).forEach(([date, importedDay]) => {
+                    const localDay = match.tracking[date];
+
+                    if (!localDay) {
+                        match.tracking[date] = JSON.parse(JSON.stringify(importedDay));
+                        stats.newDays++;
+                        stats.addedEntries += (importedDay.waterIntake || []).length + (importedDay.electrolyteIntake || []).length;
+                        return;
+                    }
+
+                    ['waterIntake', 'electrolyteIntake'].forEach(listKey => {
+                        const result = this.mergeEntries(localDay[listKey] || [], importedDay[listKey] || []);
+                        if (result.merged.length > 0) {
+                            localDay[listKey] = result.merged;
+                        }
+                        stats.addedEntries += result.added;
+                        stats.skippedEntries += result.skipped;
+                    });
+
+                    // alerts are kept from both sides but are not counted as entries
+                    if (importedDay.safetyEvents) {
+                        localDay.safetyEvents = this.mergeEntries(localDay.safetyEvents || [], importedDay.safetyEvents).merged;
+                    }
+
+                    localDay.goal = localDay.goal || importedDay.goal;
+                });
+            });
+
+            return { store: store, stats: stats };
+        },
+
+        // count profiles, days and entries in a store
+        countStore(store) {
+            const profiles = Object.values(store.profiles);
+            const days = profiles.reduce((sum, profile) => sum + Object.keys(profile.tracking || {}).length, 0);
+            const entries = profiles.reduce((sum, profile) =>
+                sum + Object.values(profile.tracking || {}).reduce((daySum, day) =>
+                    daySum + (day.waterIntake || []).length + (day.electrolyteIntake || []).length, 0), 0);
+            return { profiles: profiles.length, days: days, entries: entries };
+        },
+
+        // show what merge or replace would change
+        showPreview(importedStore, exportedAt) {
+            const current = StorageManager.getStore();
+            const importedCounts = this.countStore(importedStore);
+            const currentCounts = this.countStore(current);
+            const mergeStats = this.mergeStores(current, importedStore).stats;
+            const exportedDate = exportedAt ? Utils.formatDateTime(exportedAt) : I18n.t('backup.unknownDate');
+
+            document.getElementById('import-preview-summary').textContent =
+                I18n.t('backup.previewSummary', { date: exportedDate, ...importedCounts });
+
+            const profileNames = Object.values(importedStore.profiles).map(profile => {
+                const match = this.findMatchingProfile(current, profile);
+                return `<li>${Utils.sanitize(profile.name)} - ${I18n.t(match ? 'backup.matchesProfile' : 'backup.newProfile')}</li>`;
+            }).join('');
+
+            document.getElementById('import-preview-details').innerHTML = `
+                <ul class="import-preview-list">${profileNames}</ul>
+                <p><strong>${I18n.t('backup.mergeLabel')}</strong> ${I18n.t('backup.mergePreview', mergeStats)}</p>
+                <p><strong>${I18n.t('backup.replaceLabel')}</strong> ${I18n.t('backup.replacePreview', currentCounts)}</p>
+            `;
+
+            document.getElementById('import-preview').style.display = 'block';
+        },
+
+        // hide the import preview
+        closePreview() {
+            this.pendingImport = null;
+            document.getElementById('import-preview').style.display = 'none';
+        },
+
+        // apply the pending import
+        applyImport(mode) {
+            if (!this.pendingImport) return;
+
+            let store;
+            let message;
+
+            if (mode === 'replace') {
+                store = this.pendingImport;
+                message = I18n.t('backup.restored');
+            } else {
+                const result = this.mergeStores(StorageManager.getStore(), this.pendingImport);
+                store = result.store;
+                message = I18n.t('backup.merged', result.stats);
+            }
+
+            if (!StorageManager.saveStore(store)) {
+                ToastManager.show(I18n.t('backup.saveFailed'), 'error');
+                return;
+            }
+
+            this.closePreview();
+            ProfileManager.render();
+            UIManager.reloadProfile();
+            ToastManager.show(message, 'success', 6000);
+        }
+    };
+
+    // tracking history view
+    const HistoryManager = {
+        selectedDate: null,
+
+        // initialize history controls
+        init() {
+            const closeBtn = document.getElementById('history-close-btn');
+            closeBtn.addEventListener('click', () => {
+                this.closeDay();
+            });
+
+            // period report: presets fill the range, which ends today at the latest
+            document.querySelectorAll('[data-report-days]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.setReportRange(parseInt(btn.dataset.reportDays));
+                });
+            });
+            document.getElementById('period-report-btn').addEventListener('click', () => {
+                const range = this.getReportRange();
+                if (range) ReportGenerator.generatePeriodReport(range.startDate, range.endDate);
+            });
+            document.getElementById('export-entries-btn').addEventListener('click', () => {
+                const range = this.getReportRange();
+                if (range) CsvExporter.exportEntries(range.startDate, range.endDate);
+            });
+            document.getElementById('export-daily-btn').addEventListener('click', () => {
+                const range = this.getReportRange();
+                if (range) CsvExporter.exportDailyTotals(range.startDate, range.endDate);
+            });
+            this.setReportRange(7);
+        },
+
+        // set the report range to the last few days including today
+        setReportRange(days) {
+            const today = Utils.getDateString();
+            const startInput = document.getElementById('report-start');
+            const endInput = document.getElementById('report-end');
+
+            startInput.value = Utils.addDays(today, -(days - 1));
+            endInput.value = today;
+            startInput.max = today;
+            endInput.max = today;
+        },
+
+        // get the chosen report and export range, or null after showing why it is invalid
+        getReportRange() {
+            const startDate = document.getElementById('report-start').value;
+            const endDate = document.getElementById('report-end').value;
+
+            if (!startDate || !endDate || startDate > endDate) {
+                ToastManager.show(I18n.t('history.invalidRange'), 'error');
+                return null;
+            }
+            if (Utils.addDays(startDate, CONFIG.MAX_REPORT_DAYS) <= endDate) {
+                ToastManager.show(I18n.t('history.rangeTooLong', { days: CONFIG.MAX_REPORT_DAYS }), 'error');
+                return null;
+            }
+
+            return { startDate, endDate };
+        },
+
+        // render averages and the list of stored days
+        render() {
+            const historySection = document.getElementById('history-section');
+            const history = StorageManager.getTrackingHistory();
+
+            if (history.length === 0) {
+                historySection.style.display = 'none';
+                this.selectedDate = null;
+                return;
+            }
+
+            historySection.style.display = 'block';
+
+            const fallbackGoal = UIManager.getCurrentGoal();
+            const summaries = history.map(day => Calculator.summarizeDay(day.date, day, fallbackGoal));
+            const today = Utils.getDateString();
+
+            this.renderAverage('weekly', Calculator.calculatePeriodAverage(summaries, today, 7));
+            this.renderAverage('monthly', Calculator.calculatePeriodAverage(summaries, today, 30));
+            this.renderDayList(summaries);
+
+            // keep an open drill-down in sync with the stored data
+            if (this.selectedDate) {
+                this.showDay(this.selectedDate);
+            }
+        },
+
+        // render one period average card
+        renderAverage(period, average) {
+            document.getElementById(`${period}-average`).textContent = UIManager.formatVolume(average.averageIntake);
+            document.getElementById(`${period}-percentage`).textContent = I18n.t('history.percentOfGoal', { percentage: average.averagePercentage });
+            document.getElementById(`${period}-days`).textContent =
+                I18n.t('history.daysOnGoal', { met: average.daysGoalMet, logged: average.daysLogged });
+        },
+
+        // render the list of days (newest first)
+        renderDayList(summaries) {
+            const dayList = document.getElementById('history-list');
+
+            dayList.innerHTML = summaries.map(day => `
+                <button type="button" class="history-day${day.goalMet ? ' goal-met' : ''}${day.date === this.selectedDate ? ' selected' : ''}" data-date="${day.date}" aria-label="${I18n.t('history.showDay', { date: Utils.formatDate(day.date) })}">
+                    <span class="history-date">${Utils.formatDate(day.date)}</span>
+                    <span class="history-total">${UIManager.formatVolume(day.total)} / ${UIManager.formatVolume(day.goal)}</span>
+                    <span class="history-bar" aria-hidden="true">
+                        <span class="history-bar-fill" style="width: ${Math.min(day.percentage, 100)}%"></span>
+                    </span>
+                    <span class="history-percentage">${day.percentage}%</span>
+                </button>
+            `).join('');
+
+            dayList.querySelectorAll('.history-day').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.showDay(btn.dataset.date);
+                });
+            });
+        },
+
+        // show the entries logged on one day
+        showDay(date) {
+            const data = StorageManager.getData();
+            const dayData = data.tracking[date];
+
+            if (!dayData) {
+                this.closeDay();
+                return;
+            }
+
+            this.selectedDate = date;
+
+            const detail = document.getElementById('history-detail');
+            const summary = Calculator.summarizeDay(date, dayData, UIManager.getCurrentGoal());
+
+            document.getElementById('history-detail-title').textContent =
+                Utils.formatDate(date, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+            document.getElementById('history-detail-summary').textContent =
+                I18n.t('history.daySummary', {
+                    total: UIManager.formatVolume(summary.total),
+                    goal: UIManager.formatVolume(summary.goal),
+                    percentage: summary.percentage,
+                    entries: summary.entries
+                });
+
+            const entries = [...(dayData.waterIntake || [])]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            const electrolyteEntries = [...(dayData.electrolyteIntake || [])]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+            const entriesList = document.getElementById('history-detail-list');
+            if (entries.length === 0 && electrolyteEntries.length === 0) {
+                entriesList.innerHTML = `<p class="empty-state">${I18n.t('history.noEntries')}</p>`;
+            } else {
+                entriesList.innerHTML = entries.map(entry => `
+                    <div class="intake-item" data-date="${date}" data-index="${dayData.waterIntake.indexOf(entry)}">
+                        <div class="intake-info">
+                            <span class="intake-amount">${UIManager.formatIntakeEntry(entry)}</span>
+                            <span class="intake-time">${Utils.formatTime(entry.timestamp)}${UIManager.formatEffectiveNote(entry)}</span>
+                        </div>
+                        ${EntryEditor.renderActions()}
+                    </div>
+                `).join('') + electrolyteEntries.map(entry => `
+                    <div class="intake-item">
+                        <div class="intake-info">
+                            <span class="intake-amount">${UIManager.formatElectrolyteEntry(entry)}</span>
+                            <span class="intake-time">${Utils.formatTime(entry.timestamp)}</span>
+                        </div>
+                    </div>
+                `).join('');
+            }
+
+            detail.style.display = 'block';
+            document.querySelectorAll('.history-day').forEach(btn => {
+                btn.classList.toggle('selected', btn.dataset.date === date);
+            });
+        },
+
+        // close the day drill-down
+        closeDay() {
+            this.selectedDate = null;
+            document.getElementById('history-detail').style.display = 'none';
+            document.querySelectorAll('.history-day.selected').forEach(btn => {
+                btn.classList.remove('selected');
+            });
+        }
+    };
+
+    // edit, backfill and undo drink entries on today or a stored past day
+    const EntryEditor = {
+        undoState: null,
+
+        // handle the entry buttons of today's list and the history drill-down
+        init() {
+            ['intake-list', 'history-detail-list'].forEach(id => {
+                document.getElementById(id).addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-entry-action]');
+                    if (!button) return;
+
+                    const item = button.closest('.intake-item');
+                    const { date, index } = item.dataset;
+                    const actions = {
+                        edit: () => this.openEditor(item, date, parseInt(index)),
+                        delete: () => this.deleteEntry(date, parseInt(index)),
+                        save: () => this.saveEditor(item, date, parseInt(index)),
+                        cancel: () => this.refresh(date)
+                    };
+                    actions[button.dataset.entryAction]();
+                });
+            });
+
+            // the drill-down can add drinks to the day it shows
+            const beverageSelect = document.getElementById('history-beverage');
+            beverageSelect.innerHTML = document.getElementById('intake-beverage').innerHTML;
+            beverageSelect.value = CONFIG.DEFAULT_BEVERAGE;
+            document.getElementById('history-add-btn').addEventListener('click', () => {
+                this.submitHistoryEntry();
+            });
+        },
+
+        // render the edit and delete buttons of a water entry
+        renderActions() {
+            return `
+                <div class="entry-actions">
+                    <button type="button" class="edit-btn" data-entry-action="edit" aria-label="${I18n.t('entries.edit')}">
+                        <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                            <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"/>
+                        </svg>
+                    </button>
+                    <button type="button" class="delete-btn" data-entry-action="delete" aria-label="${I18n.t('tracker.deleteEntry')}">
+                        <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                            <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
+                        </svg>
+                    </button>
+                </div>
+            `;
+        },
+
+        // swap an entry for a form to change its amount, drink and time
+        openEditor(item, date, index) {
+            const entry = StorageManager.getDayTracking(date).waterIntake[index];
+            if (!entry) return;
+
+            const unit = UIManager.getVolumeUnit();
+            item.classList.add('editing');
+            item.innerHTML = `
+                <div class="entry-edit-form">
+                    <select class="form-select beverage-select entry-edit-beverage" aria-label="${I18n.t('tracker.beverage')}">
+                        ${document.getElementById('intake-beverage').innerHTML}
+                    </select>
+                    <input type="number" class="form-input entry-edit-amount" min="0" step="any" value="${Utils.toVolumeUnit(entry.amount, unit)}" aria-label="${I18n.t('entries.amount')}">
+                    <span class="input-unit">${CONFIG.VOLUME_UNITS[unit].label}</span>
+                    <input type="time" class="form-input entry-edit-time" value="${Utils.getTimeString(new Date(entry.timestamp))}" aria-label="${I18n.t('entries.time')}">
+                    <button type="button" class="btn btn-secondary" data-entry-action="save">${I18n.t('common.save')}</button>
+                    <button type="button" class="btn btn-secondary-outline" data-entry-action="cancel">${I18n.t('common.cancel')}</button>
+                </div>
+            `;
+            item.querySelector('.entry-edit-beverage').value = CONFIG.BEVERAGES[entry.beverage] ? entry.beverage : CONFIG.DEFAULT_BEVERAGE;
+            item.querySelector('.entry-edit-amount').focus();
+        },
+
+        // apply the editor's values to the entry
+        saveEditor(item, date, index) {
+            const amount = Utils.fromVolumeUnit(parseFloat(item.querySelector('.entry-edit-amount').value), UIManager.getVolumeUnit());
+            const timestamp = this.getTimestamp(date, item.querySelector('.entry-edit-time').value);
+            if (!UIManager.validateIntakeAmount(amount) || !timestamp) {
+                return;
+            }
+
+            const dayData = StorageManager.getDayTracking(date);
+            const previous = JSON.parse(JSON.stringify(dayData));
+            const entry = dayData.waterIntake[index];
+            Object.assign(entry, {
+                amount: amount,
+                beverage: item.querySelector('.entry-edit-beverage').value,
+                time: Utils.getTimeString(new Date(timestamp)),
+                timestamp: timestamp
+            });
+            this.commit(date, dayData, previous, I18n.t('entries.updated'));
+        },
+
+        // add a drink at a chosen time
+        addEntry(date, amount, beverage, time) {
+            const timestamp = this.getTimestamp(date, time);
+            if (!timestamp) return false;
+
+            const dayData = StorageManager.getDayTracking(date);
+            const previous = JSON.parse(JSON.stringify(dayData));
+            const entry = {
+                amount: amount,
+                beverage: CONFIG.BEVERAGES[beverage] ? beverage : CONFIG.DEFAULT_BEVERAGE,
+                time: Utils.getTimeString(new Date(timestamp)),
+                timestamp: timestamp
+            };
+            dayData.waterIntake = dayData.waterIntake || [];
+            dayData.waterIntake.push(entry);
+            this.commit(date, dayData, previous, I18n.t('entries.added', {
+                amount: UIManager.formatVolume(amount),
+                time: Utils.formatTime(timestamp)
+            }));
+            return true;
+        },
+
+        // add the drink entered in the history drill-down
+        submitHistoryEntry() {
+            const amountInput = document.getElementById('history-amount');
+            const timeInput = document.getElementById('history-time');
+            const amount = Utils.fromVolumeUnit(parseFloat(amountInput.value), UIManager.getVolumeUnit());
+            if (!UIManager.validateIntakeAmount(amount)) {
+                return;
+            }
+            if (!timeInput.value) {
+                ToastManager.show(I18n.t('entries.timeRequired'), 'error');
+                return;
+            }
+
+            if (this.addEntry(HistoryManager.selectedDate, amount, document.getElementById('history-beverage').value, timeInput.value)) {
+                amountInput.value = '';
+                timeInput.value = '';
+            }
+        },
+
+        // remove a water entry
+        deleteEntry(date, index) {
+            const dayData = StorageManager.getDayTracking(date);
+            const previous = JSON.parse(JSON.stringify(dayData));
+            dayData.waterIntake.splice(index, 1);
+            this.commit(date, dayData, previous, I18n.t('tracker.entryDeleted'));
+        },
+
+        // turn an HH:MM time on a tracking day into a timestamp, refusing the future
+        getTimestamp(date, time) {
+            if (!/^\d{2}:\d{2}$/.test(time)) {
+                ToastManager.show(I18n.t('entries.timeRequired'), 'error');
+                return null;
+            }
+
+            const moment = Utils.getTrackingTime(date, time);
+            if (moment > new Date()) {
+                ToastManager.show(I18n.t('entries.futureTime'), 'error');
+                return null;
+            }
+            return moment.toISOString();
+        },
+
+        // save a changed day, show it and offer to undo the change; a backfilled or
+        // edited drink that makes an hour unsafe is recorded and shown like a new one
+        commit(date, dayData, previous, message) {
+            const safety = this.checkSafety(dayData);
+            const raised = safety.rank > this.checkSafety(previous).rank;
+            if (raised) {
+                UIManager.recordSafetyEvents(dayData, safety.check, safety.timestamp);
+            }
+
+            StorageManager.saveDayTracking(date, dayData);
+            this.refresh(date);
+            this.undoState = { date, dayData: previous };
+
+            if (raised) {
+                const { level, alerts } = safety.check;
+                const alert = alerts.find(item => item.level === level);
+                ToastManager.showAction(`${message} ${UIManager.formatSafetyAlert(alert)}`, I18n.t('entries.undo'), () => this.undo(),
+                    level === 'caution' ? 'warning' : 'error', CONFIG.SAFETY_ALERT_DURATION[level]);
+                return;
+            }
+            ToastManager.showAction(message, I18n.t('entries.undo'), () => this.undo());
+        },
+
+        // the worst overhydration check of a day, over the hour up to each drink
+        checkSafety(dayData) {
+            const levels = ['ok', 'caution', 'warning', 'danger'];
+            return (dayData.waterIntake || []).reduce((worst, entry) => {
+                const check = UIManager.checkIntakeSafety(dayData, new Date(entry.timestamp));
+                const rank = levels.indexOf(check.level);
+                return rank > worst.rank ? { rank, check, timestamp: entry.timestamp } : worst;
+            }, { rank: 0, check: null, timestamp: null });
+        },
+
+        // put the day back as it was before the last change
+        undo() {
+            if (!this.undoState) return;
+
+            const { date, dayData } = this.undoState;
+            this.undoState = null;
+            StorageManager.saveDayTracking(date, dayData);
+            this.refresh(date);
+            ToastManager.show(I18n.t('entries.undone'), 'success');
+        },
+
+        // re-render whatever shows the day
+        refresh(date) {
+            if (date === Utils.getDateString()) {
+                UIManager.updateTrackingUI(StorageManager.getTodayTracking(), UIManager.getCurrentGoal());
+            } else {
+                HistoryManager.render();
+            }
+        }
+    };
+
+    // the profile's quick-add containers: add, reorder and delete
+    const ContainerManager = {
+        // setup the container editor
+        init() {
+            const toggleBtn = document.getElementById('manage-containers-btn');
+            const panel = document.getElementById('container-manager');
+
+            toggleBtn.addEventListener('click', () => {
+                const open = panel.style.display === 'none';
+                panel.style.display = open ? 'block' : 'none';
+                toggleBtn.setAttribute('aria-expanded', String(open));
+            });
+
+            // containers can have a drink of their own or follow the selected one
+            document.getElementById('container-beverage').insertAdjacentHTML('beforeend', document.getElementById('intake-beverage').innerHTML);
+            document.getElementById('container-beverage').value = '';
+
+            document.getElementById('add-container-btn').addEventListener('click', () => {
+                this.submitForm();
+            });
+
+            document.getElementById('container-list').addEventListener('click', (e) => {
+                const button = e.target.closest('[data-container-action]');
+                if (!button) return;
+
+                const index = parseInt(button.closest('.container-item').dataset.index);
+                const actions = {
+                    up: () => this.move(index, -1),
+                    down: () => this.move(index, 1),
+                    delete: () => this.remove(index)
+                };
+                actions[button.dataset.containerAction]();
+            });
+
+            this.render();
+        },
+
+        // get a container's display name
+        getName(container) {
+            return container.name || I18n.t(`tracker.sizes.${container.size}`);
+        },
+
+        // list the containers and refresh the icon choices
+        render() {
+            const containers = StorageManager.getContainers();
+            const list = document.getElementById('container-list');
+
+            const iconSelect = document.getElementById('container-icon');
+            const selectedIcon = iconSelect.value;
+            iconSelect.innerHTML = `<option value="">${I18n.t('containers.noIcon')}</option>` +
+                Object.keys(CONFIG.CONTAINER_ICONS).map(key => `
+                    <option value="${key}">${CONFIG.CONTAINER_ICONS[key]} ${I18n.t(`containers.icons.${key}`)}</option>
+                `).join('');
+            iconSelect.value = selectedIcon;
+
+            if (containers.length === 0) {
+                list.innerHTML = `<li class="empty-state">${I18n.t('containers.none')}</li>`;
+                return;
+            }
+
+            list.innerHTML = containers.map((container, index) => `
+                <li class="intake-item container-item" data-index="${index}">
+                    <div class="intake-info">
+                        <span class="intake-amount">${CONFIG.CONTAINER_ICONS[container.icon] || ''} ${Utils.sanitize(this.getName(container))}</span>
+                        <span class="intake-time">${UIManager.formatVolume(container.amount)} · ${container.beverage ? UIManager.formatBeverage(container) : I18n.t('containers.anyBeverage')}</span>
+                    </div>
+                    <div class="entry-actions">
+                        <button type="button" class="edit-btn" data-container-action="up" aria-label="${I18n.t('containers.moveUp', { name: Utils.sanitize(this.getName(container)) })}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                        <button type="button" class="edit-btn" data-container-action="down" aria-label="${I18n.t('containers.moveDown', { name: Utils.sanitize(this.getName(container)) })}" ${index === containers.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button type="button" class="delete-btn" data-container-action="delete" aria-label="${I18n.t('containers.delete', { name: Utils.sanitize(this.getName(container)) })}">
+                            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                                <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
+                            </svg>
+                        </button>
+                    </div>
+                </li>
+            `).join('');
+        },
+
+        // validate and add the container from the form
+        submitForm() {
+            const nameInput = document.getElementById('container-name');
+            const amountInput = document.getElementById('container-amount');
+            const errorElement = document.getElementById('container-error');
+            const containers = StorageManager.getContainers();
+            const name = nameInput.value.trim();
+            const amount = Utils.fromVolumeUnit(parseFloat(amountInput.value), UIManager.getVolumeUnit());
+
+            errorElement.textContent = '';
+            if (!name || name.length > CONFIG.MAX_CONTAINER_NAME_LENGTH) {
+                errorElement.textContent = I18n.t('containers.nameInvalid', { max: CONFIG.MAX_CONTAINER_NAME_LENGTH });
+                return;
+            }
+            if (containers.length >= CONFIG.MAX_CONTAINERS) {
+                errorElement.textContent = I18n.t('containers.tooMany', { max: CONFIG.MAX_CONTAINERS });
+                return;
+            }
+            if (!UIManager.validateIntakeAmount(amount)) {
+                return;
+            }
+
+            const container = {
+                id: `container-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                name: name,
+                amount: amount
+            };
+            const beverage = document.getElementById('container-beverage').value;
+            const icon = document.getElementById('container-icon').value;
+            if (beverage) container.beverage = beverage;
+            if (icon) container.icon = icon;
+
+            containers.push(container);
+            this.save(containers);
+            nameInput.value = '';
+            amountInput.value = '';
+            ToastManager.show(I18n.t('containers.added', { name: name }), 'success');
+        },
+
+        // move a container one place up (-1) or down (1)
+        move(index, offset) {
+            const containers = StorageManager.getContainers();
+            const target = index + offset;
+            if (target < 0 || target >= containers.length) return;
+
+            [containers[index], containers[target]] = [containers[target], containers[index]];
+            this.save(containers);
+
+            // keep focus on the moved container's button
+            const button = document.querySelector(`.container-item[data-index="${target}"] [data-container-action="${offset < 0 ? 'up' : 'down'}"]`);
+            if (button && !button.disabled) button.focus();
+        },
+
+        // delete a container
+        remove(index) {
+            const containers = StorageManager.getContainers();
+            const [removed] = containers.splice(index, 1);
+            if (!removed) return;
+
+            this.save(containers);
+            ToastManager.show(I18n.t('containers.deleted', { name: this.getName(removed) }), 'info');
+        },
+
+        // store the containers and refresh the quick add row
+        save(containers) {
+            StorageManager.saveContainers(containers);
+            this.render();
+            UIManager.updateQuickButtons(document.getElementById('intake-beverage').value);
+        }
+    };
+
+    // sweat rate tests
+    const SweatTestManager = {
+        // initialize sweat test form
+        init() {
+            const addBtn = document.getElementById('add-sweat-test-btn');
+            const dateInput = document.getElementById('sweat-date');
+
+            dateInput.value = Utils.getDateString();
+
+            addBtn.addEventListener('click', () => {
+                this.submitForm();
+            });
+
+            // the average prefers tests at the planned intensity
+            document.getElementById('exercise-intensity').addEventListener('change', () => {
+                this.render();
+            });
+
+            this.updateWeightUnit(UIManager.getWeightUnit());
+        },
+
+        // show the weight unit used by the main form, converting entered weights
+        updateWeightUnit(unit, previousUnit) {
+            document.querySelectorAll('.sweat-weight-unit').forEach(label => {
+                label.textContent = unit;
+            });
+
+            if (!previousUnit || previousUnit === unit) return;
+
+            ['sweat-pre-weight', 'sweat-post-weight'].forEach(id => {
+                const input = document.getElementById(id);
+                const value = parseFloat(input.value);
+                if (!isNaN(value) && value > 0) {
+                    input.value = (value * (unit === 'kg' ? CONFIG.LBS_TO_KG : CONFIG.KG_TO_LBS)).toFixed(1);
+                }
+            });
+        },
+
+        // read the form into a sweat test (weights in kg, fluids in ml)
+        readForm() {
+            const toKg = UIManager.getWeightUnit() === 'lbs' ? CONFIG.LBS_TO_KG : 1;
+            const volumeUnit = UIManager.getVolumeUnit();
+
+            return {
+                date: document.getElementById('sweat-date').value || Utils.getDateString(),
+                preWeight: parseFloat(document.getElementById('sweat-pre-weight').value) * toKg,
+                postWeight: parseFloat(document.getElementById('sweat-post-weight').value) * toKg,
+                fluidIntake: Utils.fromVolumeUnit(parseFloat(document.getElementById('sweat-fluid').value) || 0, volumeUnit),
+                urineOutput: Utils.fromVolumeUnit(parseFloat(document.getElementById('sweat-urine').value) || 0, volumeUnit),
+                duration: parseInt(document.getElementById('sweat-duration').value),
+                intensity: document.getElementById('sweat-intensity').value,
+                climate: document.getElementById('sweat-climate').value,
+                timestamp: Utils.getTimestamp()
+            };
+        },
+
+        // validate a sweat test, showing the first problem
+        validate(sweatTest) {
+            const check = Calculator.checkSweatTest(sweatTest);
+
+            if (check.reason === 'weights') {
+                ToastManager.show(I18n.t('sweat.weightsRequired'), 'error');
+                return false;
+            }
+
+            if (check.reason === 'duration') {
+                ToastManager.show(I18n.t('sweat.durationRange', CONFIG.SWEAT_TEST_DURATION_RANGE), 'error');
+                return false;
+            }
+
+            if (check.reason === 'fluid') {
+                ToastManager.show(I18n.t('sweat.fluidTooLarge', { max: UIManager.formatVolume(CONFIG.MAX_SWEAT_TEST_FLUID) }), 'error');
+                return false;
+            }
+
+            if (check.reason === 'implausible') {
+                ToastManager.show(
+                    I18n.t('sweat.implausible', {
+                        rate: UIManager.formatVolumeRate(check.sweatRate),
+                        min: UIManager.formatVolume(CONFIG.SWEAT_RATE.min),
+                        max: UIManager.formatVolumeRate(CONFIG.SWEAT_RATE.max)
+                    }),
+                    'error',
+                    6000
+                );
+                return false;
+            }
+
+            return true;
+        },
+
+        // save the test from the form
+        submitForm() {
+            const sweatTest = this.readForm();
+            if (!this.validate(sweatTest)) {
+                return;
+            }
+
+            const sweatTests = StorageManager.getSweatTests();
+            sweatTests.push(sweatTest);
+
+            if (!StorageManager.saveSweatTests(sweatTests)) {
+                return;
+            }
+
+            ['sweat-pre-weight', 'sweat-post-weight', 'sweat-fluid', 'sweat-urine', 'sweat-duration'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+
+            this.render();
+
+            const { sweatRate } = Calculator.calculateSweatRate(sweatTest);
+            ToastManager.show(I18n.t('sweat.saved', { rate: UIManager.formatVolumeRate(sweatRate) }), 'success', 6000);
+        },
+
+        // delete a test after confirmation
+        deleteTest(index) {
+            ToastManager.showConfirm(
+                I18n.t('sweat.confirmDelete'),
+                () => {
+                    const sweatTests = StorageManager.getSweatTests();
+                    sweatTests.splice(index, 1);
+                    StorageManager.saveSweatTests(sweatTests);
+                    this.render();
+                    ToastManager.show(I18n.t('sweat.deleted'), 'info');
+                },
+                null,
+                'warning'
+            );
+        },
+
+        // render the average and the list of tests (newest first)
+        render() {
+            const sweatTests = StorageManager.getSweatTests();
+            const summary = document.getElementById('sweat-rate-summary');
+            const testList = document.getElementById('sweat-test-list');
+
+            if (sweatTests.length === 0) {
+                summary.textContent = I18n.t('sweat.noTestsSummary', { rate: UIManager.formatVolumeRate(CONFIG.EXERCISE_WATER_PER_HOUR) });
+                testList.innerHTML = `<p class="empty-state">${I18n.t('sweat.noTests')}</p>`;
+                return;
+            }
+
+            const intensity = document.getElementById('exercise-intensity').value;
+            const averageRate = Calculator.averageSweatRate(sweatTests, intensity);
+            const testCount = Math.min(sweatTests.length, CONFIG.SWEAT_TEST_AVERAGE_COUNT);
+            summary.textContent = I18n.t(testCount === 1 ? 'sweat.summaryOne' : 'sweat.summaryMany', {
+                rate: UIManager.formatVolumeRate(averageRate),
+                count: testCount,
+                intensity: I18n.t(`intensityName.${intensity}`)
+            });
+
+            const sortedTests = [...sweatTests].sort((a, b) =>
+                String(b.date).localeCompare(String(a.date)) || new Date(b.timestamp) - new Date(a.timestamp)
+            );
+
+            testList.innerHTML = sortedTests.map(sweatTest => {
+                const result = Calculator.calculateSweatRate(sweatTest);
+
+                return `
+                    <div class="intake-item">
+                        <div class="intake-info">
+                            <span class="intake-amount">${UIManager.formatVolumeRate(result.sweatRate)}</span>
+                            <span class="intake-time">${I18n.t('sweat.testDetails', {
+                                date: Utils.formatDate(sweatTest.date),
+                                duration: sweatTest.duration,
+                                intensity: I18n.t(`intensityName.${sweatTest.intensity || 'medium'}`),
+                                climate: ReportGenerator.formatClimate(sweatTest.climate),
+                                change: Utils.formatDecimal(result.bodyMassChange, 1)
+                            })}</span>
+                        </div>
+                        <button class="delete-btn" data-index="${sweatTests.indexOf(sweatTest)}" aria-label="${I18n.t('sweat.deleteTest')}">
+                            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                                <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
+                            </svg>
+                        </button>
+                    </div>
+                `;
+            }).join('');
+
+            // add delete listeners
+            testList.querySelectorAll('.delete-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.deleteTest(parseInt(btn.dataset.index));
+                });
+            });
         },
 
-        // format altitude for display
-        formatAltitude(altitude) {
-            const altitudes = {
-                'sea-level': 'Sea Level (0-500m)',
-                moderate: 'Moderate (500-2000m)',
-                high: 'High (> 2000m)'
-            };
-            return altitudes[altitude] || 'Not specified';
+        // average sweat rate for the given intensity, if any tests exist
+        getSweatRate(intensity) {
+            return Calculator.averageSweatRate(StorageManager.getSweatTests(), intensity);
         }
     };
 
-    // calculation engine
-    const Calculator = {
-        // calculate water requirements
-        calculateWater(params) {
-            const {
-                weight,
-                activityLevel,
-                exerciseDuration,
-                exerciseIntensity,
-                climate,
-                altitude,
-                pregnant,
-                breastfeeding,
-                illness,
-                kidneyDisease
-            } = params;
-
-            // base water requirement
-            let waterRequirement = weight * CONFIG.BASE_WATER_PER_KG;
-
-            // activity level multiplier
-            const activityMultipliers = {
-                sedentary: 1.0,
-                light: 1.1,
-                moderate: 1.2,
-                active: 1.3,
-                athlete: 1.4
-            };
-            waterRequirement *= activityMultipliers[activityLevel] || 1.0;
-
-            // exercise adjustment
-            const exerciseHours = exerciseDuration / 60;
-            const intensityMultipliers = {
-                low: 0.8,
-                medium: 1.0,
-                high: 1.3
-            };
-            const exerciseWater = exerciseHours * CONFIG.EXERCISE_WATER_PER_HOUR * 
-                (intensityMultipliers[exerciseIntensity] || 1.0);
-            waterRequirement += exerciseWater;
-
-            // climate adjustment
-            const climateMultipliers = {
-                cool: 1.0,
-                moderate: 1.0,
-                hot: 1.2,
-                'very-hot': 1.4
-            };
-            waterRequirement *= climateMultipliers[climate] || 1.0;
+    // drink reminders (shown through the service worker)
+    const ReminderManager = {
+        registration: null,
+        timer: null,
 
-            // altitude adjustment
-            const altitudeAdditions = {
-                'sea-level': 0,
-                moderate: 500,
-                high: 1000
-            };
-            waterRequirement += altitudeAdditions[altitude] || 0;
+        // initialize reminder controls and the minute check
+        init() {
+            const enabledInput = document.getElementById('reminders-enabled');
+            const modeSelect = document.getElementById('reminder-mode');
+            const intervalSelect = document.getElementById('reminder-interval');
+            const countSelect = document.getElementById('reminder-count');
+            const wakeInput = document.getElementById('wake-time');
+            const sleepInput = document.getElementById('sleep-time');
+
+            // notifications go through the service worker once it is active
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.ready.then(registration => {
+                    this.registration = registration;
+                });
+            }
 
-            // health conditions
-            if (pregnant) waterRequirement += 300;
-            if (breastfeeding) waterRequirement += 700;
-            if (illness) waterRequirement += 1000;
-            if (kidneyDisease) {
-                waterRequirement = Math.min(waterRequirement, 2000);
-            }
-
-            // apply safety limits
-            waterRequirement = Math.max(CONFIG.MIN_WATER, waterRequirement);
-            waterRequirement = Math.min(CONFIG.MAX_WATER, waterRequirement);
-
-            return Math.round(waterRequirement);
-        },
-
-        // calculate electrolyte requirements
-        calculateElectrolytes(params) {
-            const {
-                gender,
-                age,
-                exerciseDuration,
-                exerciseIntensity,
-                climate
-            } = params;
-
-            // base requirements
-            let sodium = 2000;
-            let potassium = gender === 'male' ? 3400 : 2600;
-            let magnesium = gender === 'male' ? CONFIG.MAGNESIUM.male : CONFIG.MAGNESIUM.female;
-            let calcium = age >= 65 ? CONFIG.CALCIUM.senior : CONFIG.CALCIUM.young;
-
-            // exercise adjustments
-            const exerciseHours = exerciseDuration / 60;
-            const intensityMultipliers = {
-                low: 0.5,
-                medium: 1.0,
-                high: 1.5
-            };
-            const sweatMultiplier = intensityMultipliers[exerciseIntensity] || 1.0;
-            
-            // sodium loss in sweat
-            sodium += exerciseHours * 1000 * sweatMultiplier;
-            potassium += exerciseHours * 200 * sweatMultiplier;
-
-            // climate adjustments
-            const climateMultipliers = {
-                cool: 1.0,
-                moderate: 1.0,
-                hot: 1.15,
-                'very-hot': 1.3
-            };
-            const climateMultiplier = climateMultipliers[climate] || 1.0;
-            sodium *= climateMultiplier;
-            potassium *= climateMultiplier;
+            enabledInput.addEventListener('change', async () => {
+                if (enabledInput.checked && !(await this.requestPermission())) {
+                    enabledInput.checked = false;
+                    return;
+                }
+                this.saveSettings({
+                    enabled: enabledInput.checked,
+                    lastNotified: enabledInput.checked ? Utils.getTimestamp() : null
+                });
+                ToastManager.show(I18n.t(enabledInput.checked ? 'reminders.turnedOn' : 'reminders.turnedOff'), 'info');
+            });
+
+            modeSelect.addEventListener('change', () => {
+                this.saveSettings({ mode: modeSelect.value });
+            });
+
+            intervalSelect.addEventListener('change', () => {
+                this.saveSettings({ interval: parseInt(intervalSelect.value) });
+            });
+
+            countSelect.addEventListener('change', () => {
+                this.saveSettings({ count: parseInt(countSelect.value) });
+            });
+
+            [wakeInput, sleepInput].forEach(input => {
+                input.addEventListener('change', () => {
+                    if (!wakeInput.value || !sleepInput.value || wakeInput.value === sleepInput.value) {
+                        ToastManager.show(I18n.t('reminders.sameTimes'), 'error');
+                        this.render();
+                        return;
+                    }
+                    StorageManager.saveSchedule({ wakeTime: wakeInput.value, sleepTime: sleepInput.value });
+                    this.render();
+                    UIManager.updatePace();
+                    UIManager.renderIntakeChart();
+                });
+            });
+
+            this.render();
+
+            // timers are throttled in background tabs but still run about once a minute
+            this.timer = setInterval(() => {
+                this.check();
+            }, CONFIG.REMINDER_CHECK_INTERVAL);
+        },
+
+        // ask for notification permission
+        async requestPermission() {
+            if (!('Notification' in window)) {
+                ToastManager.show(I18n.t('reminders.unsupported'), 'error');
+                return false;
+            }
+
+            const permission = Notification.permission === 'granted'
+                ? 'granted'
+                : await Notification.requestPermission();
 
-            // cap at danger levels
-            sodium = Math.min(sodium, CONFIG.SODIUM.danger - 100);
-            potassium = Math.min(potassium, CONFIG.POTASSIUM.danger - 100);
-            magnesium = Math.min(magnesium, CONFIG.MAGNESIUM.danger - 100);
-            calcium = Math.min(calcium, CONFIG.CALCIUM.danger - 100);
+            if (permission !== 'granted') {
+                ToastManager.show(I18n.t('reminders.blocked'), 'error', 6000);
+                return false;
+            }
+            return true;
+        },
 
+        // get reminder settings with defaults
+        getSettings() {
             return {
-                sodium: Math.round(sodium),
-                potassium: Math.round(potassium),
-                magnesium: Math.round(magnesium),
-                calcium: Math.round(calcium)
+                enabled: false,
+                mode: 'interval',
+                interval: CONFIG.DEFAULT_REMINDER_INTERVAL,
+                count: CONFIG.DEFAULT_REMINDER_COUNT,
+                lastNotified: null,
+                ...StorageManager.getReminderSettings()
             };
         },
 
-        // generate personalized recommendations
-        generateRecommendations(params, waterRequirement, electrolytes) {
-            const recommendations = [];
+        // merge changes into the stored settings
+        saveSettings(changes) {
+            StorageManager.saveReminderSettings({ ...this.getSettings(), ...changes });
+            this.render();
+        },
 
-            // water distribution
-            recommendations.push({
-                type: 'info',
-                text: `Distribute your ${Utils.formatNumber(waterRequirement)}ml throughout the day. Aim for ${Math.round(waterRequirement / 8)}ml every 1-2 hours while awake.`
+        // sync the controls with the active profile
+        render() {
+            const settings = this.getSettings();
+            const schedule = StorageManager.getSchedule();
+            const permissionBlocked = 'Notification' in window && Notification.permission === 'denied';
+
+            document.getElementById('reminders-enabled').checked = settings.enabled && !permissionBlocked;
+            document.getElementById('reminder-mode').value = settings.mode;
+            document.getElementById('reminder-interval').value = settings.interval;
+            document.getElementById('reminder-count').value = settings.count;
+            document.getElementById('wake-time').value = schedule.wakeTime;
+            document.getElementById('sleep-time').value = schedule.sleepTime;
+
+            document.getElementById('reminder-interval-group').style.display = settings.mode === 'waking' ? 'none' : '';
+            document.getElementById('reminder-count-group').style.display = settings.mode === 'waking' ? '' : 'none';
+
+            const mode = ['interval', 'waking', 'pace'].includes(settings.mode) ? settings.mode : 'interval';
+            let status = I18n.t(`reminders.mode.${mode}`, {
+                interval: settings.interval,
+                count: settings.count,
+                wake: schedule.wakeTime,
+                sleep: schedule.sleepTime
             });
-
-            // high water warning
-            if (waterRequirement >= CONFIG.DANGER_WATER) {
-                recommendations.push({
-                    type: 'warning',
-                    text: 'High water intake detected. Be mindful of electrolyte balance. Consider sports drinks or electrolyte supplements during intense exercise.'
-                });
+            if (mode === 'pace' && UIManager.getRestrictions().fluid) {
+                status = I18n.t('reminders.restrictedPace');
             }
-
-            // kidney disease warning
-            if (params.kidneyDisease) {
-                recommendations.push({
-                    type: 'warning',
-                    text: 'You indicated kidney disease. Water intake has been capped at 2000ml. Please consult your healthcare provider for personalized guidance.'
-                });
+            if (permissionBlocked) {
+                status = I18n.t('reminders.blockedStatus');
             }
+            document.getElementById('reminder-status').textContent = `${status} ${I18n.t('reminders.quietNote')}`;
+        },
 
-            // exercise-specific advice
-            if (params.exerciseDuration > 60) {
-                recommendations.push({
-                    type: 'info',
-                    text: 'For exercise longer than 60 minutes, consume 150-250ml of water every 15-20 minutes. Consider electrolyte drinks.'
-                });
+        // decide whether a reminder is due and show it
+        check(now = new Date()) {
+            const settings = this.getSettings();
+            if (!settings.enabled || !('Notification' in window) || Notification.permission !== 'granted') {
+                return;
             }
 
-            // climate advice
-            if (params.climate === 'hot' || params.climate === 'very-hot') {
-                recommendations.push({
-                    type: 'warning',
-                    text: 'Hot climate detected. Monitor for signs of dehydration: dark urine, dizziness, fatigue. Increase intake if needed.'
-                });
+            // suppressed once the day's goal is met; a fluid limit counts the volume drunk
+            // and never asks to catch up
+            const goal = UIManager.getCurrentGoal();
+            const todayData = StorageManager.getTodayTracking();
+            const totals = Calculator.calculateDailyTotals(todayData);
+            const restricted = UIManager.getRestrictions().fluid > 0;
+            const total = restricted ? totals.volume : totals.water;
+            if (goal <= 0 || total >= goal || (restricted && settings.mode === 'pace')) {
+                return;
             }
 
-            // sodium advice
-            if (electrolytes.sodium > 3000) {
-                recommendations.push({
-                    type: 'info',
-                    text: 'High sodium requirement due to exercise/climate. Good sources: sports drinks, salted nuts, pickles, broth.'
-                });
+            // only while awake
+            const schedule = StorageManager.getSchedule();
+            const progress = Calculator.getWakingProgress(schedule, now);
+            if (progress <= 0 || progress >= 1) {
+                return;
             }
 
-            // potassium-rich foods
-            recommendations.push({
-                type: 'info',
-                text: `Potassium sources: bananas, sweet potatoes, spinach, avocado, beans. Target: ${Utils.formatNumber(electrolytes.potassium)}mg/day.`
-            });
+            const message = this.getDueMessage(settings, { goal, total, progress, schedule, todayData }, now);
+            if (message) {
+                this.notify(message);
+            }
+        },
 
-            // magnesium sources
-            recommendations.push({
-                type: 'info',
-                text: `Magnesium sources: almonds, spinach, black beans, dark chocolate, pumpkin seeds. Target: ${electrolytes.magnesium}mg/day.`
+        // build the reminder text if one is due for the selected mode
+        getDueMessage(settings, state, now) {
+            const { goal, total, progress, schedule, todayData } = state;
+            const lastNotified = settings.lastNotified ? new Date(settings.lastNotified) : null;
+            const drinkNow = I18n.t(UIManager.getRestrictions().fluid ? 'reminders.drinkWithinLimit' : 'reminders.drinkNow', {
+                remaining: UIManager.formatVolume(goal - total),
+                percentage: Math.round((total / goal) * 100)
             });
 
-            return recommendations;
-        },
-
-        // validate inconsistencies in user input
-        validateConsistency(params) {
-            const warnings = [];
+            if (settings.mode === 'waking') {
+                // the last reminder belongs to this waking window when it is under a day old
+                // and no further into a window, whatever the calendar date or day start
+                const slot = Math.floor(progress * settings.count);
+                const lastProgress = lastNotified ? Calculator.getWakingProgress(schedule, lastNotified) : 0;
+                const sameWindow = lastNotified && now - lastNotified < 24 * 60 * 60000 && lastProgress <= progress;
+                const lastSlot = sameWindow ? Math.floor(lastProgress * settings.count) : -1;
+                return slot > lastSlot ? drinkNow : null;
+            }
 
-            // sedentary with high exercise
-            if (params.activityLevel === 'sedentary' && params.exerciseDuration > 60) {
-                warnings.push('You selected "Sedentary" but indicated significant exercise. Consider selecting a higher activity level.');
+            const minutesSince = time => time ? (now - time) / 60000 : Infinity;
+            if (minutesSince(lastNotified) < settings.interval) {
+                return null;
             }
 
-            // very young with intense exercise
-            if (params.age < 12 && params.exerciseIntensity === 'high') {
-                warnings.push('High-intensity exercise for children under 12 should be supervised. Consult a pediatrician.');
+            if (settings.mode === 'pace') {
+                const pace = Calculator.calculatePace(total, goal, schedule, now);
+                return pace.status === 'behind'
+                    ? I18n.t('reminders.behindPace', { behind: UIManager.formatVolume(-pace.difference) })
+                    : null;
             }
 
-            // multiple health conditions
-            const healthConditions = [
-                params.pregnant,
-                params.breastfeeding,
-                params.illness,
-                params.kidneyDisease
-            ].filter(Boolean).length;
+            const lastDrink = (todayData.waterIntake || []).reduce((latest, entry) => {
+                const time = new Date(entry.timestamp);
+                return !latest || time > latest ? time : latest;
+            }, null);
+            return minutesSince(lastDrink) >= settings.interval ? drinkNow : null;
+        },
+
+        // show a notification, through the service worker when available
+        notify(body) {
+            const title = I18n.t('reminders.title');
+            const options = {
+                body: body,
+                icon: './assets/svgs/water-drop.svg',
+                tag: 'hydration-reminder',
+                renotify: true
+            };
 
-            if (healthConditions >= 2) {
-                warnings.push('Multiple health conditions detected. Please consult your healthcare provider for personalized hydration guidance.');
+            try {
+                if (this.registration) {
+                    this.registration.showNotification(title, options);
+                } else {
+                    new Notification(title, options);
+                }
+            } catch (error) {
+                console.error('Notification error:', error);
+                return;
             }
 
-            return warnings;
+            StorageManager.saveReminderSettings({ ...this.getSettings(), lastNotified: Utils.getTimestamp() });
         }
     };
 
-    // form validator
-    const FormValidator = {
-        // validate weight input
-        validateWeight(weight, unit) {
-            const min = unit === 'kg' ? 20 : 44;
-            const max = unit === 'kg' ? 300 : 661;
-            return Utils.validateNumber(weight, min, max);
+    // UI manager
+    const UIManager = {
+        // initialize UI event listeners
+        init() {
+            this.setupVolumeUnit();
+            this.setupDayStart();
+            this.setupWeightToggle();
+            this.setupTemperatureToggle();
+            this.setupAltitudeToggle();
+            this.setupSweatSodiumSource();
+            this.setupFluidRestriction();
+            this.setupCalculateButton();
+            this.setupTracking();
+            this.loadSavedData();
         },
 
-        // validate age input
-        validateAge(age) {
-            return Utils.validateNumber(age, 1, 120);
+        // get the selected volume unit (a CONFIG.VOLUME_UNITS key)
+        getVolumeUnit() {
+            return document.getElementById('volume-unit').value;
         },
 
-        // validate exercise duration
-        validateExerciseDuration(duration) {
-            return Utils.validateNumber(duration, 0, 1440);
+        // format ml in the selected volume unit
+        formatVolume(ml) {
+            return Utils.formatVolume(ml, this.getVolumeUnit());
         },
 
-        // show error message
-        showError(elementId, message) {
-            const errorElement = document.getElementById(`${elementId}-error`);
-            if (errorElement) {
-                errorElement.textContent = message;
-                errorElement.setAttribute('role', 'alert');
+        // describe the daily goal in cups, or in liters when cups are already shown
+        formatGoalEquivalent(ml) {
+            if (this.getVolumeUnit() === 'cup') {
+                return I18n.t('results.aboutLiters', { amount: Utils.formatVolume(ml, 'l') });
             }
+            const cups = Math.round(Utils.toVolumeUnit(ml, 'cup'));
+            return I18n.t('results.aboutCups', { cups: Utils.formatNumber(cups), cup: this.formatVolume(CONFIG.VOLUME_UNITS.cup.ml) });
         },
 
-        // clear error message
-        clearError(elementId) {
-            const errorElement = document.getElementById(`${elementId}-error`);
-            if (errorElement) {
-                errorElement.textContent = '';
-                errorElement.removeAttribute('role');
-            }
+        // format ml per hour in the selected volume unit
+        formatVolumeRate(ml) {
+            return I18n.t('units.perHour', { amount: this.formatVolume(ml) });
         },
 
-        // validate all form inputs
-        validateForm() {
-            let isValid = true;
+        // setup the app-wide volume unit preference
+        setupVolumeUnit() {
+            const select = document.getElementById('volume-unit');
+            select.value = StorageManager.getPreferences().volumeUnit;
 
-            // validate weight
-            const weight = document.getElementById('weight').value;
-            const weightUnit = document.querySelector('.unit-btn.active').dataset.unit;
-            const weightValidation = this.validateWeight(weight, weightUnit);
-            
-            if (!weightValidation.valid) {
-                this.showError('weight', weightValidation.error);
-                isValid = false;
-            } else {
-                this.clearError('weight');
+            select.addEventListener('change', () => {
+                const previousUnit = StorageManager.getPreferences().volumeUnit;
+                StorageManager.savePreferences({ volumeUnit: select.value });
+                this.applyVolumeUnit(previousUnit);
+            });
+
+            this.applyVolumeUnit();
+        },
+
+        // setup the app-wide day start hour preference
+        setupDayStart() {
+            const select = document.getElementById('day-start');
+            this.renderDayStartOptions();
+
+            select.addEventListener('change', () => {
+                StorageManager.savePreferences({ dayStartHour: parseInt(select.value, 10) });
+                // the current day may now be a different one, but nothing new has started
+                checkDayRollover(false);
+            });
+        },
+
+        // list the day start hours as local times
+        renderDayStartOptions() {
+            const select = document.getElementById('day-start');
+            select.innerHTML = Array.from({ length: 24 }, (_, hour) => `
+                <option value="${hour}">${Utils.formatTime(new Date(2000, 0, 1, hour))}</option>
+            `).join('');
+            select.value = StorageManager.getPreferences().dayStartHour;
+        },
+
+        // show the selected volume unit everywhere, converting entered amounts
+        applyVolumeUnit(previousUnit) {
+            const unit = this.getVolumeUnit();
+            const { label, decimals } = CONFIG.VOLUME_UNITS[unit];
+
+            document.querySelectorAll('.volume-unit').forEach(element => {
+                element.textContent = label;
+            });
+
+            const intakeInput = document.getElementById('intake-amount');
+            intakeInput.placeholder = Utils.toVolumeUnit(250, unit);
+            intakeInput.max = Utils.toVolumeUnit(CONFIG.MAX_INTAKE_AMOUNT, unit);
+            intakeInput.step = decimals > 0 ? 'any' : '1';
+
+            if (previousUnit && previousUnit !== unit) {
+                ['intake-amount', 'sweat-fluid', 'sweat-urine', 'fluid-restriction-amount'].forEach(id => {
+                    const input = document.getElementById(id);
+                    const value = parseFloat(input.value);
+                    if (!isNaN(value)) {
+                        input.value = Utils.toVolumeUnit(Utils.fromVolumeUnit(value, previousUnit), unit);
+                    }
+                });
             }
 
-            // validate age
-            const age = document.getElementById('age').value;
-            const ageValidation = this.validateAge(age);
-            
-            if (!ageValidation.valid) {
-                this.showError('age', ageValidation.error);
-                isValid = false;
-            } else {
-                this.clearError('age');
+            this.updateQuickButtons(document.getElementById('intake-beverage').value);
+            if (previousUnit) {
+                this.refreshDisplay();
             }
+        },
 
-            // required fields
-            const requiredFields = ['gender', 'activity-level', 'climate'];
-            requiredFields.forEach(fieldId => {
-                const field = document.getElementById(fieldId);
-                if (!field.value) {
-                    ToastManager.show(`Please select ${field.previousElementSibling.textContent}`, 'error');
-                    isValid = false;
+        // re-render everything that shows a volume or translated text
+        refreshDisplay() {
+            this.renderDayStartOptions();
+            this.updateQuickButtons(document.getElementById('intake-beverage').value);
+            this.updateHeatIndexNote();
+
+            const data = StorageManager.getData();
+            const profile = data.userProfile || {};
+            const goals = data.dailyGoals || {};
+            if (goals.water > 0) {
+                this.displayWaterGoal(goals.water);
+                this.updateSodiumSource(profile);
+                this.renderFuelingPlan(profile);
+
+                // recommendations are only listed after a calculation
+                if (document.getElementById('recommendations').children.length > 0) {
+                    this.renderRecommendations(this.generateRecommendations(profile, goals.water, goals));
                 }
-            });
 
-            return isValid;
-        }
-    };
+                document.getElementById('target-intake').textContent = `/ ${this.formatVolume(goals.water)}`;
+                const todayData = StorageManager.getTodayTracking();
+                const totals = Calculator.calculateDailyTotals(todayData);
+                this.updateIntakeTotals(totals);
+                this.updateProgress(totals, goals.water);
+                this.updateIntakeList(todayData.waterIntake || []);
+                this.updateElectrolyteProgress(totals);
+                this.updateElectrolyteList(todayData.electrolyteIntake || []);
+                this.updateWorkoutList(todayData.workouts || []);
+                this.updatePace();
+                this.updateSafety();
+                this.renderIntakeChart();
+            }
+            ContainerManager.render();
+            SweatTestManager.render();
+            ReminderManager.render();
+            BackupManager.renderQuarantine();
+            HistoryManager.render();
+        },
 
-    // UI manager
-    const UIManager = {
-        // initialize UI event listeners
-        init() {
-            this.setupWeightToggle();
-            this.setupCalculateButton();
-            this.setupTracking();
-            this.loadSavedData();
+        // get the selected weight unit
+        getWeightUnit() {
+            return document.querySelector('#weight-unit-toggle .unit-btn.active').dataset.unit;
         },
 
         // setup weight unit toggle
         setupWeightToggle() {
-            const toggleButtons = document.querySelectorAll('.unit-btn');
+            const toggleButtons = document.querySelectorAll('#weight-unit-toggle .unit-btn');
             const weightInput = document.getElementById('weight');
 
             toggleButtons.forEach(btn => {
                 btn.addEventListener('click', () => {
+                    const previousUnit = this.getWeightUnit();
                     toggleButtons.forEach(b => {
                         b.classList.remove('active');
                         b.setAttribute('aria-pressed', 'false');
@@ -1083,10 +3951,155 @@
                         
                         weightInput.value = convertedValue.toFixed(1);
                     }
+
+                    SweatTestManager.updateWeightUnit(btn.dataset.unit, previousUnit);
+                });
+            });
+        },
+
+        // get the selected temperature unit ('c' or 'f')
+        getTemperatureUnit() {
+            return document.querySelector('#temperature-unit-toggle .unit-btn.active').dataset.unit;
+        },
+
+        // mark one button of a unit toggle as active
+        setToggleUnit(toggleId, unit) {
+            document.querySelectorAll(`#${toggleId} .unit-btn`).forEach(btn => {
+                const isActive = btn.dataset.unit === unit;
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', String(isActive));
+            });
+        },
+
+        // setup temperature unit toggle and the heat index preview
+        setupTemperatureToggle() {
+            const temperatureInput = document.getElementById('temperature');
+            const humidityInput = document.getElementById('humidity');
+
+            document.querySelectorAll('#temperature-unit-toggle .unit-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const previousUnit = this.getTemperatureUnit();
+                    this.setToggleUnit('temperature-unit-toggle', btn.dataset.unit);
+
+                    const currentValue = parseFloat(temperatureInput.value);
+                    if (!isNaN(currentValue) && previousUnit !== btn.dataset.unit) {
+                        const convertedValue = btn.dataset.unit === 'f'
+                            ? Utils.celsiusToFahrenheit(currentValue)
+                            : Utils.fahrenheitToCelsius(currentValue);
+                        temperatureInput.value = convertedValue.toFixed(1);
+                    }
+
+                    this.updateHeatIndexNote();
+                });
+            });
+
+            [temperatureInput, humidityInput].forEach(input => {
+                input.addEventListener('input', Utils.debounce(() => {
+                    this.updateHeatIndexNote();
+                }, CONFIG.DEBOUNCE_DELAY));
+            });
+        },
+
+        // get the selected altitude unit ('m' or 'ft')
+        getAltitudeUnit() {
+            return document.querySelector('#altitude-unit-toggle .unit-btn.active').dataset.unit;
+        },
+
+        // setup altitude unit toggle
+        setupAltitudeToggle() {
+            const altitudeInput = document.getElementById('altitude');
+
+            document.querySelectorAll('#altitude-unit-toggle .unit-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const previousUnit = this.getAltitudeUnit();
+                    this.setToggleUnit('altitude-unit-toggle', btn.dataset.unit);
+
+                    const currentValue = parseFloat(altitudeInput.value);
+                    if (!isNaN(currentValue) && previousUnit !== btn.dataset.unit) {
+                        altitudeInput.value = Math.round(btn.dataset.unit === 'ft'
+                            ? currentValue * CONFIG.METERS_TO_FEET
+                            : currentValue / CONFIG.METERS_TO_FEET);
+                    }
                 });
             });
         },
 
+        // read the altitude input in meters (0 when empty)
+        getAltitudeMeters() {
+            const value = parseFloat(document.getElementById('altitude').value);
+            if (isNaN(value)) {
+                return 0;
+            }
+            return Math.round(this.getAltitudeUnit() === 'ft' ? value / CONFIG.METERS_TO_FEET : value);
+        },
+
+        // read the temperature input in °C (undefined when empty)
+        getTemperatureCelsius() {
+            const value = parseFloat(document.getElementById('temperature').value);
+            if (isNaN(value)) {
+                return undefined;
+            }
+            return this.getTemperatureUnit() === 'f' ? Utils.fahrenheitToCelsius(value) : value;
+        },
+
+        // format a °C value in the selected temperature unit
+        formatTemperature(celsius) {
+            return this.getTemperatureUnit() === 'f'
+                ? `${Math.round(Utils.celsiusToFahrenheit(celsius))}°F`
+                : `${Math.round(celsius)}°C`;
+        },
+
+        // show the apparent temperature under the humidity input
+        updateHeatIndexNote() {
+            const note = document.getElementById('heat-index-note');
+            const temperature = this.getTemperatureCelsius();
+            const humidity = parseFloat(document.getElementById('humidity').value);
+
+            if (temperature === undefined || isNaN(humidity)) {
+                note.textContent = '';
+                return;
+            }
+
+            const heatIndex = Calculator.calculateHeatIndex(temperature, humidity);
+            note.textContent = I18n.t('weather.feelsLike', { temperature: this.formatTemperature(heatIndex) });
+        },
+
+        // show the lab value input only for lab results
+        setupSweatSodiumSource() {
+            const sourceSelect = document.getElementById('sweat-sodium-source');
+
+            sourceSelect.addEventListener('change', () => {
+                this.toggleSweatSodiumInput(sourceSelect.value);
+            });
+        },
+
+        // show or hide the lab sweat sodium input
+        toggleSweatSodiumInput(source) {
+            document.getElementById('sweat-sodium-concentration-group').style.display = source === 'lab' ? '' : 'none';
+            if (source !== 'lab') {
+                FormValidator.clearError('sweat-sodium-concentration');
+            }
+        },
+
+        // show the prescribed limits only when a restriction is ticked
+        setupFluidRestriction() {
+            const checkbox = document.getElementById('fluid-restriction');
+
+            checkbox.addEventListener('change', () => {
+                this.toggleRestrictionInputs(checkbox.checked);
+            });
+        },
+
+        // show or hide the fluid and sodium limit inputs
+        toggleRestrictionInputs(restricted) {
+            document.getElementById('fluid-restriction-fields').style.display = restricted ? '' : 'none';
+            document.getElementById('fluid-restriction').setAttribute('aria-expanded', restricted ? 'true' : 'false');
+            if (!restricted) {
+                FormValidator.clearError('fluid-restriction-amount');
+                FormValidator.clearError('sodium-restriction-amount');
+            }
+        },
+
         // setup calculate button
         setupCalculateButton() {
             const calculateBtn = document.getElementById('calculate-btn');
@@ -1101,10 +4114,10 @@
             // clear form button
             clearFormBtn.addEventListener('click', () => {
                 ToastManager.showConfirm(
-                    'Clear all form inputs? This will not delete your saved data.',
+                    I18n.t('form.confirmClear'),
                     () => {
                         this.clearForm();
-                        ToastManager.show('Form cleared successfully', 'success');
+                        ToastManager.show(I18n.t('form.cleared'), 'success');
                     },
                     null,
                     'info'
@@ -1114,7 +4127,7 @@
             // reset settings button
             resetSettingsBtn.addEventListener('click', () => {
                 ToastManager.showConfirm(
-                    'Reset all settings and clear saved data? This action cannot be undone.',
+                    I18n.t('form.confirmReset', { name: ProfileManager.getActiveName() }),
                     () => {
                         this.resetAllSettings();
                     },
@@ -1138,31 +4151,58 @@
             document.getElementById('exercise-duration').value = '0';
             document.getElementById('exercise-intensity').value = 'medium';
             document.getElementById('climate').value = 'moderate';
-            document.getElementById('altitude').value = 'sea-level';
+            document.getElementById('altitude').value = '';
+            document.getElementById('altitude-days').value = '';
+            this.setToggleUnit('altitude-unit-toggle', 'm');
+            document.getElementById('sweat-sodium-source').value = '';
+            document.getElementById('sweat-sodium-concentration').value = '';
+            this.toggleSweatSodiumInput('');
             
             // uncheck all health conditions
             document.getElementById('pregnant').checked = false;
             document.getElementById('breastfeeding').checked = false;
             document.getElementById('illness').checked = false;
             document.getElementById('kidney-disease').checked = false;
+            document.getElementById('fluid-restriction').checked = false;
+            document.getElementById('fluid-restriction-amount').value = '';
+            document.getElementById('sodium-restriction-amount').value = '';
+            this.toggleRestrictionInputs(false);
 
             // reset weight unit to kg
-            const kgBtn = document.querySelector('.unit-btn[data-unit="kg"]');
-            const lbsBtn = document.querySelector('.unit-btn[data-unit="lbs"]');
-            kgBtn.classList.add('active');
-            kgBtn.setAttribute('aria-pressed', 'true');
-            lbsBtn.classList.remove('active');
-            lbsBtn.setAttribute('aria-pressed', 'false');
+            this.setToggleUnit('weight-unit-toggle', 'kg');
+            SweatTestManager.updateWeightUnit('kg');
+
+            // clear temperature and humidity, back to °C
+            document.getElementById('temperature').value = '';
+            document.getElementById('humidity').value = '';
+            this.setToggleUnit('temperature-unit-toggle', 'c');
+            this.updateHeatIndexNote();
 
             // clear error messages
             FormValidator.clearError('weight');
             FormValidator.clearError('age');
+            FormValidator.clearError('temperature');
+            FormValidator.clearError('humidity');
+            FormValidator.clearError('altitude');
+            FormValidator.clearError('altitude-days');
 
             // hide results and tracker sections
             document.getElementById('results-section').style.display = 'none';
             document.getElementById('tracker-section').style.display = 'none';
         },
 
+        // reload form, results and tracker for the active profile
+        reloadProfile() {
+            this.clearForm();
+            this.loadSavedData();
+            this.updateQuickButtons(document.getElementById('intake-beverage').value);
+            ContainerManager.render();
+            SweatTestManager.render();
+            ReminderManager.render();
+            HistoryManager.closeDay();
+            HistoryManager.render();
+        },
+
         // reset all settings and clear all data
         resetAllSettings() {
             this.clearForm();
@@ -1170,7 +4210,12 @@
             ToastManager.clearAll();
             document.getElementById('results-section').style.display = 'none';
             document.getElementById('tracker-section').style.display = 'none';
-            ToastManager.show('All settings and data have been reset', 'success');
+            this.updateQuickButtons(document.getElementById('intake-beverage').value);
+            ContainerManager.render();
+            SweatTestManager.render();
+            ReminderManager.render();
+            HistoryManager.render();
+            ToastManager.show(I18n.t('form.resetDone'), 'success');
             window.scrollTo({ top: 0, behavior: 'smooth' });
         },
 
@@ -1183,15 +4228,14 @@
             const params = this.gatherFormData();
 
             // validate consistency
-            const warnings = Calculator.validateConsistency(params);
-            warnings.forEach(warning => {
-                ToastManager.show(warning, 'warning', 6000);
+            Calculator.checkConsistency(params).forEach(issue => {
+                ToastManager.show(I18n.t(`consistency.${issue.id}`, {}, issue.text), 'warning', 6000);
             });
 
             // calculate requirements
             const waterRequirement = Calculator.calculateWater(params);
             const electrolytes = Calculator.calculateElectrolytes(params);
-            const recommendations = Calculator.generateRecommendations(params, waterRequirement, electrolytes);
+            const recommendations = this.generateRecommendations(params, waterRequirement, electrolytes);
 
             // save to storage
             StorageManager.saveProfile(params);
@@ -1202,19 +4246,29 @@
 
             // display results
             this.displayResults(waterRequirement, electrolytes, recommendations);
+            this.updateSodiumSource(params);
+            this.renderFuelingPlan(params);
             this.initializeTracking(waterRequirement);
 
-            ToastManager.show('Requirements calculated successfully!', 'success');
+            ToastManager.show(I18n.t('results.calculated'), 'success');
             document.getElementById('results-section').scrollIntoView({ 
                 behavior: 'smooth', 
                 block: 'start' 
             });
         },
 
+        // build recommendations worded for the current volume unit and language
+        generateRecommendations(profile, waterRequirement, electrolytes) {
+            return Calculator.generateRecommendations(profile, waterRequirement, electrolytes, {
+                locale: I18n.getLocale(),
+                formatVolume: ml => this.formatVolume(ml)
+            });
+        },
+
         // gather form data
         gatherFormData() {
             const weightInput = document.getElementById('weight').value;
-            const weightUnit = document.querySelector('.unit-btn.active').dataset.unit;
+            const weightUnit = this.getWeightUnit();
             
             // convert weight to kg
             let weight = parseFloat(weightInput);
@@ -1222,20 +4276,143 @@
                 weight *= CONFIG.LBS_TO_KG;
             }
 
-            return {
-                weight: weight,
-                age: parseInt(document.getElementById('age').value),
-                gender: document.getElementById('gender').value,
-                activityLevel: document.getElementById('activity-level').value,
-                exerciseDuration: parseInt(document.getElementById('exercise-duration').value) || 0,
-                exerciseIntensity: document.getElementById('exercise-intensity').value,
-                climate: document.getElementById('climate').value,
-                altitude: document.getElementById('altitude').value,
-                pregnant: document.getElementById('pregnant').checked,
-                breastfeeding: document.getElementById('breastfeeding').checked,
-                illness: document.getElementById('illness').checked,
-                kidneyDisease: document.getElementById('kidney-disease').checked
-            };
+            const exerciseIntensity = document.getElementById('exercise-intensity').value;
+            const sweatSodiumSource = document.getElementById('sweat-sodium-source').value;
+            const restricted = document.getElementById('fluid-restriction').checked;
+
+            return {
+                weight: weight,
+                age: parseInt(document.getElementById('age').value),
+                gender: document.getElementById('gender').value,
+                activityLevel: document.getElementById('activity-level').value,
+                exerciseDuration: parseInt(document.getElementById('exercise-duration').value) || 0,
+                exerciseIntensity: exerciseIntensity,
+                sweatRate: SweatTestManager.getSweatRate(exerciseIntensity) || undefined,
+                sweatSodiumSource: sweatSodiumSource || undefined,
+                sweatSodiumConcentration: sweatSodiumSource === 'lab'
+                    ? parseFloat(document.getElementById('sweat-sodium-concentration').value)
+                    : undefined,
+                climate: document.getElementById('climate').value,
+                temperature: this.getTemperatureCelsius(),
+                humidity: document.getElementById('humidity').value !== ''
+                    ? parseFloat(document.getElementById('humidity').value)
+                    : undefined,
+                altitude: this.getAltitudeMeters(),
+                altitudeDays: parseInt(document.getElementById('altitude-days').value) || undefined,
+                pregnant: document.getElementById('pregnant').checked,
+                breastfeeding: document.getElementById('breastfeeding').checked,
+                illness: document.getElementById('illness').checked,
+                kidneyDisease: document.getElementById('kidney-disease').checked,
+                fluidRestriction: restricted
+                    ? Utils.fromVolumeUnit(parseFloat(document.getElementById('fluid-restriction-amount').value), this.getVolumeUnit())
+                    : undefined,
+                sodiumRestriction: restricted
+                    ? parseInt(document.getElementById('sodium-restriction-amount').value) || undefined
+                    : undefined
+            };
+        },
+
+        // explain where the sodium target's exercise share comes from
+        formatSodiumSource(profile) {
+            if (!(profile.exerciseDuration > 0)) {
+                return '';
+            }
+
+            const sweatSodiumLoss = Calculator.calculateSweatSodiumLoss(profile);
+            if (!sweatSodiumLoss) {
+                return I18n.t('results.sodiumStandard', { amount: Utils.formatNumber(1000) });
+            }
+
+            return I18n.t('results.sodiumSource', {
+                loss: Utils.formatNumber(sweatSodiumLoss.sessionLoss),
+                concentration: Utils.formatNumber(sweatSodiumLoss.concentration),
+                source: I18n.t(`sweatSodiumSource.${sweatSodiumLoss.source}`, {}, sweatSodiumLoss.sourceLabel),
+                rate: this.formatVolumeRate(sweatSodiumLoss.sweatRate),
+                rateSource: I18n.t(sweatSodiumLoss.sweatRateMeasured ? 'common.measured' : 'common.estimated')
+            });
+        },
+
+        // show the sodium source under the sodium target
+        updateSodiumSource(profile) {
+            document.getElementById('sodium-source').textContent = this.formatSodiumSource(profile);
+        },
+
+        // describe when and what to drink for one fueling plan step
+        formatFuelingStep(step) {
+            const params = {
+                volume: this.formatVolume(step.volume),
+                sodium: Utils.formatNumber(step.sodium)
+            };
+            const withSodium = step.sodium > 0 ? 'WithSodium' : '';
+
+            if (step.phase === 'before') {
+                return {
+                    when: I18n.t('fueling.beforeWhen', { hours: Math.round(-step.minute / 60) }),
+                    what: I18n.t(`fueling.before${withSodium}`, {
+                        ...params,
+                        min: CONFIG.FUELING.BEFORE_ML_PER_KG.min,
+                        max: CONFIG.FUELING.BEFORE_ML_PER_KG.max
+                    })
+                };
+            }
+
+            if (step.phase === 'during') {
+                return {
+                    when: I18n.t('fueling.duringWhen', { minute: step.minute }),
+                    what: I18n.t(`fueling.during${withSodium}`, params)
+                };
+            }
+
+            return {
+                when: I18n.t('fueling.afterWhen'),
+                what: step.volume > 0
+                    ? I18n.t(`fueling.after${withSodium}`, {
+                        ...params,
+                        min: CONFIG.FUELING.AFTER_HOURS.min,
+                        max: CONFIG.FUELING.AFTER_HOURS.max
+                    })
+                    : I18n.t(`fueling.afterNone${withSodium}`, params)
+            };
+        },
+
+        // summarize the loss a fueling plan is built on
+        formatFuelingSummary(plan, profile) {
+            let summary = I18n.t('fueling.summary', {
+                duration: profile.exerciseDuration,
+                intensity: I18n.t(`intensityName.${profile.exerciseIntensity || 'medium'}`),
+                sweatLoss: this.formatVolume(plan.sweatLoss),
+                rate: this.formatVolumeRate(plan.sweatRate),
+                rateSource: I18n.t(plan.sweatRateMeasured ? 'common.measured' : 'common.estimated'),
+                sodium: Utils.formatNumber(plan.sodiumLoss)
+            });
+
+            if (plan.bodyMassLoss > 2) {
+                summary += ` ${I18n.t('fueling.bodyMassWarning', { loss: Utils.formatDecimal(plan.bodyMassLoss, 1) })}`;
+            }
+            return summary;
+        },
+
+        // render the per-session fueling timeline
+        renderFuelingPlan(profile) {
+            const container = document.getElementById('fueling-plan');
+            const plan = Calculator.generateFuelingPlan(profile);
+
+            if (!plan) {
+                container.style.display = 'none';
+                return;
+            }
+
+            container.style.display = 'block';
+            document.getElementById('fueling-plan-summary').textContent = this.formatFuelingSummary(plan, profile);
+            document.getElementById('fueling-timeline').innerHTML = plan.steps.map(step => {
+                const text = this.formatFuelingStep(step);
+                return `
+                    <li class="fueling-step ${step.phase}">
+                        <span class="fueling-step-time">${text.when}</span>
+                        <span class="fueling-step-text">${text.what}</span>
+                    </li>
+                `;
+            }).join('');
         },
 
         // display calculation results
@@ -1244,9 +4421,7 @@
             resultsSection.style.display = 'block';
 
             // display water requirement
-            document.getElementById('water-amount').textContent = Utils.formatNumber(waterRequirement);
-            const cups = Math.round(waterRequirement / 250);
-            document.getElementById('water-cups').textContent = `${cups} cups (250ml each)`;
+            this.displayWaterGoal(waterRequirement);
 
             // display electrolytes
             document.getElementById('sodium-amount').textContent = Utils.formatNumber(electrolytes.sodium);
@@ -1254,23 +4429,32 @@
             document.getElementById('magnesium-amount').textContent = electrolytes.magnesium;
             document.getElementById('calcium-amount').textContent = Utils.formatNumber(electrolytes.calcium);
 
-            // display recommendations
-            const recommendationsContainer = document.getElementById('recommendations');
-            recommendationsContainer.innerHTML = recommendations.map(rec => `
+            this.renderRecommendations(recommendations);
+        },
+
+        // list recommendations in the current language
+        renderRecommendations(recommendations) {
+            document.getElementById('recommendations').innerHTML = recommendations.map(rec => `
                 <div class="recommendation-item">
                     <img src="./assets/svgs/${rec.type}.svg" alt="" class="recommendation-icon ${rec.type}" aria-hidden="true">
-                    <p class="recommendation-text">${Utils.sanitize(rec.text)}</p>
+                    <p class="recommendation-text">${Utils.sanitize(I18n.formatRecommendation(rec))}</p>
                 </div>
             `).join('');
         },
 
+        // show the daily water goal in the selected volume unit
+        displayWaterGoal(waterRequirement) {
+            document.getElementById('water-amount').textContent = Utils.formatVolumeValue(waterRequirement, this.getVolumeUnit());
+            document.getElementById('water-cups').textContent = this.formatGoalEquivalent(waterRequirement);
+        },
+
         // initialize tracking section
         initializeTracking(waterRequirement) {
             const trackerSection = document.getElementById('tracker-section');
             trackerSection.style.display = 'block';
 
             // update target
-            document.getElementById('target-intake').textContent = `/ ${Utils.formatNumber(waterRequirement)} ml`;
+            document.getElementById('target-intake').textContent = `/ ${this.formatVolume(waterRequirement)}`;
 
             // load today's tracking
             const todayData = StorageManager.getTodayTracking();
@@ -1281,18 +4465,25 @@
         setupTracking() {
             const addIntakeBtn = document.getElementById('add-intake-btn');
             const intakeInput = document.getElementById('intake-amount');
-            const quickBtns = document.querySelectorAll('.quick-btn');
             const resetBtn = document.getElementById('reset-tracker-btn');
+            const addElectrolyteBtn = document.getElementById('add-electrolyte-btn');
+            const beverageSelect = document.getElementById('intake-beverage');
 
             // add intake button
             addIntakeBtn.addEventListener('click', () => {
-                const amount = parseInt(intakeInput.value);
+                const amount = Utils.fromVolumeUnit(parseFloat(intakeInput.value), this.getVolumeUnit());
                 if (this.validateIntakeAmount(amount)) {
-                    this.addIntake(amount);
+                    this.addIntake(amount, beverageSelect.value);
                     intakeInput.value = '';
                 }
             });
 
+            // show the selected beverage on the quick add buttons
+            beverageSelect.addEventListener('change', () => {
+                this.updateQuickButtons(beverageSelect.value);
+            });
+            this.updateQuickButtons(beverageSelect.value);
+
             // enter key on input
             intakeInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
@@ -1300,22 +4491,80 @@
                 }
             });
 
-            // quick add buttons
-            quickBtns.forEach(btn => {
-                btn.addEventListener('click', () => {
-                    const amount = parseInt(btn.dataset.amount);
-                    this.addIntake(amount);
+            // quick add buttons, rendered from the profile's containers
+            document.getElementById('quick-add-btns').addEventListener('click', (e) => {
+                const btn = e.target.closest('.quick-btn');
+                if (!btn) return;
+
+                const container = StorageManager.getContainers().find(item => item.id === btn.dataset.containerId);
+                if (container) {
+                    this.addIntake(container.amount, container.beverage || beverageSelect.value);
+                }
+            });
+
+            // add electrolyte intake button
+            addElectrolyteBtn.addEventListener('click', () => {
+                const amounts = {};
+                CONFIG.ELECTROLYTE_KEYS.forEach(key => {
+                    amounts[key] = parseInt(document.getElementById(`${key}-intake-amount`).value) || 0;
+                });
+
+                if (this.validateElectrolyteAmounts(amounts)) {
+                    this.addElectrolyteIntake(amounts);
+                    CONFIG.ELECTROLYTE_KEYS.forEach(key => {
+                        document.getElementById(`${key}-intake-amount`).value = '';
+                    });
+                }
+            });
+
+            // log a workout; without a start time it has just finished
+            document.getElementById('add-workout-btn').addEventListener('click', () => {
+                const durationInput = document.getElementById('workout-duration');
+                const timeInput = document.getElementById('workout-time');
+                const duration = parseInt(durationInput.value);
+                if (isNaN(duration) || duration <= 0 || duration > CONFIG.MAX_WORKOUT_MINUTES) {
+                    ToastManager.show(I18n.t('tracker.invalidWorkout', { max: Utils.formatNumber(CONFIG.MAX_WORKOUT_MINUTES) }), 'error');
+                    return;
+                }
+
+                if (this.addWorkout(duration, timeInput.value)) {
+                    durationInput.value = '';
+                    timeInput.value = '';
+                }
+            });
+
+            // the expected intake grows through the day and drinks leave the safety window
+            this.paceTimer = setInterval(() => {
+                this.updatePace();
+                this.updateSafety();
+                this.renderIntakeChart();
+            }, CONFIG.PACE_REFRESH_INTERVAL);
+
+            // show an entry's details while its chart marker is hovered or focused
+            const chart = document.getElementById('intake-chart');
+            ['mouseover', 'focusin'].forEach(type => {
+                chart.addEventListener(type, (e) => {
+                    if (e.target.classList.contains('chart-marker')) {
+                        document.getElementById('intake-chart-detail').textContent = e.target.getAttribute('aria-label');
+                    }
+                });
+            });
+            ['mouseout', 'focusout'].forEach(type => {
+                chart.addEventListener(type, (e) => {
+                    if (e.target.classList.contains('chart-marker')) {
+                        document.getElementById('intake-chart-detail').textContent = chart.dataset.summary || '';
+                    }
                 });
             });
 
             // reset button
             resetBtn.addEventListener('click', () => {
                 ToastManager.showConfirm(
-                    'Are you sure you want to reset today\'s tracking?',
+                    I18n.t('tracker.confirmReset'),
                     () => {
                         StorageManager.resetTodayTracking();
                         this.updateTrackingUI({ waterIntake: [] }, this.getCurrentGoal());
-                        ToastManager.show('Tracking reset successfully', 'success');
+                        ToastManager.show(I18n.t('tracker.resetDone'), 'success');
                     },
                     null,
                     'warning'
@@ -1323,71 +4572,566 @@
             });
         },
 
+        // render a quick add button per container; containers without a drink use the selected one
+        updateQuickButtons(beverage) {
+            const containers = StorageManager.getContainers();
+            const quickAdd = document.getElementById('quick-add-btns');
+
+            if (containers.length === 0) {
+                quickAdd.innerHTML = `<p class="progress-note">${I18n.t('containers.none')}</p>`;
+                return;
+            }
+
+            quickAdd.innerHTML = containers.map(container => {
+                const icon = CONFIG.CONTAINER_ICONS[container.icon];
+                const label = container.name
+                    ? I18n.t(container.beverage ? 'containers.quickAddWithBeverage' : 'containers.quickAdd', {
+                        name: container.name,
+                        beverage: this.formatBeverage(container),
+                        amount: this.formatVolume(container.amount)
+                    })
+                    : I18n.t('tracker.quickAdd', {
+                        size: I18n.t(`tracker.sizes.${container.size}`),
+                        beverage: this.formatBeverage({ beverage: container.beverage || beverage }),
+                        amount: this.formatVolume(container.amount)
+                    });
+                return `
+                    <button type="button" class="quick-btn" data-container-id="${Utils.sanitize(container.id)}">${icon ? `<span class="quick-btn-icon" aria-hidden="true">${icon}</span> ` : ''}${Utils.sanitize(label)}</button>
+                `;
+            }).join('');
+        },
+
+        // get the translated name of an entry's beverage
+        formatBeverage(entry) {
+            const key = CONFIG.BEVERAGES[entry.beverage] ? entry.beverage : CONFIG.DEFAULT_BEVERAGE;
+            return I18n.t(`beverages.${key}`, {}, CONFIG.BEVERAGES[key].label);
+        },
+
         // validate intake amount
         validateIntakeAmount(amount) {
             if (isNaN(amount) || amount <= 0) {
-                ToastManager.show('Please enter a valid amount', 'error');
+                ToastManager.show(I18n.t('tracker.invalidAmount'), 'error');
+                return false;
+            }
+
+            if (amount > CONFIG.MAX_INTAKE_AMOUNT) {
+                ToastManager.show(I18n.t('tracker.amountTooLarge', { max: this.formatVolume(CONFIG.MAX_INTAKE_AMOUNT) }), 'error');
+                return false;
+            }
+
+            return true;
+        },
+
+        // validate electrolyte amounts
+        validateElectrolyteAmounts(amounts) {
+            const invalid = CONFIG.ELECTROLYTE_KEYS.find(key => amounts[key] < 0);
+            if (invalid) {
+                ToastManager.show(I18n.t('tracker.electrolyteInvalid', { name: I18n.t(`electrolytes.${invalid}`) }), 'error');
+                return false;
+            }
+
+            if (Object.values(amounts).every(value => value === 0)) {
+                ToastManager.show(I18n.t('tracker.electrolyteRequired'), 'error');
                 return false;
             }
 
-            if (amount > 5000) {
-                ToastManager.show('Amount seems too large. Maximum 5000ml per entry', 'error');
+            const tooLarge = CONFIG.ELECTROLYTE_KEYS.find(key => amounts[key] > CONFIG[key.toUpperCase()].danger);
+            if (tooLarge) {
+                ToastManager.show(I18n.t('tracker.electrolyteTooLarge', {
+                    max: Utils.formatNumber(CONFIG[tooLarge.toUpperCase()].danger),
+                    name: I18n.t(`electrolytes.${tooLarge}`)
+                }), 'error');
                 return false;
             }
 
             return true;
         },
 
-        // add water intake
-        addIntake(amount) {
+        // add water intake; `confirmed` skips the check against a prescribed limit
+        addIntake(amount, beverage = CONFIG.DEFAULT_BEVERAGE, confirmed = false) {
+            // ask before a drink takes the day over a prescribed fluid limit
+            const restrictions = this.getRestrictions();
+            if (restrictions.fluid && !confirmed) {
+                const volume = Calculator.calculateDailyTotals(StorageManager.getTodayTracking()).volume;
+                const allowance = Calculator.getFluidAllowance(volume, restrictions.fluid, amount);
+                if (allowance.status === 'exceeded') {
+                    ToastManager.showConfirm(
+                        I18n.t('restriction.confirmExceed', {
+                            amount: this.formatVolume(allowance.over),
+                            limit: this.formatVolume(restrictions.fluid)
+                        }),
+                        () => this.addIntake(amount, beverage, true),
+                        null,
+                        'warning'
+                    );
+                    return;
+                }
+            }
+
+            // a time in the time field logs the drink earlier today
+            const timeInput = document.getElementById('intake-time');
+            const timestamp = timeInput.value
+                ? EntryEditor.getTimestamp(Utils.getDateString(), timeInput.value)
+                : Utils.getTimestamp();
+            if (!timestamp) return;
+            timeInput.value = '';
+
             const todayData = StorageManager.getTodayTracking();
+            const previousTotals = Calculator.calculateDailyTotals(todayData);
+            const previousAlerts = Calculator.checkElectrolyteLevels(previousTotals);
             
             const intakeEntry = {
                 amount: amount,
-                time: Utils.getTimeString(),
-                timestamp: Utils.getTimestamp()
+                beverage: CONFIG.BEVERAGES[beverage] ? beverage : CONFIG.DEFAULT_BEVERAGE,
+                time: Utils.getTimeString(new Date(timestamp)),
+                timestamp: timestamp
             };
 
             todayData.waterIntake = todayData.waterIntake || [];
             todayData.waterIntake.push(intakeEntry);
 
+            const safety = this.checkIntakeSafety(todayData, new Date(timestamp));
+            this.recordSafetyEvents(todayData, safety, timestamp);
+
             StorageManager.saveTodayTracking(todayData);
             this.updateTrackingUI(todayData, this.getCurrentGoal());
 
-            ToastManager.show(`Added ${amount}ml to your intake`, 'success');
+            // drinking too fast outranks everything else
+            if (safety.level !== 'ok') {
+                const alert = safety.alerts.find(item => item.level === safety.level);
+                ToastManager.show(this.formatSafetyAlert(alert), safety.level === 'caution' ? 'warning' : 'error', CONFIG.SAFETY_ALERT_DURATION[safety.level]);
+                return;
+            }
+
+            // then how much of a prescribed fluid limit is left
+            const totals = Calculator.calculateDailyTotals(todayData);
+            if (restrictions.fluid) {
+                const allowance = Calculator.getFluidAllowance(totals.volume, restrictions.fluid);
+                if (allowance.status !== 'ok') {
+                    ToastManager.show(this.formatAllowanceWarning(allowance, restrictions.fluid), allowance.status === 'exceeded' ? 'error' : 'warning', 6000);
+                    return;
+                }
+            }
+
+            const sodiumWarning = this.formatSodiumRestriction(previousTotals, totals);
+            if (sodiumWarning) {
+                ToastManager.show(sodiumWarning, 'warning', 6000);
+                return;
+            }
+
+            // warn if this drink pushed a mineral closer to its danger level
+            const newAlert = Calculator.checkElectrolyteLevels(totals)
+                .find(alert => !previousAlerts.some(prev => prev.mineral === alert.mineral && prev.level === alert.level));
+            if (newAlert) {
+                ToastManager.show(this.formatElectrolyteAlert(newAlert), newAlert.level === 'exceeded' ? 'error' : 'warning', 6000);
+                return;
+            }
+
+            ToastManager.show(I18n.t('tracker.added', {
+                amount: this.formatVolume(amount),
+                beverage: this.formatBeverage(intakeEntry).toLocaleLowerCase(I18n.getLocale())
+            }), 'success');
         },
 
         // delete water intake entry
         deleteIntake(index) {
+            EntryEditor.deleteEntry(Utils.getDateString(), index);
+        },
+
+        // add electrolyte intake
+        addElectrolyteIntake(amounts) {
             const todayData = StorageManager.getTodayTracking();
-            todayData.waterIntake.splice(index, 1);
+
+            const electrolyteEntry = {
+                ...amounts,
+                time: Utils.getTimeString(),
+                timestamp: Utils.getTimestamp()
+            };
+
+            const previousTotals = Calculator.calculateDailyTotals(todayData);
+            todayData.electrolyteIntake = todayData.electrolyteIntake || [];
+            todayData.electrolyteIntake.push(electrolyteEntry);
+
             StorageManager.saveTodayTracking(todayData);
             this.updateTrackingUI(todayData, this.getCurrentGoal());
-            ToastManager.show('Entry deleted', 'info');
+
+            const totals = Calculator.calculateDailyTotals(todayData);
+            const alerts = Calculator.checkElectrolyteLevels(totals);
+            const sodiumWarning = this.formatSodiumRestriction(previousTotals, totals);
+            if (alerts.length > 0) {
+                ToastManager.show(this.formatElectrolyteAlert(alerts[0]), alerts[0].level === 'exceeded' ? 'error' : 'warning', 6000);
+            } else if (sodiumWarning) {
+                ToastManager.show(sodiumWarning, 'warning', 6000);
+            } else {
+                ToastManager.show(I18n.t('tracker.electrolytesAdded'), 'success');
+            }
+        },
+
+        // delete electrolyte intake entry
+        deleteElectrolyteIntake(index) {
+            const todayData = StorageManager.getTodayTracking();
+            const previous = JSON.parse(JSON.stringify(todayData));
+            todayData.electrolyteIntake.splice(index, 1);
+            EntryEditor.commit(Utils.getDateString(), todayData, previous, I18n.t('tracker.entryDeleted'));
+        },
+
+        // log a workout, so drinks during a long one are checked for sodium
+        addWorkout(duration, time) {
+            const date = Utils.getDateString();
+            const timestamp = time
+                ? EntryEditor.getTimestamp(date, time)
+                : new Date(Date.now() - duration * 60000).toISOString();
+            if (!timestamp) return false;
+
+            const todayData = StorageManager.getTodayTracking();
+            const previous = JSON.parse(JSON.stringify(todayData));
+            todayData.workouts = todayData.workouts || [];
+            todayData.workouts.push({
+                duration: duration,
+                time: Utils.getTimeString(new Date(timestamp)),
+                timestamp: timestamp
+            });
+            EntryEditor.commit(date, todayData, previous, I18n.t('tracker.workoutAdded', { minutes: Utils.formatNumber(duration) }));
+            return true;
+        },
+
+        // delete a logged workout
+        deleteWorkout(index) {
+            const todayData = StorageManager.getTodayTracking();
+            const previous = JSON.parse(JSON.stringify(todayData));
+            todayData.workouts.splice(index, 1);
+            EntryEditor.commit(Utils.getDateString(), todayData, previous, I18n.t('tracker.entryDeleted'));
+        },
+
+        // check the rolling window of intake against the profile's safe rate
+        checkIntakeSafety(dayData, date = new Date()) {
+            const profile = StorageManager.getData().userProfile || {};
+            return Calculator.checkIntakeSafety(dayData, profile, date, { formatVolume: ml => this.formatVolume(ml) });
+        },
+
+        // keep the alerts a drink raised in the day's data
+        recordSafetyEvents(dayData, check, timestamp) {
+            if (check.alerts.length === 0) return;
+
+            dayData.safetyEvents = dayData.safetyEvents || [];
+            check.alerts.forEach(alert => {
+                dayData.safetyEvents.push({
+                    id: alert.id,
+                    level: alert.level,
+                    amount: alert.amount,
+                    limit: check.limit,
+                    time: Utils.getTimeString(new Date(timestamp)),
+                    timestamp: timestamp
+                });
+            });
+        },
+
+        // translate an overhydration alert, keeping its English text as the fallback
+        formatSafetyAlert(alert) {
+            return I18n.t(`safety.${alert.id}`, alert.params, alert.text);
+        },
+
+        // show the overhydration banner while the last hour is above a safe rate
+        updateSafety() {
+            const banner = document.getElementById('safety-alert');
+            const todayData = StorageManager.getTodayTracking();
+            const check = this.getCurrentGoal() > 0 ? this.checkIntakeSafety(todayData) : { level: 'ok', alerts: [] };
+
+            if (check.level === 'ok') {
+                banner.hidden = true;
+                banner.innerHTML = '';
+                delete banner.dataset.message;
+                return;
+            }
+
+            // only rewrite on change so screen readers announce it once
+            const messages = check.alerts.map(alert => this.formatSafetyAlert(alert));
+            const recorded = (todayData.safetyEvents || []).length;
+            const message = `${messages.join(' ')} ${recorded}`;
+            banner.hidden = false;
+            banner.className = `safety-alert safety-${check.level}`;
+            if (banner.dataset.message === message) return;
+
+            banner.dataset.message = message;
+            banner.innerHTML = `
+                <img src="./assets/svgs/warning.svg" alt="" class="icon" aria-hidden="true">
+                <div>
+                    ${messages.map(text => `<p>${Utils.sanitize(text)}</p>`).join('')}
+                    ${recorded > 0 ? `<p class="progress-note">${I18n.t('safety.recorded', { count: recorded })}</p>` : ''}
+                </div>
+            `;
+        },
+
+        // warn as the day's drinks close in on a prescribed fluid limit
+        formatAllowanceWarning(allowance, limit) {
+            if (allowance.status === 'exceeded') {
+                return I18n.t('restriction.exceededToast', { amount: this.formatVolume(allowance.over), limit: this.formatVolume(limit) });
+            }
+            if (allowance.status === 'reached') {
+                return I18n.t('restriction.reachedToast', { limit: this.formatVolume(limit) });
+            }
+            return I18n.t('restriction.nearToast', { amount: this.formatVolume(allowance.remaining) });
+        },
+
+        // build warning text when an entry takes sodium past a prescribed limit
+        formatSodiumRestriction(previousTotals, totals) {
+            const limit = this.getRestrictions().sodium;
+            if (!limit || previousTotals.sodium > limit || totals.sodium <= limit) {
+                return null;
+            }
+            return I18n.t('restriction.sodiumExceeded', {
+                total: Utils.formatNumber(totals.sodium),
+                limit: Utils.formatNumber(limit)
+            });
+        },
+
+        // build warning text for an electrolyte alert
+        formatElectrolyteAlert(alert) {
+            return I18n.t(alert.level === 'exceeded' ? 'tracker.alertExceeded' : 'tracker.alertNear', {
+                name: I18n.t(`electrolytes.${alert.mineral}`),
+                total: Utils.formatNumber(alert.total),
+                danger: Utils.formatNumber(alert.danger)
+            });
         },
 
         // update tracking UI
         updateTrackingUI(todayData, goal) {
             const waterIntake = todayData.waterIntake || [];
-            const totalIntake = waterIntake.reduce((sum, entry) => sum + entry.amount, 0);
+            const totals = Calculator.calculateDailyTotals(todayData);
+            const totalIntake = totals.water;
 
             // update progress
-            document.getElementById('current-intake').textContent = `${Utils.formatNumber(totalIntake)} ml`;
-            
-            const progressPercentage = goal > 0 ? Math.min((totalIntake / goal) * 100, 100) : 0;
-            document.getElementById('progress-percentage').textContent = `${Math.round(progressPercentage)}%`;
-            
-            const progressFill = document.getElementById('progress-fill');
-            progressFill.style.width = `${progressPercentage}%`;
-            progressFill.setAttribute('aria-valuenow', Math.round(progressPercentage));
+            this.updateIntakeTotals(totals);
+            this.updateProgress(totals, goal);
 
             // update intake list
             this.updateIntakeList(waterIntake);
 
-            // check if goal reached
-            if (totalIntake >= goal && goal > 0) {
-                ToastManager.show('Congratulations! You\'ve reached your daily water goal!', 'success', 6000);
+            // update electrolyte progress and list
+            this.updateElectrolyteProgress(totals);
+            this.updateElectrolyteList(todayData.electrolyteIntake || []);
+            this.updateWorkoutList(todayData.workouts || []);
+
+            this.updatePace();
+            this.updateSafety();
+            this.renderIntakeChart();
+
+            // keep history in sync with today's entries
+            HistoryManager.render();
+
+            // check if goal reached; a fluid limit is not a goal to reach
+            if (totalIntake >= goal && goal > 0 && !this.getRestrictions().fluid) {
+                ToastManager.show(I18n.t('tracker.goalReached'), 'success', 6000);
+            }
+        },
+
+        // fill the meter towards the goal, or with the share of a prescribed limit used
+        updateProgress(totals, goal) {
+            const limit = this.getRestrictions().fluid;
+            const label = document.getElementById('progress-label');
+            label.dataset.i18n = limit ? 'restriction.progressLabel' : 'tracker.progress';
+            label.textContent = I18n.t(label.dataset.i18n);
+
+            const allowanceNote = document.getElementById('fluid-allowance');
+            const progressFill = document.getElementById('progress-fill');
+            let percentage = goal > 0 ? Math.min(Math.round((totals.water / goal) * 100), 100) : 0;
+            progressFill.className = 'progress-fill';
+
+            if (limit) {
+                const allowance = Calculator.getFluidAllowance(totals.volume, limit);
+                percentage = allowance.percentage;
+                progressFill.classList.add(`allowance-${allowance.status}`);
+                allowanceNote.className = `fluid-allowance allowance-${allowance.status}`;
+                allowanceNote.textContent = this.formatAllowance(allowance);
+            }
+            allowanceNote.hidden = !limit;
+
+            document.getElementById('progress-percentage').textContent = `${percentage}%`;
+            progressFill.style.width = `${Math.min(percentage, 100)}%`;
+            progressFill.setAttribute('aria-valuenow', Math.min(percentage, 100));
+        },
+
+        // describe what is left of a prescribed fluid limit
+        formatAllowance(allowance) {
+            if (allowance.status === 'exceeded') {
+                return I18n.t('restriction.exceeded', { amount: this.formatVolume(allowance.over) });
+            }
+            if (allowance.status === 'reached') {
+                return I18n.t('restriction.reached');
+            }
+            return I18n.t('restriction.remaining', { amount: this.formatVolume(allowance.remaining) });
+        },
+
+        // compare today's intake with an even pace across the waking hours
+        updatePace() {
+            const indicator = document.getElementById('pace-indicator');
+            const goal = this.getCurrentGoal();
+            // catching up makes no sense against a prescribed maximum
+            if (goal <= 0 || this.getRestrictions().fluid) {
+                indicator.hidden = true;
+                return;
+            }
+
+            const schedule = StorageManager.getSchedule();
+            const total = Calculator.calculateDailyTotals(StorageManager.getTodayTracking()).water;
+            const pace = Calculator.calculatePace(total, goal, schedule);
+            const statusKeys = { 'not-started': 'notStarted', 'on-track': 'onTrack', ahead: 'ahead', behind: 'behind', done: 'done' };
+
+            indicator.hidden = false;
+            indicator.className = `pace-indicator pace-${pace.status}`;
+            document.getElementById('pace-status').textContent = I18n.t(`tracker.pace.${statusKeys[pace.status]}`, {
+                expected: this.formatVolume(pace.expected),
+                difference: this.formatVolume(Math.abs(pace.difference)),
+                wake: schedule.wakeTime
+            });
+
+            let detail = I18n.t('tracker.pace.window', { wake: schedule.wakeTime, sleep: schedule.sleepTime });
+            if (pace.status === 'behind') {
+                // no plan either when the day is nearly over or when keeping pace is already the safe maximum
+                const catchUp = pace.catchUp;
+                const regularPace = Calculator.getRegularPace(goal, schedule);
+                if (catchUp) {
+                    detail = I18n.t('tracker.pace.catchUp', {
+                        perDrink: this.formatVolume(catchUp.perDrink),
+                        interval: catchUp.interval,
+                        hours: Utils.formatDecimal(catchUp.hours, 1)
+                    });
+                } else if (regularPace >= CONFIG.PACE.MAX_PER_HOUR) {
+                    detail = I18n.t('tracker.pace.atLimit', { rate: this.formatVolumeRate(regularPace) });
+                } else {
+                    detail = I18n.t('tracker.pace.tooLate');
+                }
+                if (catchUp && catchUp.partial) {
+                    detail += ` ${I18n.t('tracker.pace.partial', { max: this.formatVolumeRate(CONFIG.PACE.MAX_PER_HOUR) })}`;
+                }
+            }
+            document.getElementById('pace-detail').textContent = detail;
+        },
+
+        // chart today's cumulative intake against an even pace and the goal
+        renderIntakeChart() {
+            const chart = document.getElementById('intake-chart');
+            const goal = this.getCurrentGoal();
+            if (goal <= 0) {
+                chart.innerHTML = '';
+                return;
+            }
+
+            const { WIDTH, HEIGHT, PADDING, SAMPLE_MINUTES, TICK_MINUTES } = CONFIG.CHART;
+            const schedule = StorageManager.getSchedule();
+            const dayStart = Utils.parseDateString(Utils.getDateString());
+            dayStart.setHours(StorageManager.getPreferences().dayStartHour);
+            const dayMinutes = (Utils.getNextDayStart(dayStart) - dayStart) / 60000;
+            const minutesOf = time => Math.min(Math.max((new Date(time) - dayStart) / 60000, 0), dayMinutes);
+            const timeAt = minutes => new Date(dayStart.getTime() + minutes * 60000);
+
+            // the pace line, flat until today's wake time
+            const wakeAt = minutesOf(Utils.getTrackingTime(Utils.getDateString(), schedule.wakeTime));
+            const pace = [];
+            for (let minutes = 0; minutes <= dayMinutes; minutes += SAMPLE_MINUTES) {
+                pace.push([minutes, minutes < wakeAt ? 0 : goal * Calculator.getWakingProgress(schedule, timeAt(minutes))]);
+            }
+            const wakeIndex = pace.findIndex(([, ml]) => ml > 0);
+            const sleepIndex = pace.findIndex(([, ml]) => ml >= goal);
+
+            // cumulative effective intake after each entry
+            let total = 0;
+            const entries = [...(StorageManager.getTodayTracking().waterIntake || [])]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                .map(entry => {
+                    total += Calculator.getEffectiveAmount(entry);
+                    return { entry, minutes: minutesOf(entry.timestamp), total };
+                });
+            const now = minutesOf(Date.now());
+
+            // show the waking window plus any entries outside it, in whole hours
+            const points = [now, ...entries.map(item => item.minutes)];
+            if (wakeIndex > 0) points.push(pace[wakeIndex - 1][0]);
+            if (sleepIndex >= 0) points.push(pace[sleepIndex][0]);
+            const start = Math.floor(Math.min(...points) / 60) * 60;
+            const end = Math.max(Math.ceil(Math.max(...points) / 60) * 60, start + 60);
+            const top = Math.max(goal, total) * 1.1;
+
+            const x = minutes => PADDING.left + ((minutes - start) / (end - start)) * (WIDTH - PADDING.left - PADDING.right);
+            const y = ml => HEIGHT - PADDING.bottom - (ml / top) * (HEIGHT - PADDING.top - PADDING.bottom);
+            const round = value => Math.round(value * 10) / 10;
+
+            const pacePoints = pace
+                .filter(([minutes]) => minutes >= start && minutes <= end)
+                .map(([minutes, ml]) => `${round(x(minutes))},${round(y(ml))}`)
+                .join(' ');
+
+            let intakePath = `M${round(x(start))},${round(y(0))}`;
+            entries.forEach(item => {
+                intakePath += ` H${round(x(item.minutes))} V${round(y(item.total))}`;
+            });
+            intakePath += ` H${round(x(Math.max(now, entries.length ? entries[entries.length - 1].minutes : start)))}`;
+
+            const ticks = [];
+            for (let minutes = Math.ceil(start / TICK_MINUTES) * TICK_MINUTES; minutes <= end; minutes += TICK_MINUTES) {
+                ticks.push(`
+                    <line class="chart-grid" x1="${round(x(minutes))}" x2="${round(x(minutes))}" y1="${PADDING.top}" y2="${HEIGHT - PADDING.bottom}"></line>
+                    <text class="chart-axis-label" x="${round(x(minutes))}" y="${HEIGHT - 8}" text-anchor="middle">${Utils.formatTime(timeAt(minutes))}</text>
+                `);
+            }
+
+            const markers = entries.map(item => `
+                <circle class="chart-marker" cx="${round(x(item.minutes))}" cy="${round(y(item.total))}" r="5" tabindex="0" aria-label="${I18n.t('tracker.chart.entry', {
+                    time: Utils.formatTime(item.entry.timestamp),
+                    entry: this.formatIntakeEntry(item.entry),
+                    total: this.formatVolume(item.total)
+                })}"></circle>
+            `).join('');
+
+            chart.dataset.summary = I18n.t('tracker.chart.summary', {
+                count: entries.length,
+                total: this.formatVolume(total),
+                goal: this.formatVolume(goal)
+            });
+            chart.innerHTML = `
+                <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="group" aria-label="${I18n.t('tracker.chart.label')}">
+                    ${ticks.join('')}
+                    <line class="chart-axis" x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${round(y(0))}" y2="${round(y(0))}"></line>
+                    <text class="chart-axis-label" x="${PADDING.left - 6}" y="${round(y(0))}" text-anchor="end" dominant-baseline="middle">0</text>
+                    <line class="chart-goal" x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${round(y(goal))}" y2="${round(y(goal))}"></line>
+                    <text class="chart-axis-label" x="${PADDING.left - 6}" y="${round(y(goal))}" text-anchor="end" dominant-baseline="middle">${this.formatVolume(goal)}</text>
+                    <polyline class="chart-pace" points="${pacePoints}"></polyline>
+                    ${now >= start && now <= end ? `<line class="chart-now" x1="${round(x(now))}" x2="${round(x(now))}" y1="${PADDING.top}" y2="${HEIGHT - PADDING.bottom}"></line>` : ''}
+                    <path class="chart-intake" d="${intakePath}"></path>
+                    ${markers}
+                </svg>
+            `;
+
+            const detail = document.getElementById('intake-chart-detail');
+            if (!chart.contains(document.activeElement)) {
+                detail.textContent = chart.dataset.summary;
+            }
+        },
+
+        // show today's intake and the drink volume behind it
+        updateIntakeTotals(totals) {
+            // a fluid limit counts what was drunk, not its hydration value
+            if (this.getRestrictions().fluid) {
+                document.getElementById('current-intake').textContent = this.formatVolume(totals.volume);
+                document.getElementById('intake-volume-note').textContent = '';
+                return;
             }
+
+            document.getElementById('current-intake').textContent = this.formatVolume(totals.water);
+            document.getElementById('intake-volume-note').textContent = totals.volume !== totals.water
+                ? I18n.t('tracker.effectiveFrom', { volume: this.formatVolume(totals.volume) })
+                : '';
+        },
+
+        // format an intake entry as amount and beverage
+        formatIntakeEntry(entry) {
+            return `${this.formatVolume(entry.amount)} ${this.formatBeverage(entry)}`;
+        },
+
+        // note the effective hydration when it differs from the volume
+        formatEffectiveNote(entry) {
+            const effective = Calculator.getEffectiveAmount(entry);
+            return effective !== entry.amount ? ` · ${I18n.t('tracker.countsAs', { amount: this.formatVolume(effective) })}` : '';
         },
 
         // update intake list
@@ -1395,7 +5139,7 @@
             const intakeList = document.getElementById('intake-list');
             
             if (waterIntake.length === 0) {
-                intakeList.innerHTML = '<p class="empty-state">No water intake recorded yet. Add your first entry!</p>';
+                intakeList.innerHTML = `<p class="empty-state">${I18n.t('tracker.noWater')}</p>`;
                 return;
             }
 
@@ -1404,25 +5148,139 @@
                 new Date(b.timestamp) - new Date(a.timestamp)
             );
 
-            intakeList.innerHTML = sortedIntake.map((entry, index) => `
-                <div class="intake-item">
+            // edit and delete buttons are handled by EntryEditor
+            const today = Utils.getDateString();
+            intakeList.innerHTML = sortedIntake.map(entry => `
+                <div class="intake-item" data-date="${today}" data-index="${waterIntake.indexOf(entry)}">
                     <div class="intake-info">
-                        <span class="intake-amount">${entry.amount}ml</span>
-                        <span class="intake-time">${entry.time}</span>
+                        <span class="intake-amount">${this.formatIntakeEntry(entry)}</span>
+                        <span class="intake-time">${Utils.formatTime(entry.timestamp)}${this.formatEffectiveNote(entry)}</span>
                     </div>
-                    <button class="delete-btn" data-index="${waterIntake.indexOf(entry)}" aria-label="Delete entry">
-                        <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
-                            <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
-                        </svg>
-                    </button>
+                    ${EntryEditor.renderActions()}
                 </div>
             `).join('');
+        },
+
+        // update per-mineral progress bars
+        updateElectrolyteProgress(totals) {
+            const goals = this.getCurrentGoals();
+            const alerts = Calculator.checkElectrolyteLevels(totals);
+
+            CONFIG.ELECTROLYTE_KEYS.forEach(key => {
+                const goal = goals[key] || 0;
+                const total = totals[key] || 0;
+                const percentage = goal > 0 ? Math.min((total / goal) * 100, 100) : 0;
+                const alert = alerts.find(a => a.mineral === key);
+
+                document.getElementById(`${key}-intake`).textContent = I18n.t('tracker.electrolyteProgress', {
+                    total: Utils.formatNumber(total),
+                    goal: Utils.formatNumber(goal)
+                });
+
+                const fill = document.getElementById(`${key}-progress-fill`);
+                fill.style.width = `${percentage}%`;
+                fill.setAttribute('aria-valuenow', Math.round(percentage));
+                fill.classList.toggle('near-danger', alert?.level === 'near');
+                fill.classList.toggle('over-danger', alert?.level === 'exceeded');
+            });
+
+            // show danger warnings
+            const warningEl = document.getElementById('electrolyte-warning');
+            if (alerts.length === 0) {
+                warningEl.style.display = 'none';
+                warningEl.innerHTML = '';
+                return;
+            }
+
+            warningEl.style.display = 'flex';
+            warningEl.innerHTML = `
+                <img src="./assets/svgs/warning.svg" alt="" class="icon" aria-hidden="true">
+                <div>${alerts.map(alert => `<p>${Utils.sanitize(this.formatElectrolyteAlert(alert))}</p>`).join('')}</div>
+            `;
+        },
+
+        // format an electrolyte entry as its non-zero minerals
+        formatElectrolyteEntry(entry) {
+            return CONFIG.ELECTROLYTE_KEYS
+                .filter(key => entry[key] > 0)
+                .map(key => `${I18n.t(`electrolytes.${key}`)} ${Utils.formatNumber(entry[key])}mg`)
+                .join(', ');
+        },
+
+        // update electrolyte intake list
+        updateElectrolyteList(electrolyteIntake) {
+            const electrolyteList = document.getElementById('electrolyte-list');
+
+            if (electrolyteIntake.length === 0) {
+                electrolyteList.innerHTML = `<p class="empty-state">${I18n.t('tracker.noElectrolytes')}</p>`;
+                return;
+            }
+
+            // sort by timestamp (newest first)
+            const sortedIntake = [...electrolyteIntake].sort((a, b) =>
+                new Date(b.timestamp) - new Date(a.timestamp)
+            );
+
+            electrolyteList.innerHTML = sortedIntake.map(entry => {
+                return `
+                    <div class="intake-item">
+                        <div class="intake-info">
+                            <span class="intake-amount">${this.formatElectrolyteEntry(entry)}</span>
+                            <span class="intake-time">${Utils.formatTime(entry.timestamp)}</span>
+                        </div>
+                        <button class="delete-btn" data-index="${electrolyteIntake.indexOf(entry)}" aria-label="${I18n.t('tracker.deleteEntry')}">
+                            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                                <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
+                            </svg>
+                        </button>
+                    </div>
+                `;
+            }).join('');
+
+            // add delete listeners
+            electrolyteList.querySelectorAll('.delete-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const index = parseInt(btn.dataset.index);
+                    this.deleteElectrolyteIntake(index);
+                });
+            });
+        },
+
+        // update workout list
+        updateWorkoutList(workouts) {
+            const workoutList = document.getElementById('workout-list');
+
+            if (workouts.length === 0) {
+                workoutList.innerHTML = `<p class="empty-state">${I18n.t('tracker.noWorkouts')}</p>`;
+                return;
+            }
+
+            // sort by start (newest first)
+            const sortedWorkouts = [...workouts].sort((a, b) =>
+                new Date(b.timestamp) - new Date(a.timestamp)
+            );
+
+            workoutList.innerHTML = sortedWorkouts.map(entry => {
+                return `
+                    <div class="intake-item">
+                        <div class="intake-info">
+                            <span class="intake-amount">${I18n.t('tracker.workoutEntry', { minutes: Utils.formatNumber(entry.duration) })}</span>
+                            <span class="intake-time">${Utils.formatTime(entry.timestamp)}</span>
+                        </div>
+                        <button class="delete-btn" data-index="${workouts.indexOf(entry)}" aria-label="${I18n.t('tracker.deleteEntry')}">
+                            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                                <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
+                            </svg>
+                        </button>
+                    </div>
+                `;
+            }).join('');
 
             // add delete listeners
-            intakeList.querySelectorAll('.delete-btn').forEach(btn => {
+            workoutList.querySelectorAll('.delete-btn').forEach(btn => {
                 btn.addEventListener('click', () => {
                     const index = parseInt(btn.dataset.index);
-                    this.deleteIntake(index);
+                    this.deleteWorkout(index);
                 });
             });
         },
@@ -1433,6 +5291,21 @@
             return data.dailyGoals?.water || 0;
         },
 
+        // get all current daily goals
+        getCurrentGoals() {
+            const data = StorageManager.getData();
+            return data.dailyGoals || {};
+        },
+
+        // get the clinician-set limits (ml and mg per day), 0 where none is set
+        getRestrictions() {
+            const profile = StorageManager.getData().userProfile || {};
+            return {
+                fluid: profile.fluidRestriction > 0 ? profile.fluidRestriction : 0,
+                sodium: profile.fluidRestriction > 0 && profile.sodiumRestriction > 0 ? profile.sodiumRestriction : 0
+            };
+        },
+
         // load saved data on page load
         loadSavedData() {
             const data = StorageManager.getData();
@@ -1452,6 +5325,8 @@
                     },
                     []
                 );
+                this.updateSodiumSource(data.userProfile || {});
+                this.renderFuelingPlan(data.userProfile || {});
                 this.initializeTracking(data.dailyGoals.water);
             }
         },
@@ -1459,7 +5334,7 @@
         // populate form with saved data
         populateForm(profile) {
             // weight
-            const weightUnit = document.querySelector('.unit-btn.active').dataset.unit;
+            const weightUnit = this.getWeightUnit();
             let displayWeight = profile.weight;
             if (weightUnit === 'lbs') {
                 displayWeight *= CONFIG.KG_TO_LBS;
@@ -1473,34 +5348,98 @@
             if (profile.exerciseDuration !== undefined) document.getElementById('exercise-duration').value = profile.exerciseDuration;
             if (profile.exerciseIntensity) document.getElementById('exercise-intensity').value = profile.exerciseIntensity;
             if (profile.climate) document.getElementById('climate').value = profile.climate;
-            if (profile.altitude) document.getElementById('altitude').value = profile.altitude;
+            if (typeof profile.temperature === 'number') {
+                const displayTemperature = this.getTemperatureUnit() === 'f'
+                    ? Utils.celsiusToFahrenheit(profile.temperature)
+                    : profile.temperature;
+                document.getElementById('temperature').value = Math.round(displayTemperature * 10) / 10;
+            }
+            if (typeof profile.humidity === 'number') document.getElementById('humidity').value = profile.humidity;
+            this.updateHeatIndexNote();
+            if (profile.altitude !== undefined) {
+                const altitude = Calculator.getAltitudeMeters(profile);
+                document.getElementById('altitude').value = Math.round(this.getAltitudeUnit() === 'ft' ? altitude * CONFIG.METERS_TO_FEET : altitude);
+            }
+            document.getElementById('altitude-days').value = profile.altitudeDays || '';
+            document.getElementById('sweat-sodium-source').value = profile.sweatSodiumSource || '';
+            document.getElementById('sweat-sodium-concentration').value = profile.sweatSodiumConcentration || '';
+            this.toggleSweatSodiumInput(profile.sweatSodiumSource);
 
             // checkboxes
             document.getElementById('pregnant').checked = profile.pregnant || false;
             document.getElementById('breastfeeding').checked = profile.breastfeeding || false;
             document.getElementById('illness').checked = profile.illness || false;
             document.getElementById('kidney-disease').checked = profile.kidneyDisease || false;
+
+            // prescribed limits
+            const restricted = profile.fluidRestriction > 0;
+            document.getElementById('fluid-restriction').checked = restricted;
+            document.getElementById('fluid-restriction-amount').value = restricted
+                ? Utils.toVolumeUnit(profile.fluidRestriction, this.getVolumeUnit())
+                : '';
+            document.getElementById('sodium-restriction-amount').value = restricted && profile.sodiumRestriction > 0
+                ? profile.sodiumRestriction
+                : '';
+            this.toggleRestrictionInputs(restricted);
         }
     };
 
     // initialization
     function initializeApp() {
+        I18n.init();
         ToastManager.init();
+        ProfileManager.init();
+        BackupManager.init();
+        HistoryManager.init();
+        EntryEditor.init();
+        ContainerManager.init();
         UIManager.init();
-        checkMidnightRollover();
+        SweatTestManager.init();
+        SweatTestManager.render();
+        registerServiceWorker();
+        ReminderManager.init();
+        HistoryManager.render();
+        checkDayRollover();
+
+        // tell the user if stored data had to be quarantined
+        if (StorageManager.recoveryNotice) {
+            ToastManager.show(I18n.t(StorageManager.recoveryNotice), 'warning', 8000);
+            StorageManager.recoveryNotice = null;
+            BackupManager.renderQuarantine();
+        }
         console.log('Water + Electrolyte Balance Tool initialized successfully');
     }
 
-    // check for date change and reset tracking if needed
-    function checkMidnightRollover() {
-        const lastDate = localStorage.getItem('last_active_date');
-        const currentDate = Utils.getDateString();
+    // register the service worker (offline cache and reminders)
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+            return;
+        }
+
+        navigator.serviceWorker.register('./sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    // the tracking day on screen and the timer that waits for the next one
+    let currentDay = null;
+    let rolloverTimer = null;
+
+    // move the tracker to a new day when the day start passes, then wait for the next one
+    function checkDayRollover(announce = true) {
+        const today = Utils.getDateString();
 
-        if (lastDate && lastDate !== currentDate) {
-            console.log('New day detected - tracking reset');
+        if (currentDay && currentDay !== today) {
+            UIManager.refreshDisplay();
+            if (announce) {
+                ToastManager.show(I18n.t('tracker.newDay'), 'info');
+            }
         }
+        currentDay = today;
 
-        localStorage.setItem('last_active_date', currentDate);
+        // timers pause while the device sleeps, so visibilitychange checks again
+        clearTimeout(rolloverTimer);
+        rolloverTimer = setTimeout(checkDayRollover, Utils.getNextDayStart() - Date.now());
     }
 
     // event listeners
@@ -1510,10 +5449,17 @@
         initializeApp();
     }
 
+    // another tab changed the stored data
+    window.addEventListener('storage', (e) => {
+        if (e.key === CONFIG.STORAGE_KEY || e.key === null) {
+            StorageManager.clearCache();
+        }
+    });
+
     // handle page visibility changes
     document.addEventListener('visibilitychange', () => {
         if (!document.hidden) {
-            checkMidnightRollover();
+            checkDayRollover();
             
             const goal = UIManager.getCurrentGoal();
             if (goal > 0) {
@@ -0,0 +1,1605 @@
+/**
+ * Hydration+ calculation engine.
+ *
+ * DOM-free water and electrolyte calculations shared by the browser UI and
+ * by server-side or script consumers. Works as a CommonJS module
+ * (`require('hydration-engine')`), as an ES module through
+ * `hydration-engine.mjs`, and as the `HydrationEngine` global when loaded
+ * with a plain <script> tag.
+ *
+ * All volumes are in ml, all electrolytes in mg and all weights in kg.
+ */
+
+/**
+ * Profile parameters accepted by the calculators.
+ *
+ * @typedef {Object} HydrationParams
+ * @property {number} weight - body weight in kg
+ * @property {number} age - age in years
+ * @property {'male'|'female'|'other'} gender
+ * @property {'sedentary'|'light'|'moderate'|'active'|'athlete'} activityLevel
+ * @property {number} exerciseDuration - exercise minutes per day
+ * @property {'low'|'medium'|'high'} exerciseIntensity
+ * @property {'cool'|'moderate'|'hot'|'very-hot'} climate - fallback when no
+ *   temperature is given
+ * @property {number} [temperature] - air temperature in °C
+ * @property {number} [humidity] - relative humidity in %
+ * @property {number|'sea-level'|'moderate'|'high'} altitude - elevation in
+ *   meters; the legacy bucket names are still accepted
+ * @property {number} [altitudeDays] - days spent at this altitude so far
+ * @property {boolean} [pregnant]
+ * @property {boolean} [breastfeeding]
+ * @property {boolean} [illness] - fever or diarrhea
+ * @property {boolean} [kidneyDisease]
+ * @property {number} [fluidRestriction] - prescribed maximum fluid in ml/day;
+ *   replaces the calculated requirement when set
+ * @property {number} [sodiumRestriction] - prescribed maximum sodium in mg/day
+ * @property {number} [sweatRate] - measured sweat rate in ml/h; replaces the
+ *   generic CONFIG.EXERCISE_WATER_PER_HOUR estimate when set
+ * @property {'lab'|'light'|'average'|'salty'} [sweatSodiumSource] - where the
+ *   sweat sodium concentration comes from; unset uses the flat estimate
+ * @property {number} [sweatSodiumConcentration] - mg/L, required when
+ *   sweatSodiumSource is 'lab'
+ */
+
+/**
+ * Exercise sodium loss from sweat rate and sweat sodium concentration.
+ *
+ * @typedef {Object} SweatSodiumLoss
+ * @property {'lab'|'light'|'average'|'salty'} source
+ * @property {string} sourceLabel - e.g. 'lab patch test'
+ * @property {number} concentration - mg/L
+ * @property {number} sweatRate - ml/h used for the estimate
+ * @property {boolean} sweatRateMeasured - false when the generic rate was used
+ * @property {number} hourlyLoss - mg per exercise hour
+ * @property {number} sessionLoss - mg over params.exerciseDuration
+ * @property {{min: number, max: number}} replacement - mg to take in per hour
+ *   during long sessions
+ */
+
+/**
+ * Waking window in local time. A sleepTime at or before wakeTime means the
+ * window runs past midnight.
+ *
+ * @typedef {Object} Schedule
+ * @property {string} wakeTime - 'HH:MM'
+ * @property {string} sleepTime - 'HH:MM'
+ */
+
+/**
+ * Intake against an even pace across the waking window. `difference` is
+ * positive when ahead of the expected intake; without a goal the status is
+ * 'no-goal'.
+ *
+ * @typedef {Object} Pace
+ * @property {'no-goal'|'not-started'|'on-track'|'ahead'|'behind'|'done'} status
+ * @property {number} progress - share of the waking window passed, 0..1
+ * @property {number} expected - ml expected by now
+ * @property {number} difference - ml, total minus expected
+ * @property {CatchUpPlan|null} catchUp - only when behind with time left and
+ *   room under CONFIG.PACE.MAX_PER_HOUR
+ */
+
+/**
+ * How to make up a deficit: `perDrink` every `interval` minutes for `hours`,
+ * which includes the regular pace. `partial` means the deficit was larger
+ * than can safely be made up and only `amount` of it is planned.
+ *
+ * @typedef {Object} CatchUpPlan
+ * @property {number} amount - ml of the deficit made up
+ * @property {number} hours
+ * @property {number} interval - minutes
+ * @property {number} perDrink - ml
+ * @property {boolean} partial
+ */
+
+/**
+ * One drink in a fueling plan. `minute` is relative to the session start:
+ * negative before, the session length for the drink afterwards.
+ *
+ * @typedef {Object} FuelingStep
+ * @property {'before'|'during'|'after'} phase
+ * @property {number} minute
+ * @property {number} volume - ml
+ * @property {number} sodium - mg
+ */
+
+/**
+ * @typedef {Object} FuelingPlan
+ * @property {number} sweatRate - ml/h used for the plan
+ * @property {boolean} sweatRateMeasured
+ * @property {number} sweatLoss - ml over the session
+ * @property {number} sodiumLoss - mg over the session
+ * @property {number} netLoss - ml still missing after drinking to plan
+ * @property {number} bodyMassLoss - netLoss as % of body weight
+ * @property {number} interval - minutes between drinks during the session
+ * @property {FuelingStep[]} steps
+ */
+
+/**
+ * One sweat test: weigh in before and after a session.
+ *
+ * @typedef {Object} SweatTest
+ * @property {number} preWeight - kg, before exercise
+ * @property {number} postWeight - kg, after exercise (towelled dry)
+ * @property {number} [fluidIntake] - ml drunk during the session
+ * @property {number} [urineOutput] - ml passed during the session
+ * @property {number} duration - session length in minutes
+ * @property {'low'|'medium'|'high'} [intensity]
+ * @property {string} [climate] - conditions during the test
+ * @property {string} [date] - YYYY-MM-DD
+ */
+
+/**
+ * Daily electrolyte targets in mg.
+ *
+ * @typedef {Object} ElectrolyteTargets
+ * @property {number} sodium
+ * @property {number} potassium
+ * @property {number} magnesium
+ * @property {number} calcium
+ */
+
+/**
+ * A recommendation line.
+ *
+ * @typedef {Object} Recommendation
+ * @property {'info'|'warning'} type
+ * @property {string} id - stable key, e.g. for looking up a translation
+ * @property {Object<string, string|number>} params - values for the `{name}`
+ *   placeholders of the message, already formatted for the requested locale
+ * @property {string} text - English message
+ */
+
+/**
+ * A problem with the combination of profile inputs.
+ *
+ * @typedef {Object} ConsistencyIssue
+ * @property {string} id - stable key, e.g. for looking up a translation
+ * @property {string} text - English message
+ */
+
+/**
+ * One day of tracking data as stored by the app.
+ *
+ * @typedef {Object} DayData
+ * @property {Array<{amount: number, beverage?: string, time: string, timestamp: string}>} [waterIntake]
+ * @property {Array<{sodium?: number, potassium?: number, magnesium?: number, calcium?: number, time: string, timestamp: string}>} [electrolyteIntake]
+ * @property {number} [goal] - water goal (ml) that applied on the day
+ * @property {Array<{id: string, level: string, amount: number, limit: number, time: string, timestamp: string}>} [safetyEvents] -
+ *   overhydration alerts raised while logging
+ * @property {Array<{duration: number, time: string, timestamp: string}>} [workouts] - exercise sessions,
+ *   stamped with their start and lasting `duration` minutes
+ */
+
+/**
+ * Intake over a date range, e.g. for a weekly or monthly report.
+ * `adherence` is the share of logged days on goal in %; `best` and `worst`
+ * are the logged days with the highest and lowest share of their goal.
+ *
+ * @typedef {Object} PeriodSummary
+ * @property {string} startDate - YYYY-MM-DD
+ * @property {string} endDate - YYYY-MM-DD
+ * @property {number} periodDays
+ * @property {number} daysLogged
+ * @property {number} daysGoalMet
+ * @property {number} adherence - %
+ * @property {number} averageIntake - ml per logged day
+ * @property {number} averagePercentage - % of goal per logged day
+ * @property {Object|null} best - summarizeDay result
+ * @property {Object|null} worst - summarizeDay result
+ * @property {Array<{date: string, summary: Object|null}>} days - every day of the range in order
+ * @property {Array<{weekday: number, daysLogged: number, averageIntake: number, averageGoal: number}>} weekdays -
+ *   averages by day of the week, 0 = Sunday; the goal averages each day's own goal
+ */
+
+/**
+ * An overhydration alert.
+ *
+ * @typedef {Object} SafetyAlert
+ * @property {'caution'|'warning'|'danger'} level
+ * @property {string} id - stable key, e.g. for looking up a translation
+ * @property {number} amount - ml the alert is about: the window total, or
+ *   the fluid drunk over the exercise session
+ * @property {Object<string, string|number>} params - values for the `{name}`
+ *   placeholders of the message, already formatted for the requested locale
+ * @property {string} text - English message
+ */
+
+/**
+ * Intake over the rolling window ending at the checked moment. `level` is
+ * the most severe alert, or 'ok'.
+ *
+ * @typedef {Object} SafetyCheck
+ * @property {'ok'|'caution'|'warning'|'danger'} level
+ * @property {number} windowTotal - ml drunk within CONFIG.SAFETY.WINDOW_MINUTES
+ * @property {number} limit - ml/h that can be drunk safely
+ * @property {SafetyAlert[]} alerts
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HydrationEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+
+    // calculation constants
+    const CONFIG = {
+        BASE_WATER_PER_KG: 35,
+        EXERCISE_WATER_PER_HOUR: 500,
+        
+        // Safety limits
+        MIN_WATER: 1500,
+        MAX_WATER: 10000,
+        DANGER_WATER: 5000,
+        KIDNEY_DISEASE_WATER_CAP: 2000,
+        
+        // Prescribed restrictions (heart failure, dialysis, SIADH): accepted
+        // fluid (ml/day) and sodium (mg/day) limits, and the share of the
+        // fluid limit from which the allowance is nearly used up
+        FLUID_RESTRICTION_RANGE: { min: 500, max: 3000 },
+        SODIUM_RESTRICTION_RANGE: { min: 500, max: 3000 },
+        RESTRICTION_WARNING_RATIO: 0.9,
+        
+        // Electrolyte limits (mg/day)
+        SODIUM: { min: 1500, max: 2300, danger: 5000 },
+        POTASSIUM: { min: 2600, max: 3400, danger: 6000 },
+        MAGNESIUM: { male: 420, female: 320, danger: 700 },
+        CALCIUM: { young: 1000, senior: 1200, danger: 2500 },
+        
+        // Electrolyte tracking
+        ELECTROLYTE_KEYS: ['sodium', 'potassium', 'magnesium', 'calcium'],
+        ELECTROLYTE_WARNING_RATIO: 0.8,
+        
+        // Beverage types: hydration index relative to water (after the
+        // Maughan et al. 2016 beverage hydration index) and electrolyte
+        // content in mg per liter
+        DEFAULT_BEVERAGE: 'water',
+        BEVERAGES: {
+            water: { label: 'Water', hydrationIndex: 1.0, electrolytes: {} },
+            coffee: { label: 'Coffee', hydrationIndex: 0.95, electrolytes: { sodium: 20, potassium: 490, magnesium: 30 } },
+            tea: { label: 'Tea', hydrationIndex: 1.0, electrolytes: { sodium: 30, potassium: 370, magnesium: 10 } },
+            milk: { label: 'Milk', hydrationIndex: 1.5, electrolytes: { sodium: 440, potassium: 1500, magnesium: 110, calcium: 1200 } },
+            'sports-drink': { label: 'Sports Drink', hydrationIndex: 1.1, electrolytes: { sodium: 460, potassium: 125 } },
+            juice: { label: 'Juice', hydrationIndex: 1.1, electrolytes: { sodium: 10, potassium: 2000, magnesium: 110, calcium: 110 } },
+            beer: { label: 'Beer', hydrationIndex: 0.8, electrolytes: { sodium: 40, potassium: 270, magnesium: 60, calcium: 40 } },
+            ors: { label: 'Oral Rehydration Solution', hydrationIndex: 1.5, electrolytes: { sodium: 1725, potassium: 780 } }
+        },
+        
+        // Sweat sodium concentration (mg/L): presets for users without a lab
+        // patch test, the plausible range for lab values, and the share of
+        // exercise sodium loss to replace during a session
+        SWEAT_SODIUM_PRESETS: {
+            light: { label: 'light sweater estimate', concentration: 500 },
+            average: { label: 'average sweater estimate', concentration: 950 },
+            salty: { label: 'salty sweater estimate', concentration: 1400 }
+        },
+        SWEAT_SODIUM_RANGE: { min: 200, max: 2500 },
+        SODIUM_REPLACEMENT_RATIO: { min: 0.5, max: 0.75 },
+
+        // Default waking window (local 'HH:MM') for reminders and pacing
+        DEFAULT_SCHEDULE: { wakeTime: '07:00', sleepTime: '22:00' },
+        
+        // Pacing: share of the goal either side of the expected intake that
+        // still counts as on track; catching up takes at least a few hours,
+        // one drink per interval (min), and at most a glass every half hour
+        // in total, well below what the kidneys can clear (0.8-1 L/h)
+        PACE: {
+            MARGIN: 0.1,
+            CATCH_UP_HOURS: 3,
+            DRINK_INTERVAL: 30,
+            MAX_PER_HOUR: 500
+        },
+        
+        // Overhydration: the kidneys clear about 1 L/h at most, less for
+        // small bodies (ml/kg/h) and about half with kidney disease. Intake
+        // in the rolling window (min) is flagged from CAUTION_RATIO of that
+        // limit and dangerous from DANGER_RATIO. During a logged workout of
+        // LONG_EXERCISE_MINUTES or more, drinking PLAIN_WATER (ml) or more with
+        // under MIN_SODIUM_PER_LITER (mg) risks exercise-associated hyponatremia
+        SAFETY: {
+            WINDOW_MINUTES: 60,
+            MAX_PER_HOUR: 1000,
+            ML_PER_KG_PER_HOUR: 14,
+            KIDNEY_DISEASE_FACTOR: 0.5,
+            CAUTION_RATIO: 0.8,
+            DANGER_RATIO: 1.5,
+            LONG_EXERCISE_MINUTES: 120,
+            PLAIN_WATER: 1500,
+            MIN_SODIUM_PER_LITER: 300
+        },
+        
+        // Workout fueling plan: ml/kg before a session, drink interval (min)
+        // and hourly volume during, share of sweat loss replaced during and
+        // after; sodium is added during sessions longer than an hour
+        FUELING: {
+            BEFORE_MINUTES: 240,
+            BEFORE_ML_PER_KG: { min: 5, max: 7 },
+            BEFORE_SODIUM: 300,
+            DURING_INTERVAL: 20,
+            DURING_INTERVAL_HOT: 15,
+            DURING_REPLACEMENT: 0.7,
+            DURING_ML_PER_HOUR: { min: 300, max: 800 },
+            SODIUM_AFTER_MINUTES: 60,
+            AFTER_RATIO: 1.5,
+            AFTER_HOURS: { min: 2, max: 4 }
+        },
+
+        // Heat: [heat index °C, multiplier] points of the continuous climate
+        // curves (linear between points, flat outside), the valid input
+        // ranges and the heat index where heat illness becomes likely
+        HEAT_INDEX_WATER_CURVE: [[20, 1.0], [25, 1.05], [30, 1.15], [35, 1.3], [40, 1.4], [45, 1.5]],
+        HEAT_INDEX_ELECTROLYTE_CURVE: [[20, 1.0], [25, 1.04], [30, 1.1], [35, 1.2], [40, 1.3], [45, 1.35]],
+        TEMPERATURE_RANGE: { min: -30, max: 55 },
+        HEAT_INDEX_DANGER: 41,
+        
+        // Altitude: [meters, ml/day] points of the extra water curve, the
+        // elevation the old buckets stand for, the valid input range, and
+        // thresholds for altitude guidance (m, days)
+        ALTITUDE_WATER_CURVE: [[500, 0], [1500, 500], [2500, 1000], [3500, 1300], [5500, 1600]],
+        LEGACY_ALTITUDES: { 'sea-level': 0, moderate: 1500, high: 2500 },
+        ALTITUDE_RANGE: { min: -500, max: 9000 },
+        HIGH_ALTITUDE: 2500,
+        VERY_HIGH_ALTITUDE: 3500,
+        ACCLIMATIZATION_DAYS: 3,
+        
+        // Sweat tests: how many recent tests feed the average, the
+        // plausible range for a measured rate (ml/h), and the accepted
+        // weights (kg), durations (min) and fluid amounts (ml)
+        SWEAT_TEST_AVERAGE_COUNT: 5,
+        SWEAT_RATE: { min: 100, max: 4000 },
+        SWEAT_TEST_WEIGHT_RANGE: { min: 20, max: 300 },
+        SWEAT_TEST_DURATION_RANGE: { min: 10, max: 600 },
+        MAX_SWEAT_TEST_FLUID: 10000,
+        
+        // Weight conversion
+        KG_TO_LBS: 2.20462,
+        LBS_TO_KG: 0.453592,
+        
+        // Length conversion
+        METERS_TO_FEET: 3.28084,
+        
+        // Volume units: ml per unit, display label and decimals shown
+        VOLUME_UNITS: {
+            ml: { ml: 1, label: 'ml', decimals: 0 },
+            l: { ml: 1000, label: 'L', decimals: 2 },
+            'us-floz': { ml: 29.5735, label: 'fl oz', decimals: 1 },
+            'imp-floz': { ml: 28.4131, label: 'imp fl oz', decimals: 1 },
+            cup: { ml: 236.588, label: 'cups', decimals: 1 }
+        },
+        DEFAULT_VOLUME_UNIT: 'ml',
+        
+        // Tracking days start at this local hour (0 = midnight)
+        DEFAULT_DAY_START_HOUR: 0
+    };
+
+    // pure helpers shared with the UI
+    const Utils = {
+        // format a whole number with grouping (default locale unless given)
+        formatNumber(num, locale) {
+            return Math.round(num).toLocaleString(locale);
+        },
+
+        // validate number within range; `reason` and `limit` let callers word their own error
+        validateNumber(value, min, max) {
+            const num = parseFloat(value);
+            if (isNaN(num)) return { valid: false, reason: 'invalid', error: 'Please enter a valid number' };
+            if (num < min) return { valid: false, reason: 'min', limit: min, error: `Minimum value is ${min}` };
+            if (num > max) return { valid: false, reason: 'max', limit: max, error: `Maximum value is ${max}` };
+            return { valid: true, value: num };
+        },
+
+        // convert ml to a volume unit, rounded to the unit's decimals
+        toVolumeUnit(ml, unit) {
+            const { ml: perUnit, decimals } = CONFIG.VOLUME_UNITS[unit] || CONFIG.VOLUME_UNITS.ml;
+            const factor = Math.pow(10, decimals);
+            return Math.round((ml / perUnit) * factor) / factor;
+        },
+
+        // convert an amount in a volume unit to whole ml
+        fromVolumeUnit(value, unit) {
+            const { ml: perUnit } = CONFIG.VOLUME_UNITS[unit] || CONFIG.VOLUME_UNITS.ml;
+            return Math.round(value * perUnit);
+        },
+
+        // format ml as a number in a volume unit, e.g. "8.5"
+        formatVolumeValue(ml, unit, locale) {
+            const { decimals } = CONFIG.VOLUME_UNITS[unit] || CONFIG.VOLUME_UNITS.ml;
+            return Utils.toVolumeUnit(ml, unit).toLocaleString(locale, { maximumFractionDigits: decimals });
+        },
+
+        // format ml in a volume unit with its label, e.g. "8.5 fl oz"
+        formatVolume(ml, unit, locale) {
+            const text = Utils.formatVolumeValue(ml, unit, locale);
+            return CONFIG.VOLUME_UNITS[unit] && unit !== 'ml' ? `${text} ${CONFIG.VOLUME_UNITS[unit].label}` : `${text}ml`;
+        },
+
+        // local date (YYYY-MM-DD) of the tracking day a moment belongs to;
+        // before dayStartHour it still counts as the previous day
+        getDateString(date = new Date(), dayStartHour = CONFIG.DEFAULT_DAY_START_HOUR) {
+            const day = new Date(date.getTime());
+            day.setHours(day.getHours() - dayStartHour);
+            const pad = value => String(value).padStart(2, '0');
+            return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+        },
+
+        // the moment a local 'HH:MM' falls on within a tracking day; times
+        // before dayStartHour belong to the next calendar day
+        getTrackingTime(dateString, time, dayStartHour = CONFIG.DEFAULT_DAY_START_HOUR) {
+            const [year, month, day] = dateString.split('-').map(Number);
+            const [hours, minutes] = time.split(':').map(Number);
+            return new Date(year, month - 1, hours < dayStartHour ? day + 1 : day, hours, minutes);
+        },
+
+        // the moment the next tracking day starts, in local time
+        getNextDayStart(date = new Date(), dayStartHour = CONFIG.DEFAULT_DAY_START_HOUR) {
+            const next = new Date(date.getFullYear(), date.getMonth(), date.getDate(), dayStartHour);
+            if (next <= date) {
+                next.setDate(next.getDate() + 1);
+            }
+            return next;
+        },
+
+        // shift a YYYY-MM-DD date by whole days
+        addDays(dateString, days) {
+            const date = new Date(`${dateString}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() + days);
+            return date.toISOString().split('T')[0];
+        },
+
+        // fill `{name}` placeholders from params, leaving unknown ones as they are
+        fillTemplate(template, params = {}) {
+            return template.replace(/\{(\w+)\}/g, (match, name) =>
+                Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+            );
+        }
+    };
+
+    // English recommendation messages by id; placeholders come from the params
+    const RECOMMENDATION_TEXT = {
+        distribute: 'Distribute your {water} throughout the day. Aim for {perDrink} every 1-2 hours while awake.',
+        highWater: 'High water intake detected. Be mindful of electrolyte balance. Consider sports drinks or electrolyte supplements during intense exercise.',
+        fluidRestriction: 'You follow a prescribed fluid restriction of {limit} a day, counting every drink and liquid food such as soup. Spread it across the day, and tell your care team about sudden weight gain, swelling or breathlessness.',
+        sodiumRestriction: 'Keep sodium under your prescribed {limit}mg a day. Salt makes you thirsty, which makes a fluid limit harder to keep.',
+        kidneyCap: 'You indicated kidney disease. Water intake has been capped at {cap}. Please consult your healthcare provider for personalized guidance.',
+        measuredSweatRate: 'Exercise fluid is based on your measured sweat rate of {sweatRate}/hour. Repeat the sweat test when the season or your training changes.',
+        sweatSodium: 'Sweat sodium {concentration}mg/L ({sourceLabel}) at your {rateSource} sweat rate of {sweatRate}/hour means about {hourlyLoss}mg sodium lost per exercise hour ({sessionLoss}mg per session).',
+        sodiumReplacement: 'During sessions over 60 minutes, replace {min}-{max}mg sodium per hour with electrolyte drinks, tablets or salty snacks, and salt your post-exercise meal.',
+        longExercise: 'For exercise longer than 60 minutes, drink on a schedule rather than by thirst and include sodium. Follow your workout fueling plan.',
+        veryHighAltitude: 'At {altitude}m you are at very high altitude. Thirst and appetite fade, so drink on a schedule and keep eating salty food. Headache, nausea, breathlessness at rest or confusion can mean altitude illness: stop ascending and descend if symptoms get worse.',
+        highAltitude: 'At {altitude}m, dry air and faster breathing raise fluid losses. Above 3,000m, raise your sleeping altitude by no more than 300-500m a day and take a rest day every 3-4 days.',
+        altitude: 'At {altitude}m the air is drier and you lose more water through breathing. Pale yellow urine is a good sign you are drinking enough.',
+        acclimatizing: 'Day {day} at altitude: your body is still acclimatizing and passes more urine than usual. Keep drinking even without thirst, avoid alcohol and go easy on exercise until day {untilDay}.',
+        heatDanger: 'Heat index of {heatIndex}°C: heat exhaustion and heat stroke are likely with prolonged activity. Exercise in the coolest hours, take shade breaks and drink before you feel thirsty.',
+        humidity: 'Humidity makes {temperature}°C feel like {heatIndex}°C. Sweat evaporates poorly in humid air, so you lose more fluid than the temperature suggests.',
+        hotClimate: 'Hot climate detected. Monitor for signs of dehydration: dark urine, dizziness, fatigue. Increase intake if needed.',
+        highSodium: 'High sodium requirement due to exercise/climate. Good sources: sports drinks, salted nuts, pickles, broth.',
+        potassiumSources: 'Potassium sources: bananas, sweet potatoes, spinach, avocado, beans. Target: {target}mg/day.',
+        magnesiumSources: 'Magnesium sources: almonds, spinach, black beans, dark chocolate, pumpkin seeds. Target: {target}mg/day.'
+    };
+
+    // English overhydration alerts by id
+    const SAFETY_TEXT = {
+        rateCaution: 'You have had {amount} in the last hour, close to the {limit} your kidneys can clear. Slow down for a while.',
+        rateWarning: '{amount} in the last hour is more than the {limit} your kidneys can clear. Pause drinking: drinking this fast can dilute your blood sodium.',
+        rateDanger: '{amount} in the last hour is far above the safe {limit}. Stop drinking now. Headache, nausea, vomiting or confusion can mean hyponatremia: seek medical help.',
+        sodiumFreeWater: '{amount} during your {minutes}-minute workout with only {sodium}mg sodium. Add an electrolyte drink or a salty snack so your blood sodium is not diluted.'
+    };
+
+    // English consistency warnings by id
+    const CONSISTENCY_TEXT = {
+        sedentaryExercise: 'You selected "Sedentary" but indicated significant exercise. Consider selecting a higher activity level.',
+        childHighIntensity: 'High-intensity exercise for children under 12 should be supervised. Consult a pediatrician.',
+        restrictionExercise: 'Long exercise raises fluid and sodium losses that a prescribed restriction may not allow for. Ask your clinician how to handle training days.',
+        multipleConditions: 'Multiple health conditions detected. Please consult your healthcare provider for personalized hydration guidance.'
+    };
+
+    // waking window as minutes after midnight; sleep is past wake, so it can
+    // exceed a day when the window runs past midnight
+    function getWakingWindow(schedule) {
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        const { wakeTime, sleepTime } = schedule && timePattern.test(schedule.wakeTime) && timePattern.test(schedule.sleepTime)
+            ? schedule
+            : CONFIG.DEFAULT_SCHEDULE;
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        const wake = toMinutes(wakeTime);
+        let sleep = toMinutes(sleepTime);
+        if (sleep <= wake) {
+            sleep += 24 * 60;
+        }
+        return { wake, sleep };
+    }
+
+    // linear interpolation over sorted [x, y] points, flat outside them
+    function interpolate(points, x) {
+        if (x <= points[0][0]) return points[0][1];
+
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (x <= x1) {
+                const [x0, y0] = points[i - 1];
+                return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+            }
+        }
+        return points[points.length - 1][1];
+    }
+
+    // calculation engine
+    const Calculator = {
+        /**
+         * Daily water requirement.
+         *
+         * @param {HydrationParams} params
+         * @returns {number} ml/day, clamped to CONFIG.MIN_WATER..CONFIG.MAX_WATER
+         */
+        calculateWater(params) {
+            const {
+                weight,
+                activityLevel,
+                exerciseDuration,
+                altitude,
+                pregnant,
+                breastfeeding,
+                illness,
+                kidneyDisease
+            } = params;
+
+            // base water requirement
+            let waterRequirement = weight * CONFIG.BASE_WATER_PER_KG;
+
+            // activity level multiplier
+            const activityMultipliers = {
+                sedentary: 1.0,
+                light: 1.1,
+                moderate: 1.2,
+                active: 1.3,
+                athlete: 1.4
+            };
+            waterRequirement *= activityMultipliers[activityLevel] || 1.0;
+
+            // exercise adjustment (measured sweat rate when available)
+            const exerciseHours = exerciseDuration / 60;
+            const exerciseWater = exerciseHours * this.getExerciseSweatRate(params);
+            waterRequirement += exerciseWater;
+
+            // climate adjustment
+            waterRequirement *= this.getClimateMultiplier(params);
+
+            // altitude adjustment (breathing dry air, altitude diuresis)
+            waterRequirement += interpolate(CONFIG.ALTITUDE_WATER_CURVE, this.getAltitudeMeters({ altitude }));
+
+            // health conditions
+            if (pregnant) waterRequirement += 300;
+            if (breastfeeding) waterRequirement += 700;
+            if (illness) waterRequirement += 1000;
+            if (kidneyDisease) {
+                waterRequirement = Math.min(waterRequirement, CONFIG.KIDNEY_DISEASE_WATER_CAP);
+            }
+
+            // apply safety limits
+            waterRequirement = Math.max(CONFIG.MIN_WATER, waterRequirement);
+            waterRequirement = Math.min(CONFIG.MAX_WATER, waterRequirement);
+
+            // a prescribed restriction is the day's allowance, even below MIN_WATER
+            if (params.fluidRestriction > 0) {
+                return Math.round(params.fluidRestriction);
+            }
+
+            return Math.round(waterRequirement);
+        },
+
+        /**
+         * Fluid lost per exercise hour: the measured sweat rate when the
+         * profile has one, otherwise CONFIG.EXERCISE_WATER_PER_HOUR scaled
+         * by intensity.
+         *
+         * @param {HydrationParams} params
+         * @returns {number} ml/h
+         */
+        getExerciseSweatRate(params) {
+            if (params.sweatRate > 0) {
+                return params.sweatRate;
+            }
+
+            const intensityMultipliers = {
+                low: 0.8,
+                medium: 1.0,
+                high: 1.3
+            };
+            return CONFIG.EXERCISE_WATER_PER_HOUR * (intensityMultipliers[params.exerciseIntensity] || 1.0);
+        },
+
+        /**
+         * Sweat rate from one sweat test: body mass lost plus fluid drunk
+         * minus urine passed, per hour of exercise.
+         *
+         * @param {SweatTest} sweatTest
+         * @returns {{sweatLoss: number, sweatRate: number, bodyMassChange: number}}
+         *   sweat loss in ml, rate in ml/h and body mass change in % of the
+         *   pre-exercise weight
+         */
+        calculateSweatRate(sweatTest) {
+            const { preWeight, postWeight, fluidIntake = 0, urineOutput = 0, duration } = sweatTest;
+
+            const sweatLoss = (preWeight - postWeight) * 1000 + fluidIntake - urineOutput;
+            const sweatRate = duration > 0 ? sweatLoss / (duration / 60) : 0;
+            const bodyMassChange = preWeight > 0 ? ((postWeight - preWeight) / preWeight) * 100 : 0;
+
+            return {
+                sweatLoss: Math.round(sweatLoss),
+                sweatRate: Math.round(sweatRate),
+                bodyMassChange: Math.round(bodyMassChange * 10) / 10
+            };
+        },
+
+        /**
+         * Check a sweat test before it is stored, in the order a form shows
+         * problems: weights, duration, fluid amounts, then the resulting rate.
+         *
+         * @param {SweatTest} sweatTest
+         * @returns {{valid: boolean, reason?: 'weights'|'duration'|'fluid'|'implausible', sweatRate?: number}}
+         */
+        checkSweatTest(sweatTest) {
+            const { SWEAT_TEST_WEIGHT_RANGE: weight, SWEAT_TEST_DURATION_RANGE: duration } = CONFIG;
+            if (!Utils.validateNumber(sweatTest.preWeight, weight.min, weight.max).valid ||
+                !Utils.validateNumber(sweatTest.postWeight, weight.min, weight.max).valid) {
+                return { valid: false, reason: 'weights' };
+            }
+
+            if (!Utils.validateNumber(sweatTest.duration, duration.min, duration.max).valid) {
+                return { valid: false, reason: 'duration' };
+            }
+
+            if (sweatTest.fluidIntake > CONFIG.MAX_SWEAT_TEST_FLUID || sweatTest.urineOutput > CONFIG.MAX_SWEAT_TEST_FLUID) {
+                return { valid: false, reason: 'fluid' };
+            }
+
+            const { sweatRate } = this.calculateSweatRate(sweatTest);
+            if (!isFinite(sweatRate) || sweatRate < CONFIG.SWEAT_RATE.min || sweatRate > CONFIG.SWEAT_RATE.max) {
+                return { valid: false, reason: 'implausible', sweatRate: sweatRate };
+            }
+
+            return { valid: true, sweatRate: sweatRate };
+        },
+
+        /**
+         * Average sweat rate over the most recent tests, preferring tests
+         * done at the given intensity.
+         *
+         * @param {SweatTest[]} sweatTests
+         * @param {'low'|'medium'|'high'} [intensity]
+         * @returns {number|null} ml/h, or null without usable tests
+         */
+        averageSweatRate(sweatTests, intensity) {
+            const usable = (sweatTests || [])
+                .map(sweatTest => ({ ...sweatTest, ...this.calculateSweatRate(sweatTest) }))
+                .filter(sweatTest => sweatTest.sweatRate > 0);
+
+            const matching = usable.filter(sweatTest => sweatTest.intensity === intensity);
+            const selected = (matching.length > 0 ? matching : usable)
+                .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+                .slice(0, CONFIG.SWEAT_TEST_AVERAGE_COUNT);
+
+            if (selected.length === 0) {
+                return null;
+            }
+
+            return Math.round(selected.reduce((sum, sweatTest) => sum + sweatTest.sweatRate, 0) / selected.length);
+        },
+
+        /**
+         * Sweat sodium concentration from a lab value or a sweater-type preset.
+         *
+         * @param {HydrationParams} params
+         * @returns {{source: string, sourceLabel: string, concentration: number}|null}
+         *   null when no personal concentration is known
+         */
+        getSweatSodiumConcentration(params) {
+            const { sweatSodiumSource, sweatSodiumConcentration } = params;
+
+            if (sweatSodiumSource === 'lab') {
+                if (!(sweatSodiumConcentration >= CONFIG.SWEAT_SODIUM_RANGE.min &&
+                    sweatSodiumConcentration <= CONFIG.SWEAT_SODIUM_RANGE.max)) {
+                    return null;
+                }
+                return { source: 'lab', sourceLabel: 'lab patch test', concentration: sweatSodiumConcentration };
+            }
+
+            const preset = CONFIG.SWEAT_SODIUM_PRESETS[sweatSodiumSource];
+            if (!preset) {
+                return null;
+            }
+            return { source: sweatSodiumSource, sourceLabel: preset.label, concentration: preset.concentration };
+        },
+
+        /**
+         * Sodium lost in sweat during exercise, from the sweat rate and the
+         * personal sweat sodium concentration.
+         *
+         * @param {HydrationParams} params
+         * @returns {SweatSodiumLoss|null} null without a personal concentration
+         */
+        calculateSweatSodiumLoss(params) {
+            const sweatSodium = this.getSweatSodiumConcentration(params);
+            if (!sweatSodium) {
+                return null;
+            }
+
+            const sweatRate = this.getExerciseSweatRate(params);
+            const hourlyLoss = (sweatRate / 1000) * sweatSodium.concentration;
+            const roundTo50 = value => Math.round(value / 50) * 50;
+
+            return {
+                ...sweatSodium,
+                sweatRate: Math.round(sweatRate),
+                sweatRateMeasured: params.sweatRate > 0,
+                hourlyLoss: Math.round(hourlyLoss),
+                sessionLoss: Math.round(hourlyLoss * ((params.exerciseDuration || 0) / 60)),
+                replacement: {
+                    min: roundTo50(hourlyLoss * CONFIG.SODIUM_REPLACEMENT_RATIO.min),
+                    max: roundTo50(hourlyLoss * CONFIG.SODIUM_REPLACEMENT_RATIO.max)
+                }
+            };
+        },
+
+        /**
+         * Sodium lost per exercise hour: from the personal sweat sodium when
+         * known, otherwise a flat 1000 mg/h scaled by intensity.
+         *
+         * @param {HydrationParams} params
+         * @returns {number} mg/h
+         */
+        getExerciseSodiumRate(params) {
+            const sweatSodiumLoss = this.calculateSweatSodiumLoss(params);
+            if (sweatSodiumLoss) {
+                return sweatSodiumLoss.hourlyLoss;
+            }
+            return 1000 * this.getSweatElectrolyteMultiplier(params.exerciseIntensity);
+        },
+
+        // how strongly intensity scales electrolyte loss in sweat
+        getSweatElectrolyteMultiplier(exerciseIntensity) {
+            const intensityMultipliers = {
+                low: 0.5,
+                medium: 1.0,
+                high: 1.5
+            };
+            return intensityMultipliers[exerciseIntensity] || 1.0;
+        },
+
+        /**
+         * Elevation in meters, mapping the legacy bucket names to the
+         * elevation their old fixed additions correspond to.
+         *
+         * @param {HydrationParams} params
+         * @returns {number} meters, 0 when unknown
+         */
+        getAltitudeMeters(params) {
+            const { altitude } = params;
+            if (typeof altitude === 'number' && isFinite(altitude)) {
+                return altitude;
+            }
+            return CONFIG.LEGACY_ALTITUDES[altitude] || 0;
+        },
+
+        /**
+         * Apparent temperature from air temperature and humidity (NWS
+         * Rothfusz regression). Below 20°C, or without humidity, the air
+         * temperature is returned unchanged.
+         *
+         * @param {number} temperature - °C
+         * @param {number} [humidity] - relative humidity in %
+         * @returns {number} °C, one decimal
+         */
+        calculateHeatIndex(temperature, humidity) {
+            if (temperature < 20 || typeof humidity !== 'number' || isNaN(humidity)) {
+                return Math.round(temperature * 10) / 10;
+            }
+
+            const T = temperature * 9 / 5 + 32;
+            const RH = Math.min(Math.max(humidity, 0), 100);
+            let heatIndex = 0.5 * (T + 61 + (T - 68) * 1.2 + RH * 0.094);
+
+            if ((heatIndex + T) / 2 >= 80) {
+                heatIndex = -42.379 + 2.04901523 * T + 10.14333127 * RH -
+                    0.22475541 * T * RH - 0.00683783 * T * T - 0.05481717 * RH * RH +
+                    0.00122874 * T * T * RH + 0.00085282 * T * RH * RH -
+                    0.00000199 * T * T * RH * RH;
+
+                if (RH < 13 && T >= 80 && T <= 112) {
+                    heatIndex -= ((13 - RH) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+                } else if (RH > 85 && T >= 80 && T <= 87) {
+                    heatIndex += ((RH - 85) / 10) * ((87 - T) / 5);
+                }
+            }
+
+            return Math.round(((heatIndex - 32) * 5 / 9) * 10) / 10;
+        },
+
+        /**
+         * Heat index for the profile, or null when only a climate bucket is set.
+         *
+         * @param {HydrationParams} params
+         * @returns {number|null} °C
+         */
+        getHeatIndex(params) {
+            if (typeof params.temperature !== 'number' || isNaN(params.temperature)) {
+                return null;
+            }
+            return this.calculateHeatIndex(params.temperature, params.humidity);
+        },
+
+        /**
+         * Climate bucket for the profile: derived from the heat index when a
+         * temperature is given, otherwise params.climate.
+         *
+         * @param {HydrationParams} params
+         * @returns {'cool'|'moderate'|'hot'|'very-hot'}
+         */
+        getClimateCategory(params) {
+            const heatIndex = this.getHeatIndex(params);
+            if (heatIndex === null) {
+                return params.climate;
+            }
+            if (heatIndex < 15) return 'cool';
+            if (heatIndex < 25) return 'moderate';
+            if (heatIndex < 35) return 'hot';
+            return 'very-hot';
+        },
+
+        /**
+         * Climate multiplier for the daily water requirement: a continuous
+         * heat-index curve when a temperature is given, otherwise the bucket.
+         *
+         * @param {HydrationParams} params
+         * @returns {number}
+         */
+        getClimateMultiplier(params) {
+            const heatIndex = this.getHeatIndex(params);
+            if (heatIndex !== null) {
+                return interpolate(CONFIG.HEAT_INDEX_WATER_CURVE, heatIndex);
+            }
+
+            const climateMultipliers = {
+                cool: 1.0,
+                moderate: 1.0,
+                hot: 1.2,
+                'very-hot': 1.4
+            };
+            return climateMultipliers[params.climate] || 1.0;
+        },
+
+        /**
+         * Climate multiplier for sodium and potassium targets.
+         *
+         * @param {HydrationParams} params
+         * @returns {number}
+         */
+        getElectrolyteClimateMultiplier(params) {
+            const heatIndex = this.getHeatIndex(params);
+            if (heatIndex !== null) {
+                return interpolate(CONFIG.HEAT_INDEX_ELECTROLYTE_CURVE, heatIndex);
+            }
+
+            const climateMultipliers = {
+                cool: 1.0,
+                moderate: 1.0,
+                hot: 1.15,
+                'very-hot': 1.3
+            };
+            return climateMultipliers[params.climate] || 1.0;
+        },
+
+        /**
+         * Per-session fueling plan: a drink before, a timed schedule during
+         * and rehydration after, from duration, intensity, climate and the
+         * (measured or estimated) sweat rate.
+         *
+         * @param {HydrationParams} params
+         * @returns {FuelingPlan|null} null without exercise, and under a fluid
+         *   restriction, where session drinking is up to the clinician
+         */
+        generateFuelingPlan(params) {
+            const { weight, exerciseDuration, exerciseIntensity } = params;
+            if (!(exerciseDuration > 0) || !(weight > 0) || params.fluidRestriction > 0) {
+                return null;
+            }
+
+            const plan = CONFIG.FUELING;
+            const roundTo = (value, step) => Math.round(value / step) * step;
+            const hours = exerciseDuration / 60;
+            const sweatRateMeasured = params.sweatRate > 0;
+            const climate = this.getClimateCategory(params);
+            const isHot = climate === 'hot' || climate === 'very-hot';
+
+            // a measured rate already reflects the athlete; only scale the
+            // generic estimate for heat
+            const sweatRate = this.getExerciseSweatRate(params) *
+                (sweatRateMeasured ? 1 : this.getClimateMultiplier(params));
+            const sodiumRate = this.getExerciseSodiumRate(params) * this.getElectrolyteClimateMultiplier(params);
+            const sweatLoss = sweatRate * hours;
+            const sodiumLoss = sodiumRate * hours;
+            const needsSodium = exerciseDuration > plan.SODIUM_AFTER_MINUTES;
+
+            const steps = [];
+
+            // before: 5-7 ml/kg about four hours out
+            steps.push({
+                phase: 'before',
+                minute: -plan.BEFORE_MINUTES,
+                volume: roundTo(weight * (plan.BEFORE_ML_PER_KG.min + plan.BEFORE_ML_PER_KG.max) / 2, 10),
+                sodium: needsSodium || isHot ? plan.BEFORE_SODIUM : 0
+            });
+
+            // during: drink on a fixed interval, replacing part of the sweat
+            const interval = exerciseIntensity === 'high' || isHot ? plan.DURING_INTERVAL_HOT : plan.DURING_INTERVAL;
+            const hourlyVolume = Math.min(Math.max(sweatRate * plan.DURING_REPLACEMENT, plan.DURING_ML_PER_HOUR.min), plan.DURING_ML_PER_HOUR.max);
+            const hourlySodium = needsSodium
+                ? sodiumRate * (CONFIG.SODIUM_REPLACEMENT_RATIO.min + CONFIG.SODIUM_REPLACEMENT_RATIO.max) / 2
+                : 0;
+
+            for (let minute = interval; minute < exerciseDuration; minute += interval) {
+                steps.push({
+                    phase: 'during',
+                    minute: minute,
+                    volume: roundTo(hourlyVolume * interval / 60, 10),
+                    sodium: roundTo(hourlySodium * interval / 60, 10)
+                });
+            }
+
+            const duringVolume = steps.filter(step => step.phase === 'during').reduce((sum, step) => sum + step.volume, 0);
+            const duringSodium = steps.filter(step => step.phase === 'during').reduce((sum, step) => sum + step.sodium, 0);
+            const netLoss = Math.max(0, sweatLoss - duringVolume);
+
+            // after: replace 150% of what is still missing
+            steps.push({
+                phase: 'after',
+                minute: exerciseDuration,
+                volume: roundTo(netLoss * plan.AFTER_RATIO, 10),
+                sodium: roundTo(Math.max(0, sodiumLoss - duringSodium), 50)
+            });
+
+            return {
+                sweatRate: Math.round(sweatRate),
+                sweatRateMeasured: sweatRateMeasured,
+                sweatLoss: Math.round(sweatLoss),
+                sodiumLoss: Math.round(sodiumLoss),
+                netLoss: Math.round(netLoss),
+                bodyMassLoss: Math.round((netLoss / 1000 / weight) * 1000) / 10,
+                interval: interval,
+                steps: steps
+            };
+        },
+
+        /**
+         * Share of the waking window that has passed at `date`.
+         *
+         * @param {Schedule} [schedule] - falls back to CONFIG.DEFAULT_SCHEDULE
+         * @param {Date} [date]
+         * @returns {number} 0 before waking up, 1 from bedtime on
+         */
+        getWakingProgress(schedule, date = new Date()) {
+            const { wake, sleep } = getWakingWindow(schedule);
+
+            let now = date.getHours() * 60 + date.getMinutes();
+            // before waking in a window that crosses midnight means last night's window
+            if (now < wake && sleep > 24 * 60) {
+                now += 24 * 60;
+            }
+
+            return Math.min(Math.max((now - wake) / (sleep - wake), 0), 1);
+        },
+
+        /**
+         * Compare today's intake with an even pace across the waking window.
+         * When behind, the catch-up is spread at no more than
+         * CONFIG.PACE.MAX_PER_HOUR including the regular pace, so a big
+         * deficit is never asked for in one go.
+         *
+         * @param {number} total - ml drunk today (effective hydration)
+         * @param {number} goal - ml/day
+         * @param {Schedule} [schedule]
+         * @param {Date} [date]
+         * @returns {Pace}
+         */
+        calculatePace(total, goal, schedule, date = new Date()) {
+            const pace = CONFIG.PACE;
+            const progress = this.getWakingProgress(schedule, date);
+            const expected = Math.round(goal * progress);
+            const result = { status: 'on-track', progress, expected, difference: total - expected, catchUp: null };
+
+            if (goal <= 0) {
+                result.status = 'no-goal';
+            } else if (total >= goal) {
+                result.status = 'done';
+            } else if (progress <= 0) {
+                result.status = 'not-started';
+            } else if (result.difference >= goal * pace.MARGIN) {
+                result.status = 'ahead';
+            } else if (-result.difference >= goal * pace.MARGIN) {
+                result.status = 'behind';
+                result.catchUp = this.planCatchUp(-result.difference, goal, schedule, progress);
+            }
+
+            return result;
+        },
+
+        /**
+         * Hourly intake that spreads the goal evenly over the waking window.
+         *
+         * @param {number} goal - ml/day
+         * @param {Schedule} [schedule]
+         * @returns {number} ml/h
+         */
+        getRegularPace(goal, schedule) {
+            const { wake, sleep } = getWakingWindow(schedule);
+            return goal / ((sleep - wake) / 60);
+        },
+
+        /**
+         * Spread a deficit over the next CONFIG.PACE.CATCH_UP_HOURS, or longer
+         * when it does not fit at the safe rate. What does not fit before
+         * bedtime is left out (`partial`). Returns null when less than one
+         * drink interval of waking time is left, or when the regular pace
+         * already takes the whole CONFIG.PACE.MAX_PER_HOUR.
+         *
+         * @param {number} deficit - ml behind the expected intake
+         * @param {number} goal - ml/day
+         * @param {Schedule} schedule
+         * @param {number} progress - result of getWakingProgress
+         * @returns {CatchUpPlan|null}
+         */
+        planCatchUp(deficit, goal, schedule, progress) {
+            const pace = CONFIG.PACE;
+            const { wake, sleep } = getWakingWindow(schedule);
+            const windowHours = (sleep - wake) / 60;
+            const hoursLeft = (1 - progress) * windowHours;
+            if (hoursLeft * 60 < pace.DRINK_INTERVAL) {
+                return null;
+            }
+
+            // keep drinking at the regular pace on top of the catch-up
+            const regularPerHour = this.getRegularPace(goal, schedule);
+            const spare = pace.MAX_PER_HOUR - regularPerHour;
+            if (spare <= 0) {
+                return null;
+            }
+
+            const hours = Math.min(Math.max(pace.CATCH_UP_HOURS, deficit / spare), hoursLeft);
+            const amount = Math.min(deficit, spare * hours);
+            const perHour = regularPerHour + amount / hours;
+            const drinksPerHour = 60 / pace.DRINK_INTERVAL;
+
+            return {
+                amount: Math.round(amount),
+                hours: Math.round(hours * 10) / 10,
+                interval: pace.DRINK_INTERVAL,
+                perDrink: Math.round(perHour / drinksPerHour / 10) * 10,
+                partial: amount < deficit
+            };
+        },
+
+        /**
+         * Daily electrolyte targets, capped below CONFIG.*.danger.
+         *
+         * @param {HydrationParams} params
+         * @returns {ElectrolyteTargets}
+         */
+        calculateElectrolytes(params) {
+            const {
+                gender,
+                age,
+                exerciseDuration,
+                exerciseIntensity
+            } = params;
+
+            // base requirements
+            let sodium = 2000;
+            let potassium = gender === 'male' ? 3400 : 2600;
+            let magnesium = gender === 'male' ? CONFIG.MAGNESIUM.male : CONFIG.MAGNESIUM.female;
+            let calcium = age >= 65 ? CONFIG.CALCIUM.senior : CONFIG.CALCIUM.young;
+
+            // exercise adjustments
+            const exerciseHours = exerciseDuration / 60;
+            const sweatMultiplier = this.getSweatElectrolyteMultiplier(exerciseIntensity);
+            
+            // sodium loss in sweat (personal concentration when known)
+            sodium += exerciseHours * this.getExerciseSodiumRate(params);
+            potassium += exerciseHours * 200 * sweatMultiplier;
+
+            // climate adjustments
+            const climateMultiplier = this.getElectrolyteClimateMultiplier(params);
+            sodium *= climateMultiplier;
+            potassium *= climateMultiplier;
+
+            // cap at danger levels
+            sodium = Math.min(sodium, CONFIG.SODIUM.danger - 100);
+            if (params.sodiumRestriction > 0) {
+                sodium = Math.min(sodium, params.sodiumRestriction);
+            }
+            potassium = Math.min(potassium, CONFIG.POTASSIUM.danger - 100);
+            magnesium = Math.min(magnesium, CONFIG.MAGNESIUM.danger - 100);
+            calcium = Math.min(calcium, CONFIG.CALCIUM.danger - 100);
+
+            return {
+                sodium: Math.round(sodium),
+                potassium: Math.round(potassium),
+                magnesium: Math.round(magnesium),
+                calcium: Math.round(calcium)
+            };
+        },
+
+        /**
+         * Sum a day's logged water and electrolyte intake. `water` counts
+         * effective hydration; `volume` is the raw amount drunk.
+         *
+         * @param {DayData} dayData
+         * @returns {{water: number, volume: number, sodium: number, potassium: number, magnesium: number, calcium: number}}
+         */
+        calculateDailyTotals(dayData) {
+            const waterIntake = dayData.waterIntake || [];
+            const totals = {
+                water: waterIntake.reduce((sum, entry) => sum + this.getEffectiveAmount(entry), 0),
+                volume: waterIntake.reduce((sum, entry) => sum + entry.amount, 0)
+            };
+
+            CONFIG.ELECTROLYTE_KEYS.forEach(key => {
+                const supplements = (dayData.electrolyteIntake || []).reduce((sum, entry) => sum + (entry[key] || 0), 0);
+                const beverages = waterIntake.reduce((sum, entry) => sum + this.getBeverageElectrolytes(entry)[key], 0);
+                totals[key] = Math.round(supplements + beverages);
+            });
+
+            return totals;
+        },
+
+        // get beverage definition for an intake entry (entries without one are water)
+        getBeverage(entry) {
+            return CONFIG.BEVERAGES[entry.beverage] || CONFIG.BEVERAGES[CONFIG.DEFAULT_BEVERAGE];
+        },
+
+        // hydration an intake entry counts for after its beverage's hydration index
+        getEffectiveAmount(entry) {
+            return Math.round(entry.amount * this.getBeverage(entry).hydrationIndex);
+        },
+
+        // electrolytes contained in an intake entry's beverage (mg)
+        getBeverageElectrolytes(entry) {
+            const content = this.getBeverage(entry).electrolytes;
+            const electrolytes = {};
+
+            CONFIG.ELECTROLYTE_KEYS.forEach(key => {
+                electrolytes[key] = ((content[key] || 0) * entry.amount) / 1000;
+            });
+
+            return electrolytes;
+        },
+
+        /**
+         * Summarize one tracked day against its goal.
+         *
+         * @param {string} date - YYYY-MM-DD
+         * @param {DayData} dayData
+         * @param {number} [fallbackGoal] - used when the day has no stored goal
+         * @returns {{date: string, total: number, goal: number, percentage: number, goalMet: boolean, entries: number, totals: Object}}
+         */
+        summarizeDay(date, dayData, fallbackGoal = 0) {
+            const totals = this.calculateDailyTotals(dayData);
+            const goal = dayData.goal || fallbackGoal;
+            const percentage = goal > 0 ? (totals.water / goal) * 100 : 0;
+
+            return {
+                date: date,
+                total: totals.water,
+                goal: goal,
+                percentage: Math.round(percentage),
+                goalMet: goal > 0 && totals.water >= goal,
+                entries: (dayData.waterIntake || []).length,
+                totals: totals
+            };
+        },
+
+        /**
+         * Average intake over the days logged within a period ending on endDate.
+         *
+         * @param {Array<Object>} summaries - results of summarizeDay
+         * @param {string} endDate - YYYY-MM-DD, inclusive
+         * @param {number} periodDays
+         * @returns {{daysLogged: number, averageIntake: number, averagePercentage: number, daysGoalMet: number}}
+         */
+        calculatePeriodAverage(summaries, endDate, periodDays) {
+            const startString = Utils.addDays(endDate, -(periodDays - 1));
+
+            const inPeriod = summaries.filter(day => day.date >= startString && day.date <= endDate);
+            if (inPeriod.length === 0) {
+                return { daysLogged: 0, averageIntake: 0, averagePercentage: 0, daysGoalMet: 0 };
+            }
+
+            return {
+                daysLogged: inPeriod.length,
+                averageIntake: Math.round(inPeriod.reduce((sum, day) => sum + day.total, 0) / inPeriod.length),
+                averagePercentage: Math.round(inPeriod.reduce((sum, day) => sum + day.percentage, 0) / inPeriod.length),
+                daysGoalMet: inPeriod.filter(day => day.goalMet).length
+            };
+        },
+
+        /**
+         * Statistics for a report over an inclusive date range. Days without
+         * a summary count as not logged and are left out of the averages.
+         *
+         * @param {Array<Object>} summaries - results of summarizeDay, in any order
+         * @param {string} startDate - YYYY-MM-DD, inclusive
+         * @param {string} endDate - YYYY-MM-DD, inclusive
+         * @returns {PeriodSummary}
+         */
+        summarizePeriod(summaries, startDate, endDate) {
+            const byDate = new Map(summaries.map(day => [day.date, day]));
+            const days = [];
+            for (let date = startDate; date <= endDate; date = Utils.addDays(date, 1)) {
+                days.push({ date: date, summary: byDate.get(date) || null });
+            }
+
+            const logged = days.filter(day => day.summary).map(day => day.summary);
+            const average = this.calculatePeriodAverage(logged, endDate, days.length);
+
+            // ties go to the earlier day
+            const pick = better => logged.reduce((chosen, day) => !chosen || better(day, chosen) ? day : chosen, null);
+
+            const weekdays = [0, 1, 2, 3, 4, 5, 6].map(weekday => {
+                const onWeekday = logged.filter(day => new Date(`${day.date}T00:00:00Z`).getUTCDay() === weekday);
+                const averageOf = key => onWeekday.length > 0
+                    ? Math.round(onWeekday.reduce((sum, day) => sum + day[key], 0) / onWeekday.length)
+                    : 0;
+                return {
+                    weekday: weekday,
+                    daysLogged: onWeekday.length,
+                    averageIntake: averageOf('total'),
+                    averageGoal: averageOf('goal')
+                };
+            });
+
+            return {
+                startDate: startDate,
+                endDate: endDate,
+                periodDays: days.length,
+                ...average,
+                adherence: average.daysLogged > 0 ? Math.round((average.daysGoalMet / average.daysLogged) * 100) : 0,
+                best: pick((day, chosen) => day.percentage > chosen.percentage),
+                worst: pick((day, chosen) => day.percentage < chosen.percentage),
+                days: days,
+                weekdays: weekdays
+            };
+        },
+
+        /**
+         * What is left of a prescribed fluid limit. Restrictions count the
+         * volume drunk, not the hydration-adjusted amount. `pending` is a
+         * drink about to be logged.
+         *
+         * @param {number} volume - ml drunk so far today
+         * @param {number} limit - prescribed ml/day
+         * @param {number} [pending] - ml
+         * @returns {{used: number, remaining: number, over: number, percentage: number, status: 'ok'|'near'|'reached'|'exceeded'}}
+         */
+        getFluidAllowance(volume, limit, pending = 0) {
+            const used = volume + pending;
+            let status = 'ok';
+            if (used > limit) {
+                status = 'exceeded';
+            } else if (used === limit) {
+                status = 'reached';
+            } else if (used >= limit * CONFIG.RESTRICTION_WARNING_RATIO) {
+                status = 'near';
+            }
+
+            return {
+                used: used,
+                remaining: Math.max(0, limit - used),
+                over: Math.max(0, used - limit),
+                percentage: limit > 0 ? Math.round((used / limit) * 100) : 0,
+                status: status
+            };
+        },
+
+        /**
+         * Flag minerals approaching or above their danger level.
+         *
+         * @param {Object} totals - result of calculateDailyTotals
+         * @returns {Array<{mineral: string, level: 'near'|'exceeded', total: number, danger: number}>}
+         */
+        checkElectrolyteLevels(totals) {
+            const alerts = [];
+
+            CONFIG.ELECTROLYTE_KEYS.forEach(key => {
+                const danger = CONFIG[key.toUpperCase()].danger;
+                const total = totals[key] || 0;
+
+                if (total >= danger) {
+                    alerts.push({ mineral: key, level: 'exceeded', total: total, danger: danger });
+                } else if (total >= danger * CONFIG.ELECTROLYTE_WARNING_RATIO) {
+                    alerts.push({ mineral: key, level: 'near', total: total, danger: danger });
+                }
+            });
+
+            return alerts;
+        },
+
+        /**
+         * Safe drinking rate for a profile.
+         *
+         * @param {HydrationParams} params
+         * @returns {number} ml/h
+         */
+        getSafeHourlyIntake(params) {
+            const safety = CONFIG.SAFETY;
+            let limit = safety.MAX_PER_HOUR;
+
+            if (params.weight > 0) {
+                limit = Math.min(limit, params.weight * safety.ML_PER_KG_PER_HOUR);
+            }
+            if (params.kidneyDisease) {
+                limit *= safety.KIDNEY_DISEASE_FACTOR;
+            }
+
+            return Math.round(limit);
+        },
+
+        /**
+         * Check the intake logged up to `date` for overhydration: drinking
+         * faster than the kidneys can clear over the rolling window, and lots
+         * of fluid without sodium during a long workout logged in the day.
+         *
+         * @param {DayData} dayData
+         * @param {HydrationParams} params
+         * @param {Date} [date] - end of the window, e.g. the time of the latest drink
+         * @param {{ volumeUnit?: string, locale?: string, formatVolume?: function(number): string }} [options] -
+         *   formatting of the message params, as for generateRecommendations
+         * @returns {SafetyCheck}
+         */
+        checkIntakeSafety(dayData, params, date = new Date(), options = {}) {
+            const safety = CONFIG.SAFETY;
+            const number = num => Utils.formatNumber(num, options.locale);
+            const volume = options.formatVolume ||
+                (ml => Utils.formatVolume(ml, options.volumeUnit || CONFIG.DEFAULT_VOLUME_UNIT, options.locale));
+            const levels = ['ok', 'caution', 'warning', 'danger'];
+            const alerts = [];
+            const add = (level, id, amount, messageParams) => {
+                alerts.push({ level, id, amount, params: messageParams, text: Utils.fillTemplate(SAFETY_TEXT[id], messageParams) });
+            };
+
+            // entries within the given minutes up to date
+            const end = date.getTime();
+            const within = (entries, minutes) => (entries || []).filter(entry => {
+                const time = new Date(entry.timestamp).getTime();
+                return time <= end && time > end - minutes * 60 * 1000;
+            });
+
+            const limit = this.getSafeHourlyIntake(params);
+            const windowTotal = within(dayData.waterIntake, safety.WINDOW_MINUTES).reduce((sum, entry) => sum + entry.amount, 0);
+            const rateParams = { amount: volume(windowTotal), limit: volume(limit) };
+
+            if (windowTotal >= limit * safety.DANGER_RATIO) {
+                add('danger', 'rateDanger', windowTotal, rateParams);
+            } else if (windowTotal > limit) {
+                add('warning', 'rateWarning', windowTotal, rateParams);
+            } else if (windowTotal >= limit * safety.CAUTION_RATIO) {
+                add('caution', 'rateCaution', windowTotal, rateParams);
+            }
+
+            // fluid without sodium during a long logged workout, while it is under way
+            // or up to a window after it; drinks outside the session do not count
+            const workout = (dayData.workouts || []).find(item => {
+                const start = new Date(item.timestamp).getTime();
+                return item.duration >= safety.LONG_EXERCISE_MINUTES && start <= end &&
+                    end <= start + (item.duration + safety.WINDOW_MINUTES) * 60 * 1000;
+            });
+            if (workout) {
+                const start = new Date(workout.timestamp).getTime();
+                const finish = Math.min(start + workout.duration * 60 * 1000, end);
+                const during = entries => (entries || []).filter(entry => {
+                    const time = new Date(entry.timestamp).getTime();
+                    return time >= start && time <= finish;
+                });
+                const drinks = during(dayData.waterIntake);
+                const fluid = drinks.reduce((sum, entry) => sum + entry.amount, 0);
+                const sodium = drinks.reduce((sum, entry) => sum + this.getBeverageElectrolytes(entry).sodium, 0) +
+                    during(dayData.electrolyteIntake).reduce((sum, entry) => sum + (entry.sodium || 0), 0);
+
+                if (fluid >= safety.PLAIN_WATER && sodium < (fluid / 1000) * safety.MIN_SODIUM_PER_LITER) {
+                    add('warning', 'sodiumFreeWater', fluid, {
+                        amount: volume(fluid),
+                        minutes: number(workout.duration),
+                        sodium: number(Math.round(sodium))
+                    });
+                }
+            }
+
+            const level = alerts.reduce((worst, alert) => levels.indexOf(alert.level) > levels.indexOf(worst) ? alert.level : worst, 'ok');
+            return { level, windowTotal, limit, alerts };
+        },
+
+        /**
+         * Personalized recommendations for a profile and its targets.
+         *
+         * @param {HydrationParams} params
+         * @param {number} waterRequirement - ml/day from calculateWater
+         * @param {ElectrolyteTargets} electrolytes - from calculateElectrolytes
+         * @param {{ volumeUnit?: string, locale?: string, formatVolume?: function(number): string }} [options] -
+         *   unit for volumes in the messages (CONFIG.VOLUME_UNITS key, default ml), locale for
+         *   numbers, and an optional volume formatter that replaces both for volumes
+         * @returns {Recommendation[]}
+         */
+        generateRecommendations(params, waterRequirement, electrolytes, options = {}) {
+            const recommendations = [];
+            const number = num => Utils.formatNumber(num, options.locale);
+            const volume = options.formatVolume ||
+                (ml => Utils.formatVolume(ml, options.volumeUnit || CONFIG.DEFAULT_VOLUME_UNIT, options.locale));
+            const add = (type, id, messageParams = {}) => {
+                recommendations.push({ type, id, params: messageParams, text: Utils.fillTemplate(RECOMMENDATION_TEXT[id], messageParams) });
+            };
+
+            // water distribution
+            if (params.fluidRestriction > 0) {
+                add('warning', 'fluidRestriction', { limit: volume(params.fluidRestriction) });
+            } else {
+                add('info', 'distribute', { water: volume(waterRequirement), perDrink: volume(waterRequirement / 8) });
+            }
+            if (params.sodiumRestriction > 0) {
+                add('warning', 'sodiumRestriction', { limit: number(params.sodiumRestriction) });
+            }
+
+            // high water warning
+            if (waterRequirement >= CONFIG.DANGER_WATER) {
+                add('warning', 'highWater');
+            }
+
+            // kidney disease warning
+            if (params.kidneyDisease && !(params.fluidRestriction > 0)) {
+                add('warning', 'kidneyCap', { cap: volume(CONFIG.KIDNEY_DISEASE_WATER_CAP) });
+            }
+
+            // measured sweat rate
+            if (params.sweatRate > 0 && params.exerciseDuration > 0) {
+                add('info', 'measuredSweatRate', { sweatRate: volume(params.sweatRate) });
+            }
+
+            // personal sweat sodium
+            const sweatSodiumLoss = params.exerciseDuration > 0 ? this.calculateSweatSodiumLoss(params) : null;
+            if (sweatSodiumLoss) {
+                add('info', 'sweatSodium', {
+                    concentration: number(sweatSodiumLoss.concentration),
+                    source: sweatSodiumLoss.source,
+                    sourceLabel: sweatSodiumLoss.sourceLabel,
+                    rateSource: sweatSodiumLoss.sweatRateMeasured ? 'measured' : 'estimated',
+                    sweatRate: volume(sweatSodiumLoss.sweatRate),
+                    hourlyLoss: number(sweatSodiumLoss.hourlyLoss),
+                    sessionLoss: number(sweatSodiumLoss.sessionLoss)
+                });
+
+                if (params.exerciseDuration > 60) {
+                    const salty = sweatSodiumLoss.source === 'salty' || sweatSodiumLoss.concentration >= CONFIG.SWEAT_SODIUM_PRESETS.salty.concentration;
+                    add(salty ? 'warning' : 'info', 'sodiumReplacement', {
+                        min: number(sweatSodiumLoss.replacement.min),
+                        max: number(sweatSodiumLoss.replacement.max)
+                    });
+                }
+            }
+
+            // exercise-specific advice
+            if (params.exerciseDuration > 60) {
+                add('info', 'longExercise');
+            }
+
+            // altitude guidance
+            const altitude = this.getAltitudeMeters(params);
+            const acclimatizing = params.altitudeDays > 0 && params.altitudeDays <= CONFIG.ACCLIMATIZATION_DAYS;
+            if (altitude >= CONFIG.VERY_HIGH_ALTITUDE) {
+                add('warning', 'veryHighAltitude', { altitude: number(altitude) });
+            } else if (altitude >= CONFIG.HIGH_ALTITUDE) {
+                add('info', 'highAltitude', { altitude: number(altitude) });
+            } else if (altitude >= CONFIG.ALTITUDE_WATER_CURVE[0][0]) {
+                add('info', 'altitude', { altitude: number(altitude) });
+            }
+            if (acclimatizing && altitude >= CONFIG.HIGH_ALTITUDE) {
+                add('warning', 'acclimatizing', { day: params.altitudeDays, untilDay: CONFIG.ACCLIMATIZATION_DAYS + 1 });
+            }
+
+            // heat index advice
+            const heatIndex = this.getHeatIndex(params);
+            if (heatIndex !== null && heatIndex >= CONFIG.HEAT_INDEX_DANGER) {
+                add('warning', 'heatDanger', { heatIndex: heatIndex.toLocaleString(options.locale) });
+            } else if (heatIndex !== null && heatIndex - params.temperature >= 3) {
+                add('info', 'humidity', {
+                    temperature: params.temperature.toLocaleString(options.locale),
+                    heatIndex: heatIndex.toLocaleString(options.locale)
+                });
+            }
+
+            // climate advice
+            const climate = this.getClimateCategory(params);
+            if (climate === 'hot' || climate === 'very-hot') {
+                add('warning', 'hotClimate');
+            }
+
+            // sodium advice
+            if (electrolytes.sodium > 3000) {
+                add('info', 'highSodium');
+            }
+
+            // potassium-rich foods
+            add('info', 'potassiumSources', { target: number(electrolytes.potassium) });
+
+            // magnesium sources
+            add('info', 'magnesiumSources', { target: number(electrolytes.magnesium) });
+
+            return recommendations;
+        },
+
+        /**
+         * Problems with the combination of profile inputs.
+         *
+         * @param {HydrationParams} params
+         * @returns {ConsistencyIssue[]}
+         */
+        checkConsistency(params) {
+            const issues = [];
+            const add = id => issues.push({ id, text: CONSISTENCY_TEXT[id] });
+
+            // sedentary with high exercise
+            if (params.activityLevel === 'sedentary' && params.exerciseDuration > 60) {
+                add('sedentaryExercise');
+            }
+
+            // very young with intense exercise
+            if (params.age < 12 && params.exerciseIntensity === 'high') {
+                add('childHighIntensity');
+            }
+
+            // multiple health conditions
+            const healthConditions = [
+                params.pregnant,
+                params.breastfeeding,
+                params.illness,
+                params.kidneyDisease
+            ].filter(Boolean).length;
+
+            if (healthConditions >= 2) {
+                add('multipleConditions');
+            }
+
+            // exercise on top of a prescribed limit
+            if (params.fluidRestriction > 0 && params.exerciseDuration > 60) {
+                add('restrictionExercise');
+            }
+
+            return issues;
+        },
+
+        /**
+         * Warnings for inconsistent profile input.
+         *
+         * @param {HydrationParams} params
+         * @returns {string[]} English messages of checkConsistency
+         */
+        validateConsistency(params) {
+            return this.checkConsistency(params).map(issue => issue.text);
+        }
+    };
+
+    return {
+        VERSION: VERSION,
+        CONFIG: CONFIG,
+        Utils: Utils,
+        Calculator: Calculator
+    };
+});
@@ -0,0 +1,11 @@
+/**
+ * ES module entry for the Hydration+ calculation engine.
+ *
+ * Re-exports the CommonJS build so both module systems share one source.
+ */
+
+import engine from './hydration-engine.js';
+
+export const { VERSION, CONFIG, Utils, Calculator } = engine;
+
+export default engine;
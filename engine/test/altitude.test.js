@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator } = require('../hydration-engine.js');
+const fixtures = require('./fixtures.js');
+
+const baseParams = { ...fixtures.baseParams, gender: 'female', altitude: 0 };
+
+const extraWater = altitude => Calculator.calculateWater({ ...baseParams, altitude }) - Calculator.calculateWater(baseParams);
+
+test('altitude scales fluid needs smoothly', () => {
+    assert.equal(extraWater(400), 0);
+    assert.equal(extraWater(1000), 250);
+    assert.ok(extraWater(1900) < extraWater(2000) && extraWater(2000) < extraWater(2100));
+    assert.equal(extraWater(8000), CONFIG.ALTITUDE_WATER_CURVE[CONFIG.ALTITUDE_WATER_CURVE.length - 1][1]);
+});
+
+test('legacy altitude buckets keep their previous additions', () => {
+    assert.equal(extraWater('sea-level'), 0);
+    assert.equal(extraWater('moderate'), 500);
+    assert.equal(extraWater('high'), 1000);
+    assert.equal(Calculator.getAltitudeMeters({ altitude: 'high' }), CONFIG.LEGACY_ALTITUDES.high);
+});
+
+test('generateRecommendations adds altitude guidance', () => {
+    const texts = params => Calculator.generateRecommendations(params, 3000, Calculator.calculateElectrolytes(params))
+        .map(rec => rec.text);
+
+    assert.ok(texts({ ...baseParams, altitude: 4200 }).some(text => text.startsWith('At 4,200m you are at very high altitude')));
+    assert.ok(texts({ ...baseParams, altitude: 2800, altitudeDays: 2 }).some(text => text.startsWith('Day 2 at altitude')));
+    assert.ok(!texts({ ...baseParams, altitude: 2800, altitudeDays: 6 }).some(text => text.startsWith('Day 6')));
+    assert.ok(!texts(baseParams).some(text => text.includes('altitude')));
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator } = require('../hydration-engine.js');
+const { baseParams } = require('./fixtures.js');
+
+test('calculateWater uses the per-kg baseline for a sedentary adult', () => {
+    assert.equal(Calculator.calculateWater(baseParams), 70 * CONFIG.BASE_WATER_PER_KG);
+});
+
+test('calculateWater adds exercise, climate and altitude adjustments', () => {
+    const water = Calculator.calculateWater({
+        ...baseParams,
+        activityLevel: 'moderate',
+        exerciseDuration: 60,
+        exerciseIntensity: 'high',
+        climate: 'hot',
+        altitude: 'high'
+    });
+
+    // (2450 * 1.2 + 500 * 1.3) * 1.2 + 1000
+    assert.equal(water, 5308);
+});
+
+test('calculateWater caps kidney disease at 2000 ml and clamps to safety limits', () => {
+    assert.equal(Calculator.calculateWater({ ...baseParams, weight: 120, kidneyDisease: true }), 2000);
+    assert.equal(Calculator.calculateWater({ ...baseParams, weight: 20 }), CONFIG.MIN_WATER);
+    assert.equal(Calculator.calculateWater({ ...baseParams, weight: 300, activityLevel: 'athlete', climate: 'very-hot' }), CONFIG.MAX_WATER);
+});
+
+test('calculateElectrolytes depends on gender, age and exercise', () => {
+    assert.deepEqual(Calculator.calculateElectrolytes(baseParams), {
+        sodium: 2000,
+        potassium: 3400,
+        magnesium: CONFIG.MAGNESIUM.male,
+        calcium: CONFIG.CALCIUM.young
+    });
+
+    const senior = Calculator.calculateElectrolytes({ ...baseParams, gender: 'female', age: 70 });
+    assert.equal(senior.potassium, 2600);
+    assert.equal(senior.magnesium, CONFIG.MAGNESIUM.female);
+    assert.equal(senior.calcium, CONFIG.CALCIUM.senior);
+
+    const exercising = Calculator.calculateElectrolytes({ ...baseParams, exerciseDuration: 120 });
+    assert.equal(exercising.sodium, 4000);
+    assert.equal(exercising.potassium, 3800);
+});
+
+test('calculateElectrolytes stays below danger levels', () => {
+    const extreme = Calculator.calculateElectrolytes({
+        ...baseParams,
+        exerciseDuration: 600,
+        exerciseIntensity: 'high',
+        climate: 'very-hot'
+    });
+
+    assert.equal(extreme.sodium, CONFIG.SODIUM.danger - 100);
+    assert.ok(extreme.potassium < CONFIG.POTASSIUM.danger);
+});
+
+test('calculateDailyTotals applies hydration index and beverage electrolytes', () => {
+    const totals = Calculator.calculateDailyTotals({
+        waterIntake: [
+            { amount: 500, time: '08:00', timestamp: '2026-01-01T08:00:00.000Z' },
+            { amount: 1000, beverage: 'ors', time: '09:00', timestamp: '2026-01-01T09:00:00.000Z' }
+        ],
+        electrolyteIntake: [
+            { sodium: 300, magnesium: 100, time: '10:00', timestamp: '2026-01-01T10:00:00.000Z' }
+        ]
+    });
+
+    assert.equal(totals.volume, 1500);
+    assert.equal(totals.water, 500 + 1500);
+    assert.equal(totals.sodium, 300 + 1725);
+    assert.equal(totals.potassium, 780);
+    assert.equal(totals.magnesium, 100);
+    assert.equal(totals.calcium, 0);
+});
+
+test('calculateDailyTotals treats entries without a beverage as water', () => {
+    const entry = { amount: 250, time: '08:00', timestamp: '2026-01-01T08:00:00.000Z' };
+    assert.equal(Calculator.getBeverage(entry), CONFIG.BEVERAGES.water);
+    assert.equal(Calculator.getEffectiveAmount(entry), 250);
+    assert.deepEqual(Calculator.calculateDailyTotals({}), {
+        water: 0, volume: 0, sodium: 0, potassium: 0, magnesium: 0, calcium: 0
+    });
+});
+
+test('checkElectrolyteLevels flags near and exceeded levels', () => {
+    const alerts = Calculator.checkElectrolyteLevels({
+        sodium: CONFIG.SODIUM.danger,
+        potassium: CONFIG.POTASSIUM.danger * CONFIG.ELECTROLYTE_WARNING_RATIO,
+        magnesium: 0,
+        calcium: 0
+    });
+
+    assert.deepEqual(alerts.map(alert => [alert.mineral, alert.level]), [
+        ['sodium', 'exceeded'],
+        ['potassium', 'near']
+    ]);
+});
+
+test('summarizeDay and calculatePeriodAverage report history against goals', () => {
+    const summaries = [
+        Calculator.summarizeDay('2026-01-10', { waterIntake: [{ amount: 2000, timestamp: '2026-01-10T08:00:00.000Z' }], goal: 2000 }),
+        Calculator.summarizeDay('2026-01-08', { waterIntake: [{ amount: 1000, timestamp: '2026-01-08T08:00:00.000Z' }] }, 2000),
+        Calculator.summarizeDay('2025-12-01', { waterIntake: [{ amount: 500, timestamp: '2025-12-01T08:00:00.000Z' }] }, 1000)
+    ];
+
+    assert.equal(summaries[0].goalMet, true);
+    assert.equal(summaries[1].percentage, 50);
+
+    assert.deepEqual(Calculator.calculatePeriodAverage(summaries, '2026-01-10', 7), {
+        daysLogged: 2,
+        averageIntake: 1500,
+        averagePercentage: 75,
+        daysGoalMet: 1
+    });
+    assert.equal(Calculator.calculatePeriodAverage(summaries, '2026-03-01', 7).daysLogged, 0);
+});
+
+test('generateRecommendations returns typed lines for the profile', () => {
+    const params = { ...baseParams, exerciseDuration: 90, climate: 'hot', kidneyDisease: true };
+    const recommendations = Calculator.generateRecommendations(params, 2000, Calculator.calculateElectrolytes(params));
+
+    assert.ok(recommendations.length > 0);
+    recommendations.forEach(rec => {
+        assert.ok(rec.type === 'info' || rec.type === 'warning');
+        assert.equal(typeof rec.text, 'string');
+    });
+    assert.ok(recommendations.some(rec => rec.text.includes('kidney disease')));
+    assert.ok(recommendations.some(rec => rec.text.includes('longer than 60 minutes')));
+});
+
+test('validateConsistency warns about contradictory input', () => {
+    assert.deepEqual(Calculator.validateConsistency(baseParams), []);
+
+    const warnings = Calculator.validateConsistency({
+        ...baseParams,
+        age: 10,
+        exerciseDuration: 90,
+        exerciseIntensity: 'high',
+        pregnant: true,
+        illness: true
+    });
+    assert.equal(warnings.length, 3);
+});
+
+test('getWakingProgress follows the waking window, including overnight ones', () => {
+    const at = (hours, minutes = 0) => new Date(2024, 4, 1, hours, minutes);
+    const day = { wakeTime: '07:00', sleepTime: '23:00' };
+    const night = { wakeTime: '18:00', sleepTime: '06:00' };
+
+    assert.equal(Calculator.getWakingProgress(day, at(6)), 0);
+    assert.equal(Calculator.getWakingProgress(day, at(15)), 0.5);
+    assert.equal(Calculator.getWakingProgress(day, at(23, 30)), 1);
+    assert.equal(Calculator.getWakingProgress(night, at(0)), 0.5);
+    assert.equal(Calculator.getWakingProgress(night, at(12)), 1);
+    assert.equal(Calculator.getWakingProgress(night, at(18)), 0);
+    assert.equal(Calculator.getWakingProgress({ wakeTime: 'soon' }, at(7)), 0);
+});
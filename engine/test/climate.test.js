@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator } = require('../hydration-engine.js');
+const fixtures = require('./fixtures.js');
+
+const baseParams = { ...fixtures.baseParams, gender: 'female' };
+
+test('calculateHeatIndex matches the NWS regression', () => {
+    // 90°F at 70% humidity feels like about 106°F
+    assert.ok(Math.abs(Calculator.calculateHeatIndex(32.2, 70) - 41.1) <= 0.5);
+    assert.equal(Calculator.calculateHeatIndex(18, 90), 18);
+    assert.equal(Calculator.calculateHeatIndex(30), 30);
+});
+
+test('climate multipliers follow a continuous heat-index curve', () => {
+    const multiplier = temperature => Calculator.getClimateMultiplier({ ...baseParams, temperature, humidity: 40 });
+
+    assert.equal(multiplier(10), 1.0);
+    assert.ok(multiplier(28) < multiplier(29) && multiplier(29) < multiplier(30));
+    assert.equal(multiplier(50), CONFIG.HEAT_INDEX_WATER_CURVE[CONFIG.HEAT_INDEX_WATER_CURVE.length - 1][1]);
+});
+
+test('climate buckets remain the fallback without a temperature', () => {
+    assert.equal(Calculator.getClimateMultiplier({ ...baseParams, climate: 'hot' }), 1.2);
+    assert.equal(Calculator.getClimateCategory({ ...baseParams, climate: 'hot' }), 'hot');
+    assert.equal(Calculator.getClimateCategory({ ...baseParams, climate: 'cool', temperature: 36, humidity: 30 }), 'very-hot');
+});
+
+test('generateRecommendations warns about a dangerous heat index', () => {
+    const params = { ...baseParams, temperature: 35, humidity: 60 };
+    const water = Calculator.calculateWater(params);
+    const texts = Calculator.generateRecommendations(params, water, Calculator.calculateElectrolytes(params))
+        .map(rec => rec.text);
+
+    assert.ok(texts.some(text => text.startsWith('Heat index of 45.')));
+    assert.ok(texts.some(text => text.startsWith('Hot climate detected')));
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+// pin a zone west of UTC so UTC-based dates would land on the wrong day
+process.env.TZ = 'America/Los_Angeles';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Utils } = require('../hydration-engine.js');
+
+test('getDateString uses the local date, not the UTC one', () => {
+    // 21:30 in Los Angeles is already the next day in UTC
+    const evening = new Date(2026, 2, 9, 21, 30);
+    assert.equal(evening.toISOString().slice(0, 10), '2026-03-10');
+    assert.equal(Utils.getDateString(evening), '2026-03-09');
+});
+
+test('getDateString keeps the early hours on the previous day when the day starts later', () => {
+    assert.equal(Utils.getDateString(new Date(2026, 2, 10, 3, 59), 4), '2026-03-09');
+    assert.equal(Utils.getDateString(new Date(2026, 2, 10, 4, 0), 4), '2026-03-10');
+    assert.equal(Utils.getDateString(new Date(2026, 0, 1, 2, 0), 4), '2025-12-31');
+});
+
+test('getDateString defaults to midnight', () => {
+    assert.equal(Utils.getDateString(new Date(2026, 2, 10, 0, 0)), '2026-03-10');
+    assert.equal(Utils.getDateString(new Date(2026, 2, 9, 23, 59)), '2026-03-09');
+});
+
+test('getNextDayStart returns the next boundary in local time', () => {
+    assert.deepEqual(Utils.getNextDayStart(new Date(2026, 2, 9, 21, 30)), new Date(2026, 2, 10, 0, 0));
+    assert.deepEqual(Utils.getNextDayStart(new Date(2026, 2, 10, 2, 0), 4), new Date(2026, 2, 10, 4, 0));
+    assert.deepEqual(Utils.getNextDayStart(new Date(2026, 2, 10, 4, 0), 4), new Date(2026, 2, 11, 4, 0));
+});
+
+test('getNextDayStart spans a daylight saving change', () => {
+    // clocks jump from 2:00 to 3:00 on 8 March 2026 in Los Angeles
+    const next = Utils.getNextDayStart(new Date(2026, 2, 7, 22, 0), 4);
+    assert.deepEqual(next, new Date(2026, 2, 8, 4, 0));
+    assert.equal(next - new Date(2026, 2, 7, 22, 0), 5 * 60 * 60 * 1000);
+    assert.equal(Utils.getDateString(new Date(2026, 2, 8, 3, 30), 4), '2026-03-07');
+});
+
+test('getTrackingTime places a clock time inside the tracking day', () => {
+    assert.deepEqual(Utils.getTrackingTime('2026-03-09', '08:15'), new Date(2026, 2, 9, 8, 15));
+    assert.deepEqual(Utils.getTrackingTime('2026-03-09', '02:30', 4), new Date(2026, 2, 10, 2, 30));
+    assert.deepEqual(Utils.getTrackingTime('2026-03-31', '01:00', 4), new Date(2026, 3, 1, 1, 0));
+    assert.equal(Utils.getDateString(Utils.getTrackingTime('2026-03-09', '02:30', 4), 4), '2026-03-09');
+});
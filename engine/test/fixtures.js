@@ -0,0 +1,19 @@
+'use strict';
+
+// a healthy sedentary adult at sea level; tests spread it and override what they exercise
+const baseParams = Object.freeze({
+    weight: 70,
+    age: 30,
+    gender: 'male',
+    activityLevel: 'sedentary',
+    exerciseDuration: 0,
+    exerciseIntensity: 'medium',
+    climate: 'moderate',
+    altitude: 'sea-level',
+    pregnant: false,
+    breastfeeding: false,
+    illness: false,
+    kidneyDisease: false
+});
+
+module.exports = { baseParams };
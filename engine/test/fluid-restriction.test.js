@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Calculator } = require('../hydration-engine.js');
+const fixtures = require('./fixtures.js');
+
+const baseParams = {
+    ...fixtures.baseParams,
+    weight: 80,
+    age: 70,
+    activityLevel: 'light',
+    altitude: 0,
+    kidneyDisease: true
+};
+
+test('a prescribed limit replaces the requirement, even below the usual minimum', () => {
+    assert.equal(Calculator.calculateWater(baseParams), 2000);
+    assert.equal(Calculator.calculateWater({ ...baseParams, fluidRestriction: 1200 }), 1200);
+    assert.equal(Calculator.calculateWater({ ...baseParams, kidneyDisease: false, fluidRestriction: 1500 }), 1500);
+});
+
+test('a sodium limit caps the sodium target', () => {
+    const params = { ...baseParams, exerciseDuration: 60 };
+    assert.ok(Calculator.calculateElectrolytes(params).sodium > 2000);
+    assert.equal(Calculator.calculateElectrolytes({ ...params, sodiumRestriction: 1500 }).sodium, 1500);
+});
+
+test('the allowance counts down and flags the last stretch before the limit', () => {
+    assert.deepEqual(Calculator.getFluidAllowance(600, 1200), { used: 600, remaining: 600, over: 0, percentage: 50, status: 'ok' });
+    assert.equal(Calculator.getFluidAllowance(1000, 1200, 100).status, 'near');
+    assert.equal(Calculator.getFluidAllowance(1000, 1200, 200).status, 'reached');
+
+    const over = Calculator.getFluidAllowance(1000, 1200, 350);
+    assert.equal(over.status, 'exceeded');
+    assert.equal(over.remaining, 0);
+    assert.equal(over.over, 150);
+});
+
+test('restricted profiles get restriction advice instead of drinking targets', () => {
+    const params = { ...baseParams, fluidRestriction: 1200, sodiumRestriction: 2000, exerciseDuration: 90 };
+    const ids = Calculator.generateRecommendations(params, 1200, Calculator.calculateElectrolytes(params)).map(rec => rec.id);
+
+    assert.ok(ids.includes('fluidRestriction'));
+    assert.ok(ids.includes('sodiumRestriction'));
+    assert.ok(!ids.includes('distribute'));
+    assert.ok(!ids.includes('kidneyCap'));
+    assert.equal(Calculator.generateFuelingPlan(params), null);
+    assert.ok(Calculator.checkConsistency(params).some(issue => issue.id === 'restrictionExercise'));
+});
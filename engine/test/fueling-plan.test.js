@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator } = require('../hydration-engine.js');
+const fixtures = require('./fixtures.js');
+
+const baseParams = { ...fixtures.baseParams, activityLevel: 'active', exerciseDuration: 90 };
+
+const phase = (plan, name) => plan.steps.filter(step => step.phase === name);
+
+test('generateFuelingPlan returns null without exercise', () => {
+    assert.equal(Calculator.generateFuelingPlan({ ...baseParams, exerciseDuration: 0 }), null);
+});
+
+test('generateFuelingPlan schedules drinks before, during and after', () => {
+    const plan = Calculator.generateFuelingPlan(baseParams);
+
+    assert.deepEqual(phase(plan, 'before'), [{ phase: 'before', minute: -CONFIG.FUELING.BEFORE_MINUTES, volume: 420, sodium: CONFIG.FUELING.BEFORE_SODIUM }]);
+    assert.deepEqual(phase(plan, 'during').map(step => step.minute), [20, 40, 60, 80]);
+    assert.ok(phase(plan, 'during').every(step => step.volume === 120 && step.sodium > 0));
+
+    // 750 ml sweat, 480 ml drunk: replace 150% of the 270 ml still missing
+    const after = phase(plan, 'after')[0];
+    assert.equal(plan.netLoss, 270);
+    assert.equal(after.volume, 410);
+    assert.equal(after.minute, 90);
+});
+
+test('generateFuelingPlan skips sodium during short sessions', () => {
+    const plan = Calculator.generateFuelingPlan({ ...baseParams, exerciseDuration: 45 });
+
+    assert.equal(phase(plan, 'before')[0].sodium, 0);
+    assert.ok(phase(plan, 'during').every(step => step.sodium === 0));
+});
+
+test('generateFuelingPlan drinks more often in the heat and caps hourly volume', () => {
+    const plan = Calculator.generateFuelingPlan({ ...baseParams, climate: 'very-hot', sweatRate: 2000 });
+
+    assert.equal(plan.interval, CONFIG.FUELING.DURING_INTERVAL_HOT);
+    assert.equal(plan.sweatRate, 2000);
+    assert.equal(phase(plan, 'during')[0].volume, CONFIG.FUELING.DURING_ML_PER_HOUR.max / 4);
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator } = require('../hydration-engine.js');
+
+const params = { weight: 75, exerciseDuration: 0 };
+const at = (hours, minutes = 0) => new Date(2024, 4, 1, hours, minutes);
+const drink = (amount, hours, minutes = 0, beverage) => ({ amount, beverage, timestamp: at(hours, minutes).toISOString() });
+
+test('the safe rate is about a liter an hour, less for small bodies and kidney disease', () => {
+    assert.equal(Calculator.getSafeHourlyIntake(params), CONFIG.SAFETY.MAX_PER_HOUR);
+    assert.equal(Calculator.getSafeHourlyIntake({ weight: 50 }), 700);
+    assert.equal(Calculator.getSafeHourlyIntake({ weight: 75, kidneyDisease: true }), 500);
+    assert.equal(Calculator.getSafeHourlyIntake({}), CONFIG.SAFETY.MAX_PER_HOUR);
+});
+
+test('alerts escalate with the amount drunk in the last hour', () => {
+    const check = amounts => {
+        const dayData = { waterIntake: amounts.map((amount, i) => drink(amount, 10, i * 10)) };
+        return Calculator.checkIntakeSafety(dayData, params, at(10, 50));
+    };
+
+    assert.equal(check([250, 250, 250]).level, 'ok');
+    assert.equal(check([250, 250, 300]).level, 'caution');
+    assert.equal(check([500, 600]).level, 'warning');
+    assert.equal(check([500, 500, 500]).level, 'danger');
+    assert.deepEqual(check([500, 500, 500]).alerts.map(alert => alert.id), ['rateDanger']);
+});
+
+test('only the rolling window up to the checked moment counts', () => {
+    const dayData = { waterIntake: [drink(800, 9), drink(500, 10, 30), drink(900, 11, 45)] };
+
+    const check = Calculator.checkIntakeSafety(dayData, params, at(10, 30));
+    assert.equal(check.windowTotal, 500);
+    assert.equal(check.level, 'ok');
+    assert.equal(Calculator.checkIntakeSafety(dayData, params, at(11, 45)).windowTotal, 900);
+});
+
+test('the same hour is a warning for a small body with kidney disease', () => {
+    const dayData = { waterIntake: [drink(200, 10), drink(200, 10, 40)] };
+
+    assert.equal(Calculator.checkIntakeSafety(dayData, params, at(10, 40)).level, 'ok');
+    assert.equal(Calculator.checkIntakeSafety(dayData, { weight: 50, kidneyDisease: true }, at(10, 40)).level, 'warning');
+});
+
+test('lots of plain water during a long logged workout is flagged, with sodium it is not', () => {
+    const workouts = [{ duration: 180, time: '08:00', timestamp: at(8).toISOString() }];
+    const water = [drink(600, 8), drink(600, 9, 30), drink(600, 10, 45)];
+
+    const plain = Calculator.checkIntakeSafety({ waterIntake: water, workouts }, params, at(10, 45));
+    assert.deepEqual(plain.alerts.map(alert => alert.id), ['sodiumFreeWater']);
+    assert.deepEqual(plain.alerts[0].params, { amount: '1,800ml', minutes: '180', sodium: '0' });
+
+    const salted = { waterIntake: water, workouts, electrolyteIntake: [{ sodium: 600, timestamp: at(9).toISOString() }] };
+    assert.equal(Calculator.checkIntakeSafety(salted, params, at(10, 45)).level, 'ok');
+
+    const sportsDrink = { waterIntake: water.map(entry => ({ ...entry, beverage: 'sports-drink' })), workouts };
+    assert.equal(Calculator.checkIntakeSafety(sportsDrink, params, at(10, 45)).level, 'ok');
+
+    const short = [{ duration: 60, time: '08:00', timestamp: at(8).toISOString() }];
+    assert.equal(Calculator.checkIntakeSafety({ waterIntake: water, workouts: short }, params, at(10, 45)).level, 'ok');
+});
+
+test('plain water is not flagged on a rest day or outside the logged workout', () => {
+    const water = [drink(600, 8), drink(600, 9, 30), drink(600, 10, 45)];
+    const trainingProfile = { weight: 75, exerciseDuration: 180 };
+
+    assert.equal(Calculator.checkIntakeSafety({ waterIntake: water }, trainingProfile, at(10, 45)).level, 'ok');
+
+    // the afternoon session starts after the morning's drinks
+    const later = [{ duration: 150, time: '14:00', timestamp: at(14).toISOString() }];
+    assert.equal(Calculator.checkIntakeSafety({ waterIntake: water, workouts: later }, params, at(10, 45)).level, 'ok');
+    assert.equal(Calculator.checkIntakeSafety({ waterIntake: [...water, drink(500, 14, 30)], workouts: later }, params, at(14, 30)).level, 'ok');
+
+    // long after the session ends, it no longer raises the alert
+    const morning = [{ duration: 180, time: '08:00', timestamp: at(8).toISOString() }];
+    assert.equal(Calculator.checkIntakeSafety({ waterIntake: water, workouts: morning }, params, at(12, 30)).level, 'ok');
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Calculator, Utils } = require('../hydration-engine.js');
+const fixtures = require('./fixtures.js');
+
+const baseParams = {
+    ...fixtures.baseParams,
+    gender: 'female',
+    exerciseDuration: 90,
+    altitude: 0,
+    sweatSodiumSource: 'salty'
+};
+
+test('every recommendation has an id and its text is the filled message', () => {
+    const recommendations = Calculator.generateRecommendations(baseParams, 3200, { sodium: 3500, potassium: 3400, magnesium: 320 });
+
+    recommendations.forEach(recommendation => {
+        assert.equal(typeof recommendation.id, 'string');
+        assert.doesNotMatch(recommendation.text, /\{\w+\}/);
+    });
+
+    const sweatSodium = recommendations.find(recommendation => recommendation.id === 'sweatSodium');
+    assert.equal(sweatSodium.params.source, 'salty');
+    assert.equal(sweatSodium.params.rateSource, 'estimated');
+});
+
+test('recommendation params are formatted for the requested locale', () => {
+    const electrolytes = { sodium: 2000, potassium: 12500, magnesium: 320 };
+
+    const spanish = Calculator.generateRecommendations(baseParams, 2940, electrolytes, { locale: 'es-ES', volumeUnit: 'l' });
+    assert.equal(spanish.find(recommendation => recommendation.id === 'distribute').params.water, '2,94 L');
+    assert.equal(spanish.find(recommendation => recommendation.id === 'potassiumSources').params.target, '12.500');
+
+    const hindi = Calculator.generateRecommendations(baseParams, 2940, { ...electrolytes, potassium: 125000 }, { locale: 'hi-IN' });
+    assert.equal(hindi.find(recommendation => recommendation.id === 'potassiumSources').params.target, '1,25,000');
+});
+
+test('a custom volume formatter is used for every volume', () => {
+    const recommendations = Calculator.generateRecommendations({ ...baseParams, kidneyDisease: true }, 2000, { sodium: 2000, potassium: 3400, magnesium: 320 }, {
+        formatVolume: ml => `${ml} units`
+    });
+
+    assert.equal(recommendations.find(recommendation => recommendation.id === 'kidneyCap').params.cap, '2000 units');
+    assert.equal(recommendations.find(recommendation => recommendation.id === 'distribute').params.perDrink, '250 units');
+});
+
+test('checkConsistency returns ids and validateConsistency keeps the English strings', () => {
+    const params = { ...baseParams, pregnant: true, illness: true };
+
+    assert.deepEqual(Calculator.checkConsistency(params).map(issue => issue.id), ['sedentaryExercise', 'multipleConditions']);
+    assert.deepEqual(Calculator.validateConsistency(params), Calculator.checkConsistency(params).map(issue => issue.text));
+});
+
+test('validateNumber reports why a value was rejected', () => {
+    assert.deepEqual(Utils.validateNumber('abc', 1, 10).reason, 'invalid');
+    assert.equal(Utils.validateNumber('0', 1, 10).reason, 'min');
+    assert.equal(Utils.validateNumber('11', 1, 10).limit, 10);
+});
+
+test('fillTemplate leaves unknown placeholders alone', () => {
+    assert.equal(Utils.fillTemplate('{a} and {b}', { a: 1 }), '1 and {b}');
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+import engine, { Calculator, CONFIG, VERSION } from '../hydration-engine.mjs';
+
+const require = createRequire(import.meta.url);
+
+test('ES module and CommonJS entries expose the same engine', () => {
+    const commonjs = require('../hydration-engine.js');
+
+    assert.equal(engine, commonjs);
+    assert.equal(Calculator, commonjs.Calculator);
+    assert.equal(CONFIG, commonjs.CONFIG);
+    assert.equal(VERSION, commonjs.VERSION);
+});
+
+test('the engine runs without any DOM globals', () => {
+    assert.equal(typeof globalThis.document, 'undefined');
+    assert.equal(Calculator.calculateWater({
+        weight: 60,
+        activityLevel: 'light',
+        exerciseDuration: 30,
+        exerciseIntensity: 'low',
+        climate: 'cool',
+        altitude: 'sea-level'
+    }), 2510);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator } = require('../hydration-engine.js');
+
+// 07:00-22:00 is a 15 hour window, so a 3000 ml goal is 200 ml per hour
+const schedule = { wakeTime: '07:00', sleepTime: '22:00' };
+const at = (hours, minutes = 0) => new Date(2024, 4, 1, hours, minutes);
+
+test('the same total is ahead in the morning and behind at night', () => {
+    const morning = Calculator.calculatePace(1200, 3000, schedule, at(9));
+    const evening = Calculator.calculatePace(1200, 3000, schedule, at(21));
+
+    assert.equal(morning.status, 'ahead');
+    assert.equal(morning.expected, 400);
+    assert.equal(morning.difference, 800);
+    assert.equal(evening.status, 'behind');
+    assert.equal(evening.expected, 2800);
+    assert.equal(evening.difference, -1600);
+});
+
+test('intake within the margin of the expected amount is on track', () => {
+    const pace = Calculator.calculatePace(1100, 3000, schedule, at(13));
+    assert.equal(pace.expected, 1200);
+    assert.equal(pace.status, 'on-track');
+    assert.equal(pace.catchUp, null);
+});
+
+test('before waking up and after reaching the goal there is no pace to keep', () => {
+    assert.equal(Calculator.calculatePace(0, 3000, schedule, at(6)).status, 'not-started');
+    assert.equal(Calculator.calculatePace(3000, 3000, schedule, at(10)).status, 'done');
+});
+
+test('a small deficit is made up over the next few hours', () => {
+    const { catchUp } = Calculator.calculatePace(300, 3000, schedule, at(12));
+
+    // 700 ml behind: 200 ml/h regular pace plus 700 ml over 3 hours
+    assert.deepEqual(catchUp, { amount: 700, hours: CONFIG.PACE.CATCH_UP_HOURS, interval: 30, perDrink: 220, partial: false });
+});
+
+test('a large deficit is stretched out instead of drunk at once', () => {
+    const { catchUp } = Calculator.calculatePace(100, 3000, schedule, at(16));
+    const perHour = catchUp.perDrink * (60 / catchUp.interval);
+
+    assert.equal(catchUp.amount, 1700);
+    assert.ok(catchUp.hours > CONFIG.PACE.CATCH_UP_HOURS);
+    assert.ok(perHour <= CONFIG.PACE.MAX_PER_HOUR, `${perHour} ml/h`);
+    assert.equal(catchUp.partial, false);
+});
+
+test('what does not fit before bedtime is left out', () => {
+    const { catchUp } = Calculator.calculatePace(500, 3000, schedule, at(21));
+    assert.equal(catchUp.hours, 1);
+    assert.equal(catchUp.perDrink, CONFIG.PACE.MAX_PER_HOUR / 2);
+    assert.ok(catchUp.amount < 2300);
+    assert.equal(catchUp.partial, true);
+});
+
+test('no catch-up is suggested right before bedtime', () => {
+    const pace = Calculator.calculatePace(500, 3000, schedule, at(21, 45));
+    assert.equal(pace.status, 'behind');
+    assert.equal(pace.catchUp, null);
+});
+
+test('a waking window that crosses midnight is finished from bedtime to waking', () => {
+    const lateSchedule = { wakeTime: '07:00', sleepTime: '01:00' };
+    const progress = Calculator.getWakingProgress(lateSchedule, at(0, 30));
+    assert.ok(progress > 0 && progress < 1, `${progress}`);
+    assert.equal(Calculator.getWakingProgress(lateSchedule, at(3)), 1);
+    assert.equal(Calculator.getWakingProgress(lateSchedule, at(6, 59)), 1);
+    assert.equal(Calculator.getWakingProgress(lateSchedule, at(7)), 0);
+    assert.equal(Calculator.getWakingProgress(lateSchedule, at(16)), 0.5);
+});
+
+test('without a goal there is no pace to keep', () => {
+    const pace = Calculator.calculatePace(500, 0, schedule, at(12));
+    assert.equal(pace.status, 'no-goal');
+    assert.equal(pace.catchUp, null);
+});
+
+test('no catch-up is planned when the regular pace already takes the safe rate', () => {
+    assert.equal(Calculator.getRegularPace(3000, schedule), 200);
+    assert.ok(Calculator.getRegularPace(8000, schedule) > CONFIG.PACE.MAX_PER_HOUR);
+
+    const pace = Calculator.calculatePace(1000, 8000, schedule, at(14));
+    assert.equal(pace.status, 'behind');
+    assert.equal(pace.catchUp, null);
+});
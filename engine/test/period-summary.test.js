@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Calculator, Utils } = require('../hydration-engine.js');
+
+const day = (date, amount, goal = 2000) =>
+    Calculator.summarizeDay(date, { waterIntake: [{ amount, timestamp: `${date}T08:00:00.000Z` }], goal });
+
+test('addDays crosses month and year ends', () => {
+    assert.equal(Utils.addDays('2026-01-31', 1), '2026-02-01');
+    assert.equal(Utils.addDays('2026-01-01', -1), '2025-12-31');
+    assert.equal(Utils.addDays('2024-02-28', 1), '2024-02-29');
+});
+
+test('a period lists every day and averages only the logged ones', () => {
+    const summaries = [day('2026-03-05', 2400), day('2026-03-02', 1000), day('2026-03-03', 2000), day('2026-02-27', 3000)];
+    const period = Calculator.summarizePeriod(summaries, '2026-03-01', '2026-03-07');
+
+    assert.equal(period.periodDays, 7);
+    assert.deepEqual(period.days.map(item => item.date), [
+        '2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07'
+    ]);
+    assert.equal(period.days[0].summary, null);
+    assert.equal(period.daysLogged, 3);
+    assert.equal(period.daysGoalMet, 2);
+    assert.equal(period.adherence, 67);
+    assert.equal(period.averageIntake, 1800);
+    assert.equal(period.best.date, '2026-03-05');
+    assert.equal(period.worst.date, '2026-03-02');
+});
+
+test('weekday averages group logged days by day of the week, each against its own goal', () => {
+    // 2 and 9 March 2026 are Mondays
+    const period = Calculator.summarizePeriod([day('2026-03-02', 1000, 2400), day('2026-03-09', 2000), day('2026-03-04', 1500)], '2026-03-01', '2026-03-14');
+
+    assert.deepEqual(period.weekdays[1], { weekday: 1, daysLogged: 2, averageIntake: 1500, averageGoal: 2200 });
+    assert.deepEqual(period.weekdays[3], { weekday: 3, daysLogged: 1, averageIntake: 1500, averageGoal: 2000 });
+    assert.equal(period.weekdays[0].daysLogged, 0);
+});
+
+test('a period without logged days has no best or worst day', () => {
+    const period = Calculator.summarizePeriod([], '2026-03-01', '2026-03-31');
+
+    assert.equal(period.periodDays, 31);
+    assert.equal(period.daysLogged, 0);
+    assert.equal(period.adherence, 0);
+    assert.equal(period.best, null);
+    assert.equal(period.worst, null);
+});
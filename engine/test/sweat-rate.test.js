@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator } = require('../hydration-engine.js');
+const fixtures = require('./fixtures.js');
+
+const baseParams = { ...fixtures.baseParams, exerciseDuration: 60 };
+
+test('calculateSweatRate adds fluid drunk and subtracts urine', () => {
+    const result = Calculator.calculateSweatRate({
+        preWeight: 70,
+        postWeight: 69,
+        fluidIntake: 500,
+        urineOutput: 100,
+        duration: 90
+    });
+
+    assert.equal(result.sweatLoss, 1400);
+    assert.equal(result.sweatRate, 933);
+    assert.equal(result.bodyMassChange, -1.4);
+});
+
+test('averageSweatRate prefers tests at the requested intensity', () => {
+    const tests = [
+        { date: '2024-05-01', intensity: 'high', preWeight: 70, postWeight: 68.5, duration: 60 },
+        { date: '2024-05-02', intensity: 'low', preWeight: 70, postWeight: 69.5, duration: 60 },
+        { date: '2024-05-03', intensity: 'high', preWeight: 70, postWeight: 68.7, duration: 60 }
+    ];
+
+    assert.equal(Calculator.averageSweatRate(tests, 'high'), 1400);
+    assert.equal(Calculator.averageSweatRate(tests, 'medium'), 1100);
+    assert.equal(Calculator.averageSweatRate([], 'high'), null);
+});
+
+test('averageSweatRate only uses the most recent tests', () => {
+    const tests = Array.from({ length: CONFIG.SWEAT_TEST_AVERAGE_COUNT + 1 }, (_, i) => ({
+        date: `2024-05-0${i + 1}`,
+        preWeight: 70,
+        postWeight: i === 0 ? 65 : 69,
+        duration: 60
+    }));
+
+    assert.equal(Calculator.averageSweatRate(tests), 1000);
+});
+
+test('calculateWater uses a measured sweat rate instead of the generic estimate', () => {
+    const generic = Calculator.calculateWater(baseParams);
+    const measured = Calculator.calculateWater({ ...baseParams, sweatRate: 1200 });
+
+    assert.equal(measured - generic, 1200 - CONFIG.EXERCISE_WATER_PER_HOUR);
+    assert.ok(Calculator.generateRecommendations({ ...baseParams, sweatRate: 1200 }, measured, {})
+        .some(rec => rec.text.includes('1,200ml/hour')));
+});
+
+test('checkSweatTest rejects missing or out-of-range weights and durations', () => {
+    const sweatTest = { preWeight: 70, postWeight: 69, fluidIntake: 500, urineOutput: 0, duration: 60 };
+    assert.deepEqual(Calculator.checkSweatTest(sweatTest), { valid: true, sweatRate: 1500 });
+
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, preWeight: NaN }).reason, 'weights');
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, postWeight: undefined }).reason, 'weights');
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, preWeight: 5 }).reason, 'weights');
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, postWeight: 400 }).reason, 'weights');
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, duration: NaN }).reason, 'duration');
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, duration: 5 }).reason, 'duration');
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, duration: 900 }).reason, 'duration');
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, fluidIntake: CONFIG.MAX_SWEAT_TEST_FLUID + 1 }).reason, 'fluid');
+    assert.equal(Calculator.checkSweatTest({ ...sweatTest, postWeight: 70, fluidIntake: 0 }).reason, 'implausible');
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator } = require('../hydration-engine.js');
+const fixtures = require('./fixtures.js');
+
+const baseParams = { ...fixtures.baseParams, activityLevel: 'active', exerciseDuration: 120 };
+
+test('getSweatSodiumConcentration reads lab values and sweater presets', () => {
+    assert.equal(Calculator.getSweatSodiumConcentration(baseParams), null);
+    assert.equal(Calculator.getSweatSodiumConcentration({ ...baseParams, sweatSodiumSource: 'lab' }), null);
+
+    assert.deepEqual(
+        Calculator.getSweatSodiumConcentration({ ...baseParams, sweatSodiumSource: 'lab', sweatSodiumConcentration: 1200 }),
+        { source: 'lab', sourceLabel: 'lab patch test', concentration: 1200 }
+    );
+    assert.equal(
+        Calculator.getSweatSodiumConcentration({ ...baseParams, sweatSodiumSource: 'salty' }).concentration,
+        CONFIG.SWEAT_SODIUM_PRESETS.salty.concentration
+    );
+});
+
+test('calculateSweatSodiumLoss combines sweat rate and concentration', () => {
+    const loss = Calculator.calculateSweatSodiumLoss({
+        ...baseParams,
+        sweatRate: 1000,
+        sweatSodiumSource: 'lab',
+        sweatSodiumConcentration: 1200
+    });
+
+    assert.equal(loss.hourlyLoss, 1200);
+    assert.equal(loss.sessionLoss, 2400);
+    assert.equal(loss.sweatRateMeasured, true);
+    assert.deepEqual(loss.replacement, { min: 600, max: 900 });
+});
+
+test('calculateElectrolytes uses the personal sweat sodium loss', () => {
+    const generic = Calculator.calculateElectrolytes(baseParams);
+    const light = Calculator.calculateElectrolytes({ ...baseParams, sweatRate: 800, sweatSodiumSource: 'light' });
+
+    assert.equal(generic.sodium, 2000 + 2 * 1000);
+    assert.equal(light.sodium, 2000 + 2 * 0.8 * CONFIG.SWEAT_SODIUM_PRESETS.light.concentration);
+});
+
+test('generateRecommendations names the sweat sodium source', () => {
+    const params = { ...baseParams, sweatSodiumSource: 'lab', sweatSodiumConcentration: 1500 };
+    const texts = Calculator.generateRecommendations(params, 4000, Calculator.calculateElectrolytes(params))
+        .map(rec => rec.text);
+
+    assert.ok(texts.some(text => text.includes('lab patch test') && text.includes('estimated sweat rate')));
+    assert.ok(texts.some(text => text.startsWith('During sessions over 60 minutes, replace')));
+});
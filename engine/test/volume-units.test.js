@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, Calculator, Utils } = require('../hydration-engine.js');
+
+test('toVolumeUnit converts ml and rounds to the unit decimals', () => {
+    assert.equal(Utils.toVolumeUnit(250, 'ml'), 250);
+    assert.equal(Utils.toVolumeUnit(2940, 'l'), 2.94);
+    assert.equal(Utils.toVolumeUnit(250, 'us-floz'), 8.5);
+    assert.equal(Utils.toVolumeUnit(250, 'imp-floz'), 8.8);
+    assert.equal(Utils.toVolumeUnit(2940, 'cup'), 12.4);
+});
+
+test('fromVolumeUnit returns whole ml', () => {
+    assert.equal(Utils.fromVolumeUnit(8, 'us-floz'), 237);
+    assert.equal(Utils.fromVolumeUnit(1.5, 'l'), 1500);
+    assert.equal(Utils.fromVolumeUnit(1, 'cup'), 237);
+    assert.equal(Utils.fromVolumeUnit(330, 'ml'), 330);
+});
+
+test('every unit round-trips within a millilitre', () => {
+    Object.keys(CONFIG.VOLUME_UNITS).filter(unit => unit !== 'l').forEach(unit => {
+        const ml = 500;
+        const back = Utils.fromVolumeUnit(Utils.toVolumeUnit(ml, unit), unit);
+        assert.ok(Math.abs(back - ml) <= CONFIG.VOLUME_UNITS[unit].ml / 20, `${unit}: ${back}`);
+    });
+});
+
+test('formatVolume labels the amount and falls back to ml', () => {
+    assert.equal(Utils.formatVolume(250, 'ml'), '250ml');
+    assert.equal(Utils.formatVolume(250, 'us-floz'), '8.5 fl oz');
+    assert.equal(Utils.formatVolume(2500, 'l'), '2.5 L');
+    assert.equal(Utils.formatVolume(250, 'unknown'), '250ml');
+});
+
+test('formatVolumeValue groups thousands without the label', () => {
+    assert.equal(Utils.formatVolumeValue(2940, 'ml'), (2940).toLocaleString());
+    assert.equal(Utils.formatVolumeValue(2940, 'l'), (2.94).toLocaleString());
+});
+
+test('generateRecommendations writes volumes in the requested unit', () => {
+    const params = {
+        weight: 70,
+        age: 30,
+        gender: 'male',
+        activityLevel: 'moderate',
+        exerciseDuration: 0,
+        exerciseIntensity: 'medium',
+        climate: 'moderate',
+        altitude: 0
+    };
+
+    const [inMl] = Calculator.generateRecommendations(params, 2940, {});
+    assert.match(inMl.text, /2,940ml/);
+
+    const [inOunces] = Calculator.generateRecommendations(params, 2940, {}, { volumeUnit: 'us-floz' });
+    assert.match(inOunces.text, /99\.4 fl oz/);
+    assert.match(inOunces.text, /12\.4 fl oz every/);
+});
@@ -0,0 +1,577 @@
+// English messages, the fallback for missing keys in every other language.
+// Recommendation and consistency texts fall back to the engine's English strings.
+(function() {
+    'use strict';
+
+    window.HydrationLocales = window.HydrationLocales || {};
+    window.HydrationLocales.en = {
+        meta: { name: 'English', locale: 'en-US', dir: 'ltr', pdf: true },
+        messages: {
+            app: {
+                title: 'Water + Electrolyte Balance Tool'
+            },
+            header: {
+                subtitle: 'Personalized Water & Electrolyte Balance Calculator'
+            },
+            preferences: {
+                volumeUnit: 'Volume unit',
+                units: {
+                    ml: 'Milliliters (ml)',
+                    l: 'Liters (L)',
+                    usFloz: 'US fluid ounces (fl oz)',
+                    impFloz: 'Imperial fluid ounces (imp fl oz)',
+                    cup: 'Cups (US, 8 fl oz)'
+                },
+                dayStart: 'Day starts at',
+                language: 'Language'
+            },
+            common: {
+                save: 'Save',
+                notAvailable: 'N/A',
+                notSpecified: 'Not specified',
+                measured: 'measured',
+                estimated: 'estimated',
+                cancel: 'Cancel'
+            },
+            units: {
+                perDay: '{amount}/day',
+                perHour: '{amount}/hour'
+            },
+            volumeUnits: {
+                ml: '{amount}ml',
+                l: '{amount} L',
+                'us-floz': '{amount} fl oz',
+                'imp-floz': '{amount} imp fl oz',
+                cup: '{amount} cups'
+            },
+            toast: {
+                close: 'Close notification',
+                yes: 'Yes',
+                no: 'No'
+            },
+            storage: {
+                partlyRecovered: 'Some saved data was damaged and has been set aside. Everything else was kept.',
+                unreadable: 'Saved data could not be read and has been set aside. You can download it from "Your Data".',
+                full: 'Storage limit reached. Clearing old data...'
+            },
+            validation: {
+                invalid: 'Please enter a valid number',
+                min: 'Minimum value is {limit}',
+                max: 'Maximum value is {limit}',
+                select: 'Please select {field}'
+            },
+            profile: {
+                switchFailed: 'Could not switch profile',
+                switched: 'Switched to {name}',
+                newName: 'New profile name',
+                rename: 'Rename profile',
+                nameRequired: 'Please enter a profile name',
+                nameTooLong: 'Maximum {max} characters',
+                nameTaken: 'A profile with this name already exists',
+                createFailed: 'Could not create profile',
+                created: 'Profile "{name}" created',
+                renamed: 'Profile renamed to "{name}"',
+                confirmDelete: 'Delete profile "{name}" and all of its tracking history? This action cannot be undone.',
+                lastProfile: 'The last profile cannot be deleted',
+                deleted: 'Profile "{name}" deleted',
+                label: 'Profile',
+                newButton: 'New',
+                renameButton: 'Rename',
+                deleteButton: 'Delete',
+                saveButton: 'Save',
+                namePlaceholder: 'e.g. Alex'
+            },
+            form: {
+                confirmClear: 'Clear all form inputs? This will not delete your saved data.',
+                cleared: 'Form cleared successfully',
+                confirmReset: 'Reset all settings and clear saved data for "{name}"? This action cannot be undone.',
+                resetDone: 'All settings and data have been reset',
+                title: 'Personal Information',
+                weight: 'Weight',
+                age: 'Age',
+                gender: 'Gender',
+                select: 'Select',
+                activityLevel: 'Activity Level',
+                activity: {
+                    sedentary: 'Sedentary (Little/no exercise)',
+                    light: 'Light (1-3 days/week)',
+                    moderate: 'Moderate (3-5 days/week)',
+                    active: 'Very Active (6-7 days/week)',
+                    athlete: 'Athlete (2x per day)'
+                },
+                exerciseDuration: 'Exercise Duration (min/day)',
+                exerciseIntensity: 'Exercise Intensity',
+                intensity: {
+                    low: 'Low',
+                    medium: 'Medium',
+                    high: 'High'
+                },
+                sweatSodium: 'Sweat Sodium',
+                sweatSodiumSource: {
+                    unknown: 'Not known (standard estimate)',
+                    light: 'Light sweater (~500 mg/L)',
+                    average: 'Average sweater (~950 mg/L)',
+                    salty: 'Salty sweater, white marks on clothes (~1400 mg/L)',
+                    lab: 'Lab patch test result'
+                },
+                sweatSodiumConcentration: 'Sweat Sodium (mg/L)',
+                climate: 'Climate',
+                climates: {
+                    cool: 'Cool (< 15°C / 59°F)',
+                    moderate: 'Moderate (15-25°C / 59-77°F)',
+                    hot: 'Hot (25-35°C / 77-95°F)',
+                    veryHot: 'Very Hot (> 35°C / 95°F)'
+                },
+                climateHint: 'Used when no temperature is entered',
+                temperature: 'Temperature (optional)',
+                humidity: 'Humidity % (optional)',
+                altitude: 'Altitude',
+                altitudeDays: 'Days at This Altitude (optional)',
+                altitudeDaysHint: 'Helps with acclimatization advice above 2,500m',
+                healthConditions: 'Health Conditions (Optional)',
+                illness: 'Illness (Fever/Diarrhea)',
+                fluidRestriction: 'Fluid restriction prescribed by my clinician',
+                fluidRestrictionAmount: 'Daily Fluid Limit',
+                fluidRestrictionHint: 'Every drink counts in full, including soup and other liquid foods',
+                sodiumRestrictionAmount: 'Daily Sodium Limit (mg, optional)',
+                calculate: 'Calculate Requirements',
+                clear: 'Clear Form',
+                reset: 'Reset All Data',
+                altitudeDaysPlaceholder: 'e.g. 2'
+            },
+            gender: {
+                male: 'Male',
+                female: 'Female',
+                other: 'Other'
+            },
+            activity: {
+                sedentary: 'Sedentary',
+                light: 'Light',
+                moderate: 'Moderate',
+                active: 'Very Active',
+                athlete: 'Athlete'
+            },
+            intensityName: {
+                low: 'low',
+                medium: 'medium',
+                high: 'high'
+            },
+            climate: {
+                cool: 'Cool (< 15°C)',
+                moderate: 'Moderate (15-25°C)',
+                hot: 'Hot (25-35°C)',
+                'very-hot': 'Very Hot (> 35°C)'
+            },
+            weather: {
+                conditions: '{temperature}°C{humidity} (heat index {heatIndex}°C)',
+                humidity: ', {humidity}% humidity',
+                feelsLike: 'Feels like {temperature}'
+            },
+            altitude: {
+                value: '{meters} m ({feet} ft){days}',
+                days: ', day {day} at this altitude'
+            },
+            health: {
+                pregnant: 'Pregnant',
+                breastfeeding: 'Breastfeeding',
+                illness: 'Illness',
+                kidneyDisease: 'Kidney Disease'
+            },
+            sweatSodiumSource: {
+                lab: 'lab patch test',
+                light: 'light sweater estimate',
+                average: 'average sweater estimate',
+                salty: 'salty sweater estimate'
+            },
+            electrolytes: {
+                sodium: 'Sodium',
+                potassium: 'Potassium',
+                magnesium: 'Magnesium',
+                calcium: 'Calcium'
+            },
+            beverages: {
+                water: 'Water',
+                coffee: 'Coffee',
+                tea: 'Tea',
+                milk: 'Milk',
+                'sports-drink': 'Sports Drink',
+                juice: 'Juice',
+                beer: 'Beer',
+                ors: 'Oral Rehydration Solution'
+            },
+            results: {
+                aboutLiters: 'About {amount}',
+                aboutCups: 'About {cups} cups ({cup} each)',
+                calculated: 'Requirements calculated successfully!',
+                sodiumStandard: 'Exercise share uses the standard estimate of {amount}mg sodium per hour of sweating.',
+                sodiumSource: 'Includes ~{loss}mg exercise loss: {concentration}mg/L ({source}) at {rate} ({rateSource}).',
+                title: 'Your Daily Requirements',
+                water: 'Water Intake',
+                perDay: '/day',
+                download: 'Download Report (PDF)'
+            },
+            fueling: {
+                beforeWhen: '{hours} h before',
+                before: 'Drink {volume} ({min}-{max}ml/kg)',
+                beforeWithSodium: 'Drink {volume} ({min}-{max}ml/kg), plus a salty snack (~{sodium}mg sodium)',
+                duringWhen: '{minute} min',
+                during: 'Drink {volume}',
+                duringWithSodium: 'Drink {volume} with ~{sodium}mg sodium',
+                afterWhen: 'After',
+                after: 'Drink {volume} over {min}-{max} hours (salted meal or electrolyte drink)',
+                afterWithSodium: 'Drink {volume} over {min}-{max} hours with ~{sodium}mg sodium (salted meal or electrolyte drink)',
+                afterNone: 'No extra fluid needed beyond your normal intake',
+                afterNoneWithSodium: 'No extra fluid needed beyond your normal intake with ~{sodium}mg sodium',
+                summary: 'For {duration} min at {intensity} intensity you lose about {sweatLoss} sweat ({rate}, {rateSource}) and {sodium}mg sodium.',
+                bodyMassWarning: 'Even with this plan you end about {loss}% down in body weight; drink a little more during the session if your stomach tolerates it.',
+                title: 'Workout Fueling Plan'
+            },
+            sweat: {
+                weightsRequired: 'Please enter your weight before and after exercise',
+                durationRange: 'Please enter an exercise duration between {min} and {max} minutes',
+                fluidTooLarge: 'Fluid and urine amounts seem too large. Maximum {max} each',
+                implausible: 'These numbers give a sweat rate of {rate}, outside the plausible {min}-{max}. Please check the weights and amounts.',
+                saved: 'Sweat rate {rate} saved. Recalculate to update your requirements.',
+                confirmDelete: 'Delete this sweat test?',
+                deleted: 'Sweat test deleted',
+                noTestsSummary: 'No tests yet. Exercise needs are estimated at {rate}, adjusted for intensity.',
+                noTests: 'No sweat tests recorded yet.',
+                summaryOne: 'Your sweat rate: {rate} (from your latest test, preferring {intensity}-intensity sessions). This replaces the generic estimate in your calculation.',
+                summaryMany: 'Your sweat rate: {rate} (average of your latest {count} tests, preferring {intensity}-intensity sessions). This replaces the generic estimate in your calculation.',
+                testDetails: '{date} · {duration} min, {intensity} intensity, {climate} · {change}% body mass',
+                deleteTest: 'Delete sweat test',
+                title: 'Sweat Rate Test',
+                description: 'Weigh yourself without clothes right before and after a workout of about an hour, towel dry first, and note what you drank and any urine passed. Your measured sweat rate replaces the generic exercise estimate.',
+                duration: 'Duration (min)',
+                intensity: 'Intensity',
+                conditions: 'Conditions',
+                date: 'Date',
+                save: 'Save Sweat Test',
+                weightBefore: 'Weight before',
+                weightAfter: 'Weight after',
+                fluid: 'Fluid drunk',
+                urine: 'Urine passed'
+            },
+            tracker: {
+                newDay: 'A new day has started. Today\'s tracker is ready.',
+                noElectrolytes: 'No electrolyte intake recorded yet.',
+                noWorkouts: 'No workouts logged today.',
+                workoutEntry: '{minutes} min workout',
+                workoutAdded: 'Logged a {minutes} min workout',
+                invalidWorkout: 'Please enter a workout length from 1 to {max} minutes',
+                deleteEntry: 'Delete entry',
+                electrolytesAdded: 'Electrolyte intake added',
+                entryDeleted: 'Entry deleted',
+                alertExceeded: '{name} intake ({total}mg) is above the safe limit of {danger}mg. Avoid further {name} today.',
+                alertNear: '{name} intake ({total}mg) is approaching the safe limit of {danger}mg.',
+                confirmReset: 'Are you sure you want to reset today\'s tracking?',
+                resetDone: 'Tracking reset successfully',
+                quickAdd: '{size} of {beverage} ({amount})',
+                invalidAmount: 'Please enter a valid amount',
+                amountTooLarge: 'Amount seems too large. Maximum {max} per entry',
+                electrolyteInvalid: 'Please enter a valid {name} amount',
+                electrolyteRequired: 'Please enter at least one electrolyte amount',
+                electrolyteTooLarge: 'Amount seems too large. Maximum {max}mg {name} per entry',
+                added: 'Added {amount} {beverage} to your intake',
+                goalReached: 'Congratulations! You\'ve reached your daily water goal!',
+                effectiveFrom: 'Effective hydration from {volume} of drinks',
+                countsAs: 'counts as {amount}',
+                noWater: 'No water intake recorded yet. Add your first entry!',
+                electrolyteProgress: '{total} / {goal} mg',
+                sizes: {
+                    glass: 'Glass',
+                    bottle: 'Bottle',
+                    largeBottle: 'Large Bottle'
+                },
+                title: 'Today\'s Tracking',
+                progress: 'Hydration Progress',
+                electrolyteProgressTitle: 'Electrolyte Intake Progress',
+                addDrink: 'Add Drink',
+                add: 'Add',
+                addElectrolytes: 'Add Electrolyte Intake',
+                sodiumMg: 'Sodium (mg)',
+                potassiumMg: 'Potassium (mg)',
+                magnesiumMg: 'Magnesium (mg)',
+                calciumMg: 'Calcium (mg)',
+                addElectrolytesButton: 'Add Electrolytes',
+                log: 'Today\'s Log',
+                electrolyteLog: 'Electrolyte Log',
+                logWorkout: 'Log a Workout',
+                workoutLength: 'Workout length',
+                minutesUnit: 'min',
+                workoutStart: 'Start time, leave empty if you just finished',
+                workoutLog: 'Workout Log',
+                reset: 'Reset Today\'s Tracking',
+                progressLabels: {
+                    sodium: 'Sodium intake progress',
+                    potassium: 'Potassium intake progress',
+                    magnesium: 'Magnesium intake progress',
+                    calcium: 'Calcium intake progress'
+                },
+                beverage: 'Beverage',
+                chart: {
+                    title: 'Intake Through the Day',
+                    label: 'Cumulative intake today against an even pace and the goal',
+                    intake: 'Your intake',
+                    pace: 'Even pace',
+                    goal: 'Goal',
+                    entry: '{time}: {entry}, {total} so far',
+                    summary: 'Drinks logged: {count}. {total} of {goal}. Hover or focus a point for details.'
+                },
+                pace: {
+                    notStarted: 'Your day starts at {wake}. Pace tracking begins when you are up.',
+                    onTrack: 'On track: about {expected} expected by now.',
+                    ahead: 'Ahead of pace by {difference} ({expected} expected by now).',
+                    behind: 'Behind pace by {difference} ({expected} expected by now).',
+                    done: 'Goal reached. No need to keep up a pace for the rest of the day.',
+                    window: 'Pace follows your waking hours ({wake}-{sleep}), set under "Reminders & Schedule".',
+                    catchUp: 'To catch up, drink about {perDrink} every {interval} minutes for the next {hours} hours rather than a lot at once.',
+                    partial: 'The rest can wait: drinking more than {max} is hard on your body.',
+                    tooLate: 'Your waking day is nearly over, so do not try to make up the difference now. Start fresh tomorrow.',
+                    atLimit: 'Keeping pace already takes about {rate}, at or above the safe rate, so do not try to make up the difference today.'
+                }
+            },
+            entries: {
+                edit: 'Edit entry',
+                amount: 'Amount',
+                time: 'Time',
+                timeOptional: 'Time, leave empty for now',
+                addToDay: 'Add a drink to this day',
+                added: 'Added {amount} at {time}',
+                updated: 'Entry updated',
+                undo: 'Undo',
+                undone: 'Change undone',
+                timeRequired: 'Please enter a time',
+                futureTime: 'That time has not happened yet'
+            },
+            containers: {
+                title: 'Your containers',
+                manage: 'Edit containers',
+                addTitle: 'Add a container',
+                namePlaceholder: 'Name, e.g. Office mug',
+                volume: 'Volume',
+                icon: 'Icon',
+                noIcon: 'No icon',
+                anyBeverage: 'Selected drink',
+                add: 'Add container',
+                quickAdd: '{name} ({amount})',
+                quickAddWithBeverage: '{name}: {beverage} ({amount})',
+                moveUp: 'Move {name} up',
+                moveDown: 'Move {name} down',
+                delete: 'Delete {name}',
+                none: 'No containers yet. Add one under Edit containers.',
+                added: '{name} added',
+                deleted: '{name} deleted',
+                nameInvalid: 'Please enter a name of up to {max} characters',
+                tooMany: 'You can keep up to {max} containers',
+                icons: {
+                    glass: 'Glass',
+                    mug: 'Mug',
+                    teacup: 'Tea cup',
+                    cup: 'Cup with straw',
+                    bottle: 'Bottle',
+                    carton: 'Carton',
+                    can: 'Can'
+                }
+            },
+            safety: {
+                rateCaution: 'You have had {amount} in the last hour, close to the {limit} your kidneys can clear. Slow down for a while.',
+                rateWarning: '{amount} in the last hour is more than the {limit} your kidneys can clear. Pause drinking: drinking this fast can dilute your blood sodium.',
+                rateDanger: '{amount} in the last hour is far above the safe {limit}. Stop drinking now. Headache, nausea, vomiting or confusion can mean hyponatremia: seek medical help.',
+                sodiumFreeWater: '{amount} during your {minutes}-minute workout with only {sodium}mg sodium. Add an electrolyte drink or a salty snack so your blood sodium is not diluted.',
+                recorded: 'Alerts recorded today: {count}'
+            },
+            restriction: {
+                progressLabel: 'Fluid Allowance Used',
+                remaining: '{amount} left of today\'s fluid allowance',
+                reached: 'Today\'s fluid allowance is used up',
+                exceeded: '{amount} over today\'s fluid limit',
+                confirmExceed: 'This drink takes you {amount} over your prescribed limit of {limit} a day. Log it anyway?',
+                nearToast: 'Only {amount} of today\'s fluid allowance is left. Take small sips and spread it out.',
+                reachedToast: 'You have reached today\'s fluid limit of {limit}.',
+                exceededToast: 'You are {amount} over your fluid limit of {limit} today. Tell your care team if this happens often.',
+                sodiumExceeded: 'Sodium today ({total}mg) is above your prescribed limit of {limit}mg.'
+            },
+            history: {
+                percentOfGoal: '{percentage}% of goal',
+                daysOnGoal: '{met} of {logged} logged days on goal',
+                showDay: 'Show entries for {date}',
+                daySummary: '{total} of {goal} ({percentage}%) across {entries} entries',
+                noEntries: 'No entries recorded on this day.',
+                title: 'History',
+                last7: 'Last 7 Days',
+                last30: 'Last 30 Days',
+                dailyTotals: 'Daily Totals',
+                close: 'Close',
+                reports: 'Reports and Exports',
+                from: 'From',
+                to: 'To',
+                downloadReport: 'Download PDF Report',
+                exportEntries: 'Export Entries (CSV)',
+                exportDaily: 'Export Daily Totals (CSV)',
+                csvDownloaded: 'CSV file downloaded',
+                csvFailed: 'Failed to export CSV. Please try again.',
+                invalidRange: 'Please choose a start date on or before the end date',
+                rangeTooLong: 'A report can cover up to {days} days',
+                noDaysInRange: 'No days were logged in this range'
+            },
+            reminders: {
+                sameTimes: 'Please enter different wake and sleep times',
+                unsupported: 'This browser does not support notifications',
+                blocked: 'Notifications are blocked. Allow them in your browser settings to get reminders.',
+                blockedStatus: 'Notifications are blocked for this site. Allow them in your browser settings to use reminders.',
+                quietNote: 'No reminders outside your waking hours or once today\'s goal is met.',
+                drinkNow: 'Time for a drink. {remaining} to go today ({percentage}% of your goal).',
+                behindPace: 'You\'re about {behind} behind pace. A glass now gets you back on track.',
+                drinkWithinLimit: 'Time for a small drink. {remaining} of today\'s fluid allowance is left ({percentage}% used).',
+                restrictedPace: 'Pace reminders are off while a fluid restriction is set.',
+                title: 'Hydration reminder',
+                turnedOn: 'Drink reminders turned on',
+                turnedOff: 'Drink reminders turned off',
+                mode: {
+                    interval: 'Reminds you when you haven\'t logged a drink for {interval} minutes.',
+                    waking: 'Spreads {count} reminders evenly between {wake} and {sleep}.',
+                    pace: 'Reminds you only when you fall behind the pace needed to reach your goal by {sleep}.'
+                },
+                sectionTitle: 'Reminders & Schedule',
+                enable: 'Send drink reminders',
+                modeLabel: 'Remind me',
+                modes: {
+                    interval: 'At fixed intervals',
+                    waking: 'Spread across my waking hours',
+                    pace: 'Only when I\'m behind pace'
+                },
+                every: 'Every',
+                intervals: {
+                    '30': '30 minutes',
+                    '45': '45 minutes',
+                    '60': '1 hour',
+                    '90': '1.5 hours',
+                    '120': '2 hours'
+                },
+                perDay: 'Reminders per day',
+                wake: 'Wake up',
+                sleep: 'Go to sleep'
+            },
+            backup: {
+                confirmReplace: 'Replace all profiles and history on this device with the backup? This action cannot be undone.',
+                confirmDiscard: 'Permanently discard the data that was set aside?',
+                discarded: 'Set-aside data discarded',
+                quarantineSummary: '{count} damaged data snapshot(s) set aside. Latest from {date}: {reason}.',
+                downloaded: 'Backup downloaded successfully!',
+                exportFailed: 'Failed to export backup. Please try again.',
+                notJson: 'This file is not valid JSON',
+                invalid: 'Invalid backup file: {reason}',
+                readFailed: 'Failed to read backup file. Please try again.',
+                empty: 'file is empty',
+                wrongApp: 'not a Hydration+ backup',
+                newerVersion: 'backup was made by a newer version of the app',
+                unknownDate: 'unknown date',
+                previewSummary: 'Backup from {date}: {profiles} profile(s), {days} day(s), {entries} entries.',
+                matchesProfile: 'matches an existing profile',
+                newProfile: 'new profile',
+                mergeLabel: 'Merge:',
+                mergePreview: 'adds {newProfiles} profile(s), {newDays} day(s) and {addedEntries} entries; skips {skippedEntries} duplicate entries. Existing settings are kept.',
+                replaceLabel: 'Replace:',
+                replacePreview: 'removes {profiles} profile(s) and {days} day(s) on this device and restores the backup exactly.',
+                restored: 'Backup restored successfully!',
+                merged: 'Backup merged: {addedEntries} entries added, {skippedEntries} duplicates skipped',
+                saveFailed: 'Failed to save imported data',
+                title: 'Your Data',
+                description: 'Your data is stored only in this browser. Download a backup to keep it safe or move it to another device.',
+                import: 'Import Backup',
+                quarantineTitle: 'Damaged Data Set Aside',
+                quarantineDownload: 'Download Set-Aside Data',
+                discard: 'Discard',
+                previewTitle: 'Import Preview',
+                merge: 'Merge',
+                replace: 'Replace',
+                export: 'Export Backup (JSON)',
+                quarantineRegion: 'Set-aside data',
+                previewRegion: 'Import preview'
+            },
+            report: {
+                libraryMissing: 'PDF library not loaded. Please refresh the page.',
+                calculateFirst: 'Please calculate your requirements first',
+                englishOnly: 'PDF reports are not available in this language yet, so this report is in English.',
+                generating: 'Generating PDF report...',
+                downloaded: 'Report downloaded successfully!',
+                failed: 'Failed to generate report. Please try again.',
+                title: 'Hydration+ Report',
+                subtitle: 'Personalized Water & Electrolyte Balance',
+                generated: 'Generated: {date}',
+                personalInfo: 'Personal Information',
+                weight: 'Weight: {weight}',
+                age: 'Age: {age} years',
+                gender: 'Gender: {gender}',
+                activityLevel: 'Activity Level: {level}',
+                exercise: 'Exercise: {minutes} min/day ({intensity} intensity)',
+                climate: 'Climate: {climate}',
+                altitude: 'Altitude: {altitude}',
+                sweatRate: 'Sweat Rate: {rate} (measured by sweat test)',
+                sweatSodium: 'Sweat Sodium: {concentration} mg/L ({source})',
+                dailyRequirements: 'Daily Requirements',
+                waterIntake: 'Water Intake',
+                fluidLimit: 'Daily Fluid Limit',
+                electrolytes: 'Electrolytes',
+                sodiumNote: 'Sodium: {note}',
+                sodiumReplacement: 'Replace {min}-{max} mg sodium per hour during sessions over 60 minutes.',
+                todayWater: 'Today\'s Water Tracking',
+                effectiveHydration: 'Effective hydration from {volume} of drinks (adjusted by beverage hydration index)',
+                todayLog: 'Today\'s Log ({count} entries):',
+                todayLogContinued: 'Today\'s Log (continued):',
+                logEntry: '{index}. {entry} at {time}{note}',
+                todayElectrolytes: 'Today\'s Electrolyte Tracking',
+                electrolyteLine: '{name}: {total} mg / {goal} mg ({percentage}%){alert}',
+                aboveLimit: ' - above safe limit',
+                nearLimit: ' - near safe limit',
+                recommendations: 'Personalized Recommendations',
+                recommendationsContinued: 'Recommendations (continued):',
+                fuelingPlan: 'Workout Fueling Plan',
+                fuelingPlanContinued: 'Workout Fueling Plan (continued):',
+                healthConsiderations: 'Health Considerations',
+                disclaimer: 'Medical Disclaimer: This report provides general hydration guidance only. Always consult with a healthcare provider for personalized medical advice, especially if you have health concerns.',
+                footer: 'Generated by Hydration+ | hydration-tracker.app',
+                pageNumber: 'Page {page} of {total}',
+                restriction: {
+                    title: 'FLUID RESTRICTION',
+                    fluid: 'Prescribed fluid limit: {limit} a day',
+                    sodium: 'Prescribed sodium limit: {limit} mg a day',
+                    today: 'Today: {used} used, {remaining} left',
+                    todayOver: 'Today: {used} used, {over} over the limit',
+                    daysOver: 'Days over the fluid limit: {over} of {logged} logged days'
+                },
+                period: {
+                    title: 'Hydration+ Period Report',
+                    range: '{start} to {end}',
+                    profile: 'Profile: {name}',
+                    summary: 'Summary',
+                    daysLogged: 'Days logged: {logged} of {days}',
+                    adherence: 'Goal met on {met} of {logged} logged days ({adherence}% adherence)',
+                    average: 'Average intake: {average} per logged day ({percentage}% of goal)',
+                    dayLine: '{date}: {total} ({percentage}%)',
+                    best: 'Best day: {day}',
+                    worst: 'Lowest day: {day}',
+                    safetyEvents: 'Overhydration alerts: {count}',
+                    dailyChart: 'Daily Intake vs. Goal',
+                    chartLegend: 'Green bars met the day\'s goal; the dark line on each bar marks the goal.',
+                    weekdayChart: 'Average Intake by Day of the Week',
+                    table: 'Daily Totals',
+                    tableContinued: 'Daily Totals (continued)',
+                    notLogged: 'Not logged',
+                    columns: {
+                        date: 'Date',
+                        intake: 'Intake',
+                        goal: 'Goal',
+                        percentage: '% of goal',
+                        drinks: 'Drinks'
+                    }
+                }
+            },
+            disclaimer: {
+                text: 'This tool provides general hydration guidance only. Always consult with a healthcare provider for personalized medical advice, especially if you have kidney disease, heart conditions, or other health concerns.',
+                title: 'Medical Disclaimer:'
+            }
+        }
+    };
+})();
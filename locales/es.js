@@ -0,0 +1,603 @@
+// Spanish messages
+(function() {
+    'use strict';
+
+    window.HydrationLocales = window.HydrationLocales || {};
+    window.HydrationLocales.es = {
+        meta: { name: 'Español', locale: 'es-ES', dir: 'ltr', pdf: true },
+        messages: {
+            app: {
+                title: 'Herramienta de equilibrio de agua y electrolitos'
+            },
+            header: {
+                subtitle: 'Calculadora personalizada de agua y electrolitos'
+            },
+            preferences: {
+                volumeUnit: 'Unidad de volumen',
+                units: {
+                    ml: 'Mililitros (ml)',
+                    l: 'Litros (L)',
+                    usFloz: 'Onzas líquidas EE. UU. (fl oz)',
+                    impFloz: 'Onzas líquidas imperiales (imp fl oz)',
+                    cup: 'Tazas (EE. UU., 8 fl oz)'
+                },
+                dayStart: 'El día empieza a las',
+                language: 'Idioma'
+            },
+            common: {
+                save: 'Guardar',
+                notAvailable: 'N/D',
+                notSpecified: 'Sin especificar',
+                measured: 'medida',
+                estimated: 'estimada',
+                cancel: 'Cancelar'
+            },
+            units: {
+                perDay: '{amount}/día',
+                perHour: '{amount}/hora'
+            },
+            volumeUnits: {
+                ml: '{amount} ml',
+                l: '{amount} L',
+                'us-floz': '{amount} fl oz',
+                'imp-floz': '{amount} fl oz imp.',
+                cup: '{amount} tazas'
+            },
+            toast: {
+                close: 'Cerrar notificación',
+                yes: 'Sí',
+                no: 'No'
+            },
+            storage: {
+                partlyRecovered: 'Algunos datos guardados estaban dañados y se han apartado. Todo lo demás se ha conservado.',
+                unreadable: 'No se pudieron leer los datos guardados y se han apartado. Puedes descargarlos desde "Tus datos".',
+                full: 'Se alcanzó el límite de almacenamiento. Borrando datos antiguos...'
+            },
+            validation: {
+                invalid: 'Introduce un número válido',
+                min: 'El valor mínimo es {limit}',
+                max: 'El valor máximo es {limit}',
+                select: 'Selecciona: {field}'
+            },
+            profile: {
+                switchFailed: 'No se pudo cambiar de perfil',
+                switched: 'Perfil cambiado a {name}',
+                newName: 'Nombre del nuevo perfil',
+                rename: 'Renombrar perfil',
+                nameRequired: 'Introduce un nombre de perfil',
+                nameTooLong: 'Máximo {max} caracteres',
+                nameTaken: 'Ya existe un perfil con este nombre',
+                createFailed: 'No se pudo crear el perfil',
+                created: 'Perfil "{name}" creado',
+                renamed: 'Perfil renombrado a "{name}"',
+                confirmDelete: '¿Eliminar el perfil "{name}" y todo su historial? Esta acción no se puede deshacer.',
+                lastProfile: 'No se puede eliminar el último perfil',
+                deleted: 'Perfil "{name}" eliminado',
+                label: 'Perfil',
+                newButton: 'Nuevo',
+                renameButton: 'Renombrar',
+                deleteButton: 'Eliminar',
+                saveButton: 'Guardar',
+                namePlaceholder: 'p. ej. Alex'
+            },
+            form: {
+                confirmClear: '¿Borrar todos los campos del formulario? Tus datos guardados no se eliminarán.',
+                cleared: 'Formulario borrado',
+                confirmReset: '¿Restablecer toda la configuración y borrar los datos guardados de "{name}"? Esta acción no se puede deshacer.',
+                resetDone: 'Se han restablecido toda la configuración y los datos',
+                title: 'Información personal',
+                weight: 'Peso',
+                age: 'Edad',
+                gender: 'Sexo',
+                select: 'Seleccionar',
+                activityLevel: 'Nivel de actividad',
+                activity: {
+                    sedentary: 'Sedentario (poco o ningún ejercicio)',
+                    light: 'Ligero (1-3 días/semana)',
+                    moderate: 'Moderado (3-5 días/semana)',
+                    active: 'Muy activo (6-7 días/semana)',
+                    athlete: 'Atleta (2 veces al día)'
+                },
+                exerciseDuration: 'Duración del ejercicio (min/día)',
+                exerciseIntensity: 'Intensidad del ejercicio',
+                intensity: {
+                    low: 'Baja',
+                    medium: 'Media',
+                    high: 'Alta'
+                },
+                sweatSodium: 'Sodio en el sudor',
+                sweatSodiumSource: {
+                    unknown: 'No lo sé (estimación estándar)',
+                    light: 'Sudor poco salado (~500 mg/L)',
+                    average: 'Sudor medio (~950 mg/L)',
+                    salty: 'Sudor salado, marcas blancas en la ropa (~1400 mg/L)',
+                    lab: 'Resultado de parche de laboratorio'
+                },
+                sweatSodiumConcentration: 'Sodio en el sudor (mg/L)',
+                climate: 'Clima',
+                climates: {
+                    cool: 'Fresco (< 15 °C / 59 °F)',
+                    moderate: 'Templado (15-25 °C / 59-77 °F)',
+                    hot: 'Caluroso (25-35 °C / 77-95 °F)',
+                    veryHot: 'Muy caluroso (> 35 °C / 95 °F)'
+                },
+                climateHint: 'Se usa cuando no se indica la temperatura',
+                temperature: 'Temperatura (opcional)',
+                humidity: 'Humedad % (opcional)',
+                altitude: 'Altitud',
+                altitudeDays: 'Días a esta altitud (opcional)',
+                altitudeDaysHint: 'Ayuda con los consejos de aclimatación por encima de 2500 m',
+                healthConditions: 'Condiciones de salud (opcional)',
+                illness: 'Enfermedad (fiebre/diarrea)',
+                fluidRestriction: 'Restricción de líquidos indicada por mi médico',
+                fluidRestrictionAmount: 'Límite diario de líquidos',
+                fluidRestrictionHint: 'Cada bebida cuenta completa, incluidas sopas y otros alimentos líquidos',
+                sodiumRestrictionAmount: 'Límite diario de sodio (mg, opcional)',
+                calculate: 'Calcular necesidades',
+                clear: 'Borrar formulario',
+                reset: 'Restablecer todos los datos',
+                altitudeDaysPlaceholder: 'p. ej. 2'
+            },
+            gender: {
+                male: 'Hombre',
+                female: 'Mujer',
+                other: 'Otro'
+            },
+            activity: {
+                sedentary: 'Sedentario',
+                light: 'Ligero',
+                moderate: 'Moderado',
+                active: 'Muy activo',
+                athlete: 'Atleta'
+            },
+            intensityName: {
+                low: 'baja',
+                medium: 'media',
+                high: 'alta'
+            },
+            climate: {
+                cool: 'Fresco (< 15 °C)',
+                moderate: 'Templado (15-25 °C)',
+                hot: 'Caluroso (25-35 °C)',
+                'very-hot': 'Muy caluroso (> 35 °C)'
+            },
+            weather: {
+                conditions: '{temperature} °C{humidity} (índice de calor {heatIndex} °C)',
+                humidity: ', {humidity} % de humedad',
+                feelsLike: 'Sensación térmica de {temperature}'
+            },
+            altitude: {
+                value: '{meters} m ({feet} ft){days}',
+                days: ', día {day} a esta altitud'
+            },
+            health: {
+                pregnant: 'Embarazo',
+                breastfeeding: 'Lactancia',
+                illness: 'Enfermedad',
+                kidneyDisease: 'Enfermedad renal'
+            },
+            sweatSodiumSource: {
+                lab: 'parche de laboratorio',
+                light: 'estimación de sudor poco salado',
+                average: 'estimación de sudor medio',
+                salty: 'estimación de sudor salado'
+            },
+            electrolytes: {
+                sodium: 'Sodio',
+                potassium: 'Potasio',
+                magnesium: 'Magnesio',
+                calcium: 'Calcio'
+            },
+            beverages: {
+                water: 'Agua',
+                coffee: 'Café',
+                tea: 'Té',
+                milk: 'Leche',
+                'sports-drink': 'Bebida deportiva',
+                juice: 'Zumo',
+                beer: 'Cerveza',
+                ors: 'Solución de rehidratación oral'
+            },
+            consistency: {
+                sedentaryExercise: 'Has seleccionado "Sedentario" pero indicas bastante ejercicio. Considera elegir un nivel de actividad más alto.',
+                childHighIntensity: 'El ejercicio de alta intensidad en menores de 12 años debe estar supervisado. Consulta con un pediatra.',
+                restrictionExercise: 'El ejercicio prolongado aumenta las pérdidas de líquido y sodio, y una restricción prescrita puede no tenerlas en cuenta. Pregunta a tu médico cómo actuar los días de entrenamiento.',
+                multipleConditions: 'Se han indicado varias condiciones de salud. Consulta con tu profesional sanitario para recibir una pauta de hidratación personalizada.'
+            },
+            results: {
+                aboutLiters: 'Unos {amount}',
+                aboutCups: 'Unas {cups} tazas ({cup} cada una)',
+                calculated: '¡Necesidades calculadas!',
+                sodiumStandard: 'La parte del ejercicio usa la estimación estándar de {amount} mg de sodio por hora de sudoración.',
+                sodiumSource: 'Incluye ~{loss} mg de pérdida por ejercicio: {concentration} mg/L ({source}) a {rate} ({rateSource}).',
+                title: 'Tus necesidades diarias',
+                water: 'Consumo de agua',
+                perDay: '/día',
+                download: 'Descargar informe (PDF)'
+            },
+            recommendations: {
+                distribute: 'Reparte tus {water} a lo largo del día. Procura beber {perDrink} cada 1-2 horas mientras estés despierto.',
+                highWater: 'Consumo de agua elevado. Vigila el equilibrio de electrolitos. Considera bebidas deportivas o suplementos de electrolitos durante el ejercicio intenso.',
+                fluidRestriction: 'Sigues una restricción de líquidos prescrita de {limit} al día, que incluye todas las bebidas y los alimentos líquidos como la sopa. Repártela a lo largo del día y avisa a tu equipo médico si aumentas de peso de repente, notas hinchazón o te falta el aire.',
+                sodiumRestriction: 'Mantén el sodio por debajo de los {limit} mg diarios prescritos. La sal da sed, y eso hace más difícil respetar un límite de líquidos.',
+                kidneyCap: 'Has indicado enfermedad renal. El consumo de agua se ha limitado a {cap}. Consulta con tu profesional sanitario para recibir una pauta personalizada.',
+                measuredSweatRate: 'El líquido para el ejercicio se basa en tu tasa de sudoración medida de {sweatRate}/hora. Repite la prueba de sudoración cuando cambie la estación o tu entrenamiento.',
+                sweatSodium: 'Un sodio en el sudor de {concentration} mg/L ({sourceLabel}) con tu tasa de sudoración {rateSource} de {sweatRate}/hora supone perder unos {hourlyLoss} mg de sodio por hora de ejercicio ({sessionLoss} mg por sesión).',
+                sodiumReplacement: 'En sesiones de más de 60 minutos, repón {min}-{max} mg de sodio por hora con bebidas de electrolitos, pastillas o tentempiés salados, y sala la comida posterior al ejercicio.',
+                longExercise: 'En ejercicios de más de 60 minutos, bebe según un horario en lugar de por sed e incluye sodio. Sigue tu plan de hidratación para el entrenamiento.',
+                veryHighAltitude: 'A {altitude} m estás a una altitud muy elevada. La sed y el apetito disminuyen, así que bebe según un horario y sigue tomando alimentos salados. Dolor de cabeza, náuseas, falta de aliento en reposo o confusión pueden indicar mal de altura: deja de ascender y desciende si los síntomas empeoran.',
+                highAltitude: 'A {altitude} m, el aire seco y la respiración más rápida aumentan la pérdida de líquidos. Por encima de 3000 m, no subas la altitud a la que duermes más de 300-500 m al día y descansa un día cada 3-4 días.',
+                altitude: 'A {altitude} m el aire es más seco y pierdes más agua al respirar. Una orina de color amarillo pálido indica que bebes lo suficiente.',
+                acclimatizing: 'Día {day} en altitud: tu cuerpo aún se está aclimatando y elimina más orina de lo habitual. Sigue bebiendo aunque no tengas sed, evita el alcohol y modera el ejercicio hasta el día {untilDay}.',
+                heatDanger: 'Índice de calor de {heatIndex} °C: el agotamiento por calor y el golpe de calor son probables con actividad prolongada. Haz ejercicio en las horas más frescas, descansa a la sombra y bebe antes de tener sed.',
+                humidity: 'La humedad hace que {temperature} °C se sientan como {heatIndex} °C. El sudor se evapora mal con aire húmedo, así que pierdes más líquido del que sugiere la temperatura.',
+                hotClimate: 'Clima caluroso. Vigila los signos de deshidratación: orina oscura, mareo, cansancio. Aumenta el consumo si es necesario.',
+                highSodium: 'Necesidad de sodio elevada por el ejercicio o el clima. Buenas fuentes: bebidas deportivas, frutos secos salados, encurtidos, caldo.',
+                potassiumSources: 'Fuentes de potasio: plátanos, boniatos, espinacas, aguacate, legumbres. Objetivo: {target} mg/día.',
+                magnesiumSources: 'Fuentes de magnesio: almendras, espinacas, alubias negras, chocolate negro, pipas de calabaza. Objetivo: {target} mg/día.'
+            },
+            fueling: {
+                beforeWhen: '{hours} h antes',
+                before: 'Bebe {volume} ({min}-{max} ml/kg)',
+                beforeWithSodium: 'Bebe {volume} ({min}-{max} ml/kg) y toma un tentempié salado (~{sodium} mg de sodio)',
+                duringWhen: '{minute} min',
+                during: 'Bebe {volume}',
+                duringWithSodium: 'Bebe {volume} con ~{sodium} mg de sodio',
+                afterWhen: 'Después',
+                after: 'Bebe {volume} durante {min}-{max} horas (comida salada o bebida de electrolitos)',
+                afterWithSodium: 'Bebe {volume} durante {min}-{max} horas con ~{sodium} mg de sodio (comida salada o bebida de electrolitos)',
+                afterNone: 'No necesitas más líquido que tu consumo habitual',
+                afterNoneWithSodium: 'No necesitas más líquido que tu consumo habitual, con ~{sodium} mg de sodio',
+                summary: 'En {duration} min a intensidad {intensity} pierdes unos {sweatLoss} de sudor ({rate}, {rateSource}) y {sodium} mg de sodio.',
+                bodyMassWarning: 'Incluso con este plan terminas con un {loss} % menos de peso corporal; bebe un poco más durante la sesión si tu estómago lo tolera.',
+                title: 'Plan de hidratación para el entrenamiento'
+            },
+            sweat: {
+                weightsRequired: 'Introduce tu peso antes y después del ejercicio',
+                durationRange: 'Introduce una duración del ejercicio entre {min} y {max} minutos',
+                fluidTooLarge: 'Las cantidades de líquido y orina parecen demasiado grandes. Máximo {max} cada una',
+                implausible: 'Con estos datos la tasa de sudoración sería de {rate}, fuera del rango plausible de {min}-{max}. Revisa los pesos y las cantidades.',
+                saved: 'Tasa de sudoración de {rate} guardada. Vuelve a calcular para actualizar tus necesidades.',
+                confirmDelete: '¿Eliminar esta prueba de sudoración?',
+                deleted: 'Prueba de sudoración eliminada',
+                noTestsSummary: 'Aún no hay pruebas. Las necesidades del ejercicio se estiman en {rate}, ajustadas a la intensidad.',
+                noTests: 'Aún no hay pruebas de sudoración.',
+                summaryOne: 'Tu tasa de sudoración: {rate} (de tu última prueba, con preferencia por sesiones de intensidad {intensity}). Sustituye a la estimación genérica en tu cálculo.',
+                summaryMany: 'Tu tasa de sudoración: {rate} (media de tus últimas {count} pruebas, con preferencia por sesiones de intensidad {intensity}). Sustituye a la estimación genérica en tu cálculo.',
+                testDetails: '{date} · {duration} min, intensidad {intensity}, {climate} · {change} % de masa corporal',
+                deleteTest: 'Eliminar prueba de sudoración',
+                title: 'Prueba de sudoración',
+                description: 'Pésate sin ropa justo antes y después de un entrenamiento de aproximadamente una hora, sécate antes con una toalla y anota lo que bebiste y la orina eliminada. Tu tasa de sudoración medida sustituye a la estimación genérica del ejercicio.',
+                duration: 'Duración (min)',
+                intensity: 'Intensidad',
+                conditions: 'Condiciones',
+                date: 'Fecha',
+                save: 'Guardar prueba',
+                weightBefore: 'Peso antes',
+                weightAfter: 'Peso después',
+                fluid: 'Líquido bebido',
+                urine: 'Orina eliminada'
+            },
+            tracker: {
+                newDay: 'Ha empezado un nuevo día. El registro de hoy está listo.',
+                noElectrolytes: 'Aún no hay registros de electrolitos.',
+                noWorkouts: 'Hoy no hay entrenamientos registrados.',
+                workoutEntry: 'Entrenamiento de {minutes} min',
+                workoutAdded: 'Entrenamiento de {minutes} min registrado',
+                invalidWorkout: 'Introduce una duración de entrenamiento de 1 a {max} minutos',
+                deleteEntry: 'Eliminar registro',
+                electrolytesAdded: 'Electrolitos añadidos',
+                entryDeleted: 'Registro eliminado',
+                alertExceeded: 'El consumo de {name} ({total} mg) supera el límite seguro de {danger} mg. Evita tomar más {name} hoy.',
+                alertNear: 'El consumo de {name} ({total} mg) se acerca al límite seguro de {danger} mg.',
+                confirmReset: '¿Seguro que quieres restablecer el registro de hoy?',
+                resetDone: 'Registro restablecido',
+                quickAdd: '{size} de {beverage} ({amount})',
+                invalidAmount: 'Introduce una cantidad válida',
+                amountTooLarge: 'La cantidad parece demasiado grande. Máximo {max} por registro',
+                electrolyteInvalid: 'Introduce una cantidad válida de {name}',
+                electrolyteRequired: 'Introduce al menos una cantidad de electrolitos',
+                electrolyteTooLarge: 'La cantidad parece demasiado grande. Máximo {max} mg de {name} por registro',
+                added: 'Añadido: {amount} de {beverage}',
+                goalReached: '¡Enhorabuena! ¡Has alcanzado tu objetivo diario de agua!',
+                effectiveFrom: 'Hidratación efectiva de {volume} de bebidas',
+                countsAs: 'cuenta como {amount}',
+                noWater: 'Aún no hay registros de agua. ¡Añade el primero!',
+                electrolyteProgress: '{total} / {goal} mg',
+                sizes: {
+                    glass: 'Vaso',
+                    bottle: 'Botella',
+                    largeBottle: 'Botella grande'
+                },
+                title: 'Registro de hoy',
+                progress: 'Progreso de hidratación',
+                electrolyteProgressTitle: 'Progreso de electrolitos',
+                addDrink: 'Añadir bebida',
+                add: 'Añadir',
+                addElectrolytes: 'Añadir electrolitos',
+                sodiumMg: 'Sodio (mg)',
+                potassiumMg: 'Potasio (mg)',
+                magnesiumMg: 'Magnesio (mg)',
+                calciumMg: 'Calcio (mg)',
+                addElectrolytesButton: 'Añadir electrolitos',
+                log: 'Registro de hoy',
+                electrolyteLog: 'Registro de electrolitos',
+                logWorkout: 'Registrar un entrenamiento',
+                workoutLength: 'Duración del entrenamiento',
+                minutesUnit: 'min',
+                workoutStart: 'Hora de inicio, déjala vacía si acabas de terminar',
+                workoutLog: 'Registro de entrenamientos',
+                reset: 'Restablecer el registro de hoy',
+                progressLabels: {
+                    sodium: 'Progreso de sodio',
+                    potassium: 'Progreso de potasio',
+                    magnesium: 'Progreso de magnesio',
+                    calcium: 'Progreso de calcio'
+                },
+                beverage: 'Bebida',
+                chart: {
+                    title: 'Consumo a lo largo del día',
+                    label: 'Consumo acumulado de hoy frente a un ritmo constante y el objetivo',
+                    intake: 'Tu consumo',
+                    pace: 'Ritmo constante',
+                    goal: 'Objetivo',
+                    entry: '{time}: {entry}, {total} en total',
+                    summary: 'Bebidas registradas: {count}. {total} de {goal}. Pasa el cursor o enfoca un punto para ver los detalles.'
+                },
+                pace: {
+                    notStarted: 'Tu día empieza a las {wake}. El ritmo se sigue desde que te levantas.',
+                    onTrack: 'Vas a buen ritmo: se esperan unos {expected} a esta hora.',
+                    ahead: 'Vas {difference} por delante ({expected} esperados a esta hora).',
+                    behind: 'Vas {difference} por detrás ({expected} esperados a esta hora).',
+                    done: 'Objetivo alcanzado. No hace falta mantener el ritmo el resto del día.',
+                    window: 'El ritmo sigue tus horas de vigilia ({wake}-{sleep}), que se ajustan en «Recordatorios y horario».',
+                    catchUp: 'Para recuperar, bebe unos {perDrink} cada {interval} minutos durante las próximas {hours} horas en lugar de mucho de golpe.',
+                    partial: 'El resto puede esperar: beber más de {max} es demasiado para tu cuerpo.',
+                    tooLate: 'Tu día ya casi ha terminado, así que no intentes recuperar la diferencia ahora. Mañana empiezas de nuevo.',
+                    atLimit: 'Mantener el ritmo ya requiere unos {rate}, igual o más que el ritmo seguro, así que no intentes recuperar la diferencia hoy.'
+                }
+            },
+            entries: {
+                edit: 'Editar registro',
+                amount: 'Cantidad',
+                time: 'Hora',
+                timeOptional: 'Hora, déjala vacía para ahora',
+                addToDay: 'Añadir una bebida a este día',
+                added: 'Añadido: {amount} a las {time}',
+                updated: 'Registro actualizado',
+                undo: 'Deshacer',
+                undone: 'Cambio deshecho',
+                timeRequired: 'Introduce una hora',
+                futureTime: 'Esa hora todavía no ha llegado'
+            },
+            containers: {
+                title: 'Tus recipientes',
+                manage: 'Editar recipientes',
+                addTitle: 'Añadir un recipiente',
+                namePlaceholder: 'Nombre, p. ej. Taza de la oficina',
+                volume: 'Volumen',
+                icon: 'Icono',
+                noIcon: 'Sin icono',
+                anyBeverage: 'Bebida seleccionada',
+                add: 'Añadir recipiente',
+                quickAdd: '{name} ({amount})',
+                quickAddWithBeverage: '{name}: {beverage} ({amount})',
+                moveUp: 'Subir {name}',
+                moveDown: 'Bajar {name}',
+                delete: 'Eliminar {name}',
+                none: 'Aún no hay recipientes. Añade uno en Editar recipientes.',
+                added: '{name} añadido',
+                deleted: '{name} eliminado',
+                nameInvalid: 'Introduce un nombre de hasta {max} caracteres',
+                tooMany: 'Puedes tener hasta {max} recipientes',
+                icons: {
+                    glass: 'Vaso',
+                    mug: 'Taza',
+                    teacup: 'Taza de té',
+                    cup: 'Vaso con pajita',
+                    bottle: 'Botella',
+                    carton: 'Cartón',
+                    can: 'Lata'
+                }
+            },
+            safety: {
+                rateCaution: 'Has tomado {amount} en la última hora, cerca de los {limit} que tus riñones pueden eliminar. Bebe más despacio durante un rato.',
+                rateWarning: '{amount} en la última hora supera los {limit} que tus riñones pueden eliminar. Deja de beber por ahora: beber tan rápido puede diluir el sodio en sangre.',
+                rateDanger: '{amount} en la última hora está muy por encima de los {limit} seguros. Deja de beber ya. Dolor de cabeza, náuseas, vómitos o confusión pueden indicar hiponatremia: busca ayuda médica.',
+                sodiumFreeWater: '{amount} durante tu entrenamiento de {minutes} minutos con solo {sodium} mg de sodio. Añade una bebida con electrolitos o un tentempié salado para no diluir el sodio en sangre.',
+                recorded: 'Alertas registradas hoy: {count}'
+            },
+            restriction: {
+                progressLabel: 'Límite de líquidos consumido',
+                remaining: 'Quedan {amount} del límite de líquidos de hoy',
+                reached: 'Has agotado el límite de líquidos de hoy',
+                exceeded: '{amount} por encima del límite de líquidos de hoy',
+                confirmExceed: 'Esta bebida te deja {amount} por encima de tu límite prescrito de {limit} al día. ¿Registrarla de todos modos?',
+                nearToast: 'Solo quedan {amount} del límite de líquidos de hoy. Bebe a sorbos pequeños y repártelo.',
+                reachedToast: 'Has alcanzado el límite de líquidos de hoy de {limit}.',
+                exceededToast: 'Hoy llevas {amount} por encima de tu límite de líquidos de {limit}. Avisa a tu equipo médico si ocurre a menudo.',
+                sodiumExceeded: 'El sodio de hoy ({total} mg) supera tu límite prescrito de {limit} mg.'
+            },
+            history: {
+                percentOfGoal: '{percentage} % del objetivo',
+                daysOnGoal: '{met} de {logged} días registrados en objetivo',
+                showDay: 'Ver registros del {date}',
+                daySummary: '{total} de {goal} ({percentage} %) en {entries} registros',
+                noEntries: 'No hay registros de este día.',
+                title: 'Historial',
+                last7: 'Últimos 7 días',
+                last30: 'Últimos 30 días',
+                dailyTotals: 'Totales diarios',
+                close: 'Cerrar',
+                reports: 'Informes y exportaciones',
+                from: 'Desde',
+                to: 'Hasta',
+                downloadReport: 'Descargar informe PDF',
+                exportEntries: 'Exportar registros (CSV)',
+                exportDaily: 'Exportar totales diarios (CSV)',
+                csvDownloaded: 'Archivo CSV descargado',
+                csvFailed: 'No se pudo exportar el CSV. Inténtalo de nuevo.',
+                invalidRange: 'Elige una fecha de inicio igual o anterior a la de fin',
+                rangeTooLong: 'Un informe puede abarcar hasta {days} días',
+                noDaysInRange: 'No hay días registrados en este periodo'
+            },
+            reminders: {
+                sameTimes: 'Introduce horas distintas para despertarte y dormir',
+                unsupported: 'Este navegador no admite notificaciones',
+                blocked: 'Las notificaciones están bloqueadas. Permítelas en la configuración del navegador para recibir recordatorios.',
+                blockedStatus: 'Las notificaciones están bloqueadas para este sitio. Permítelas en la configuración del navegador para usar los recordatorios.',
+                quietNote: 'No hay recordatorios fuera de tus horas de vigilia ni una vez alcanzado el objetivo del día.',
+                drinkNow: 'Hora de beber. Te faltan {remaining} hoy ({percentage} % de tu objetivo).',
+                behindPace: 'Vas unos {behind} por detrás del ritmo. Un vaso ahora te pone al día.',
+                drinkWithinLimit: 'Hora de un trago pequeño. Quedan {remaining} del límite de líquidos de hoy ({percentage} % consumido).',
+                restrictedPace: 'Los recordatorios de ritmo están desactivados mientras haya una restricción de líquidos.',
+                title: 'Recordatorio de hidratación',
+                turnedOn: 'Recordatorios activados',
+                turnedOff: 'Recordatorios desactivados',
+                mode: {
+                    interval: 'Te avisa cuando no registras una bebida en {interval} minutos.',
+                    waking: 'Reparte {count} recordatorios por igual entre las {wake} y las {sleep}.',
+                    pace: 'Solo te avisa cuando vas por detrás del ritmo necesario para alcanzar tu objetivo a las {sleep}.'
+                },
+                sectionTitle: 'Recordatorios y horario',
+                enable: 'Enviar recordatorios para beber',
+                modeLabel: 'Recordarme',
+                modes: {
+                    interval: 'A intervalos fijos',
+                    waking: 'Repartidos en mis horas de vigilia',
+                    pace: 'Solo cuando voy por detrás del ritmo'
+                },
+                every: 'Cada',
+                intervals: {
+                    '30': '30 minutos',
+                    '45': '45 minutos',
+                    '60': '1 hora',
+                    '90': '1,5 horas',
+                    '120': '2 horas'
+                },
+                perDay: 'Recordatorios al día',
+                wake: 'Despertar',
+                sleep: 'Acostarse'
+            },
+            backup: {
+                confirmReplace: '¿Sustituir todos los perfiles y el historial de este dispositivo por la copia de seguridad? Esta acción no se puede deshacer.',
+                confirmDiscard: '¿Descartar definitivamente los datos apartados?',
+                discarded: 'Datos apartados descartados',
+                quarantineSummary: '{count} copia(s) de datos dañados apartada(s). La más reciente del {date}: {reason}.',
+                downloaded: '¡Copia de seguridad descargada!',
+                exportFailed: 'No se pudo exportar la copia de seguridad. Inténtalo de nuevo.',
+                notJson: 'Este archivo no es un JSON válido',
+                invalid: 'Copia de seguridad no válida: {reason}',
+                readFailed: 'No se pudo leer la copia de seguridad. Inténtalo de nuevo.',
+                empty: 'el archivo está vacío',
+                wrongApp: 'no es una copia de seguridad de Hydration+',
+                newerVersion: 'la copia se hizo con una versión más reciente de la aplicación',
+                unknownDate: 'fecha desconocida',
+                previewSummary: 'Copia del {date}: {profiles} perfil(es), {days} día(s), {entries} registros.',
+                matchesProfile: 'coincide con un perfil existente',
+                newProfile: 'perfil nuevo',
+                mergeLabel: 'Combinar:',
+                mergePreview: 'añade {newProfiles} perfil(es), {newDays} día(s) y {addedEntries} registros; omite {skippedEntries} registros duplicados. Se conserva la configuración actual.',
+                replaceLabel: 'Sustituir:',
+                replacePreview: 'elimina {profiles} perfil(es) y {days} día(s) de este dispositivo y restaura la copia tal cual.',
+                restored: '¡Copia de seguridad restaurada!',
+                merged: 'Copia combinada: {addedEntries} registros añadidos, {skippedEntries} duplicados omitidos',
+                saveFailed: 'No se pudieron guardar los datos importados',
+                title: 'Tus datos',
+                description: 'Tus datos solo se guardan en este navegador. Descarga una copia de seguridad para protegerlos o pasarlos a otro dispositivo.',
+                import: 'Importar copia',
+                quarantineTitle: 'Datos dañados apartados',
+                quarantineDownload: 'Descargar datos apartados',
+                discard: 'Descartar',
+                previewTitle: 'Vista previa de la importación',
+                merge: 'Combinar',
+                replace: 'Sustituir',
+                export: 'Exportar copia (JSON)',
+                quarantineRegion: 'Datos apartados',
+                previewRegion: 'Vista previa de la importación'
+            },
+            report: {
+                libraryMissing: 'La biblioteca PDF no se ha cargado. Recarga la página.',
+                calculateFirst: 'Primero calcula tus necesidades',
+                englishOnly: 'Los informes PDF aún no están disponibles en este idioma, así que este informe está en inglés.',
+                generating: 'Generando informe PDF...',
+                downloaded: '¡Informe descargado!',
+                failed: 'No se pudo generar el informe. Inténtalo de nuevo.',
+                title: 'Informe Hydration+',
+                subtitle: 'Equilibrio personalizado de agua y electrolitos',
+                generated: 'Generado: {date}',
+                personalInfo: 'Información personal',
+                weight: 'Peso: {weight}',
+                age: 'Edad: {age} años',
+                gender: 'Sexo: {gender}',
+                activityLevel: 'Nivel de actividad: {level}',
+                exercise: 'Ejercicio: {minutes} min/día (intensidad {intensity})',
+                climate: 'Clima: {climate}',
+                altitude: 'Altitud: {altitude}',
+                sweatRate: 'Tasa de sudoración: {rate} (medida con prueba de sudoración)',
+                sweatSodium: 'Sodio en el sudor: {concentration} mg/L ({source})',
+                dailyRequirements: 'Necesidades diarias',
+                waterIntake: 'Consumo de agua',
+                fluidLimit: 'Límite diario de líquidos',
+                electrolytes: 'Electrolitos',
+                sodiumNote: 'Sodio: {note}',
+                sodiumReplacement: 'Repón {min}-{max} mg de sodio por hora en sesiones de más de 60 minutos.',
+                todayWater: 'Registro de agua de hoy',
+                effectiveHydration: 'Hidratación efectiva de {volume} de bebidas (ajustada por el índice de hidratación de cada bebida)',
+                todayLog: 'Registro de hoy ({count} registros):',
+                todayLogContinued: 'Registro de hoy (continuación):',
+                logEntry: '{index}. {entry} a las {time}{note}',
+                todayElectrolytes: 'Registro de electrolitos de hoy',
+                electrolyteLine: '{name}: {total} mg / {goal} mg ({percentage} %){alert}',
+                aboveLimit: ' - por encima del límite seguro',
+                nearLimit: ' - cerca del límite seguro',
+                recommendations: 'Recomendaciones personalizadas',
+                recommendationsContinued: 'Recomendaciones (continuación):',
+                fuelingPlan: 'Plan de hidratación para el entrenamiento',
+                fuelingPlanContinued: 'Plan de hidratación para el entrenamiento (continuación):',
+                healthConsiderations: 'Consideraciones de salud',
+                disclaimer: 'Aviso médico: este informe ofrece solo orientación general sobre hidratación. Consulta siempre con un profesional sanitario para recibir consejo médico personalizado, sobre todo si tienes problemas de salud.',
+                footer: 'Generado por Hydration+ | hydration-tracker.app',
+                pageNumber: 'Página {page} de {total}',
+                restriction: {
+                    title: 'RESTRICCIÓN DE LÍQUIDOS',
+                    fluid: 'Límite de líquidos prescrito: {limit} al día',
+                    sodium: 'Límite de sodio prescrito: {limit} mg al día',
+                    today: 'Hoy: {used} consumidos, quedan {remaining}',
+                    todayOver: 'Hoy: {used} consumidos, {over} por encima del límite',
+                    daysOver: 'Días por encima del límite de líquidos: {over} de {logged} días registrados'
+                },
+                period: {
+                    title: 'Informe de periodo Hydration+',
+                    range: 'Del {start} al {end}',
+                    profile: 'Perfil: {name}',
+                    summary: 'Resumen',
+                    daysLogged: 'Días registrados: {logged} de {days}',
+                    adherence: 'Objetivo cumplido {met} de {logged} días registrados ({adherence}% de cumplimiento)',
+                    average: 'Consumo medio: {average} por día registrado ({percentage}% del objetivo)',
+                    dayLine: '{date}: {total} ({percentage}%)',
+                    best: 'Mejor día: {day}',
+                    worst: 'Día más bajo: {day}',
+                    safetyEvents: 'Alertas de sobrehidratación: {count}',
+                    dailyChart: 'Consumo diario frente al objetivo',
+                    chartLegend: 'Las barras verdes alcanzaron el objetivo del día; la línea oscura de cada barra marca el objetivo.',
+                    weekdayChart: 'Consumo medio por día de la semana',
+                    table: 'Totales diarios',
+                    tableContinued: 'Totales diarios (continuación)',
+                    notLogged: 'Sin registro',
+                    columns: {
+                        date: 'Fecha',
+                        intake: 'Consumo',
+                        goal: 'Objetivo',
+                        percentage: '% del objetivo',
+                        drinks: 'Bebidas'
+                    }
+                }
+            },
+            disclaimer: {
+                text: 'Esta herramienta ofrece solo orientación general sobre hidratación. Consulta siempre con un profesional sanitario para recibir consejo médico personalizado, sobre todo si tienes enfermedad renal, problemas cardíacos u otros problemas de salud.',
+                title: 'Aviso médico:'
+            }
+        }
+    };
+})();
@@ -0,0 +1,534 @@
+// Hindi messages. PDF reports stay in English (jsPDF's built-in fonts have no
+// Devanagari), so the report body strings are not translated here.
+(function() {
+    'use strict';
+
+    window.HydrationLocales = window.HydrationLocales || {};
+    window.HydrationLocales.hi = {
+        meta: { name: 'हिन्दी', locale: 'hi-IN', dir: 'ltr', pdf: false },
+        messages: {
+            app: {
+                title: 'पानी + इलेक्ट्रोलाइट संतुलन टूल'
+            },
+            header: {
+                subtitle: 'व्यक्तिगत पानी और इलेक्ट्रोलाइट संतुलन कैलकुलेटर'
+            },
+            preferences: {
+                volumeUnit: 'मात्रा की इकाई',
+                units: {
+                    ml: 'मिलीलीटर (ml)',
+                    l: 'लीटर (L)',
+                    usFloz: 'US फ़्लूइड आउंस (fl oz)',
+                    impFloz: 'इंपीरियल फ़्लूइड आउंस (imp fl oz)',
+                    cup: 'कप (US, 8 fl oz)'
+                },
+                dayStart: 'दिन शुरू होता है',
+                language: 'भाषा'
+            },
+            common: {
+                save: 'सहेजें',
+                notAvailable: 'उपलब्ध नहीं',
+                notSpecified: 'नहीं बताया गया',
+                measured: 'मापी गई',
+                estimated: 'अनुमानित',
+                cancel: 'रद्द करें'
+            },
+            units: {
+                perDay: '{amount}/दिन',
+                perHour: '{amount}/घंटा'
+            },
+            volumeUnits: {
+                ml: '{amount} ml',
+                l: '{amount} L',
+                'us-floz': '{amount} fl oz',
+                'imp-floz': '{amount} imp fl oz',
+                cup: '{amount} कप'
+            },
+            toast: {
+                close: 'सूचना बंद करें',
+                yes: 'हाँ',
+                no: 'नहीं'
+            },
+            storage: {
+                partlyRecovered: 'कुछ सहेजा गया डेटा खराब था और उसे अलग रख दिया गया है। बाकी सब कुछ सुरक्षित है।',
+                unreadable: 'सहेजा गया डेटा पढ़ा नहीं जा सका और उसे अलग रख दिया गया है। आप इसे "आपका डेटा" से डाउनलोड कर सकते हैं।',
+                full: 'स्टोरेज की सीमा पूरी हो गई। पुराना डेटा हटाया जा रहा है...'
+            },
+            validation: {
+                invalid: 'कृपया मान्य संख्या दर्ज करें',
+                min: 'न्यूनतम मान {limit} है',
+                max: 'अधिकतम मान {limit} है',
+                select: 'कृपया चुनें: {field}'
+            },
+            profile: {
+                switchFailed: 'प्रोफ़ाइल नहीं बदली जा सकी',
+                switched: '{name} पर बदला गया',
+                newName: 'नई प्रोफ़ाइल का नाम',
+                rename: 'प्रोफ़ाइल का नाम बदलें',
+                nameRequired: 'कृपया प्रोफ़ाइल का नाम दर्ज करें',
+                nameTooLong: 'अधिकतम {max} अक्षर',
+                nameTaken: 'इस नाम की प्रोफ़ाइल पहले से मौजूद है',
+                createFailed: 'प्रोफ़ाइल नहीं बनाई जा सकी',
+                created: 'प्रोफ़ाइल "{name}" बनाई गई',
+                renamed: 'प्रोफ़ाइल का नाम बदलकर "{name}" किया गया',
+                confirmDelete: 'प्रोफ़ाइल "{name}" और उसका पूरा ट्रैकिंग इतिहास हटाएँ? यह कार्रवाई वापस नहीं ली जा सकती।',
+                lastProfile: 'आख़िरी प्रोफ़ाइल हटाई नहीं जा सकती',
+                deleted: 'प्रोफ़ाइल "{name}" हटाई गई',
+                label: 'प्रोफ़ाइल',
+                newButton: 'नई',
+                renameButton: 'नाम बदलें',
+                deleteButton: 'हटाएँ',
+                saveButton: 'सहेजें',
+                namePlaceholder: 'जैसे: आरव'
+            },
+            form: {
+                confirmClear: 'फ़ॉर्म के सभी इनपुट साफ़ करें? इससे आपका सहेजा गया डेटा नहीं हटेगा।',
+                cleared: 'फ़ॉर्म साफ़ किया गया',
+                confirmReset: '"{name}" की सभी सेटिंग्स रीसेट करें और सहेजा गया डेटा हटाएँ? यह कार्रवाई वापस नहीं ली जा सकती।',
+                resetDone: 'सभी सेटिंग्स और डेटा रीसेट कर दिए गए',
+                title: 'व्यक्तिगत जानकारी',
+                weight: 'वज़न',
+                age: 'उम्र',
+                gender: 'लिंग',
+                select: 'चुनें',
+                activityLevel: 'गतिविधि स्तर',
+                activity: {
+                    sedentary: 'निष्क्रिय (बहुत कम/कोई व्यायाम नहीं)',
+                    light: 'हल्का (सप्ताह में 1-3 दिन)',
+                    moderate: 'मध्यम (सप्ताह में 3-5 दिन)',
+                    active: 'बहुत सक्रिय (सप्ताह में 6-7 दिन)',
+                    athlete: 'एथलीट (दिन में 2 बार)'
+                },
+                exerciseDuration: 'व्यायाम की अवधि (मिनट/दिन)',
+                exerciseIntensity: 'व्यायाम की तीव्रता',
+                intensity: {
+                    low: 'कम',
+                    medium: 'मध्यम',
+                    high: 'अधिक'
+                },
+                sweatSodium: 'पसीने में सोडियम',
+                sweatSodiumSource: {
+                    unknown: 'पता नहीं (मानक अनुमान)',
+                    light: 'कम नमकीन पसीना (~500 mg/L)',
+                    average: 'औसत पसीना (~950 mg/L)',
+                    salty: 'नमकीन पसीना, कपड़ों पर सफ़ेद निशान (~1400 mg/L)',
+                    lab: 'लैब पैच टेस्ट का परिणाम'
+                },
+                sweatSodiumConcentration: 'पसीने में सोडियम (mg/L)',
+                climate: 'जलवायु',
+                climates: {
+                    cool: 'ठंडी (< 15°C / 59°F)',
+                    moderate: 'सामान्य (15-25°C / 59-77°F)',
+                    hot: 'गर्म (25-35°C / 77-95°F)',
+                    veryHot: 'बहुत गर्म (> 35°C / 95°F)'
+                },
+                climateHint: 'जब तापमान दर्ज न हो तब इस्तेमाल होता है',
+                temperature: 'तापमान (वैकल्पिक)',
+                humidity: 'नमी % (वैकल्पिक)',
+                altitude: 'ऊँचाई',
+                altitudeDays: 'इस ऊँचाई पर दिन (वैकल्पिक)',
+                altitudeDaysHint: '2,500m से ऊपर अनुकूलन की सलाह में मदद करता है',
+                healthConditions: 'स्वास्थ्य स्थितियाँ (वैकल्पिक)',
+                illness: 'बीमारी (बुख़ार/दस्त)',
+                fluidRestriction: 'मेरे डॉक्टर द्वारा तय तरल सीमा',
+                fluidRestrictionAmount: 'दैनिक तरल सीमा',
+                fluidRestrictionHint: 'हर पेय पूरा गिना जाता है, सूप और अन्य तरल भोजन भी',
+                sodiumRestrictionAmount: 'दैनिक सोडियम सीमा (mg, वैकल्पिक)',
+                calculate: 'ज़रूरतें गणना करें',
+                clear: 'फ़ॉर्म साफ़ करें',
+                reset: 'सारा डेटा रीसेट करें',
+                altitudeDaysPlaceholder: 'जैसे: 2'
+            },
+            gender: {
+                male: 'पुरुष',
+                female: 'महिला',
+                other: 'अन्य'
+            },
+            activity: {
+                sedentary: 'निष्क्रिय',
+                light: 'हल्का',
+                moderate: 'मध्यम',
+                active: 'बहुत सक्रिय',
+                athlete: 'एथलीट'
+            },
+            intensityName: {
+                low: 'कम',
+                medium: 'मध्यम',
+                high: 'अधिक'
+            },
+            climate: {
+                cool: 'ठंडी (< 15°C)',
+                moderate: 'सामान्य (15-25°C)',
+                hot: 'गर्म (25-35°C)',
+                'very-hot': 'बहुत गर्म (> 35°C)'
+            },
+            weather: {
+                conditions: '{temperature}°C{humidity} (हीट इंडेक्स {heatIndex}°C)',
+                humidity: ', {humidity}% नमी',
+                feelsLike: 'महसूस होता है {temperature}'
+            },
+            altitude: {
+                value: '{meters} m ({feet} ft){days}',
+                days: ', इस ऊँचाई पर दिन {day}'
+            },
+            health: {
+                pregnant: 'गर्भवती',
+                breastfeeding: 'स्तनपान',
+                illness: 'बीमारी',
+                kidneyDisease: 'किडनी रोग'
+            },
+            sweatSodiumSource: {
+                lab: 'लैब पैच टेस्ट',
+                light: 'कम नमकीन पसीने का अनुमान',
+                average: 'औसत पसीने का अनुमान',
+                salty: 'नमकीन पसीने का अनुमान'
+            },
+            electrolytes: {
+                sodium: 'सोडियम',
+                potassium: 'पोटैशियम',
+                magnesium: 'मैग्नीशियम',
+                calcium: 'कैल्शियम'
+            },
+            beverages: {
+                water: 'पानी',
+                coffee: 'कॉफ़ी',
+                tea: 'चाय',
+                milk: 'दूध',
+                'sports-drink': 'स्पोर्ट्स ड्रिंक',
+                juice: 'जूस',
+                beer: 'बीयर',
+                ors: 'ओआरएस घोल'
+            },
+            consistency: {
+                sedentaryExercise: 'आपने "निष्क्रिय" चुना है लेकिन काफ़ी व्यायाम बताया है। ऊँचा गतिविधि स्तर चुनने पर विचार करें।',
+                childHighIntensity: '12 साल से कम उम्र के बच्चों का तेज़ व्यायाम निगरानी में होना चाहिए। बाल रोग विशेषज्ञ से सलाह लें।',
+                restrictionExercise: 'लंबा व्यायाम तरल और सोडियम की हानि बढ़ाता है, जिसका तय तरल सीमा में ध्यान न रखा गया हो। व्यायाम के दिनों के लिए अपने डॉक्टर से पूछें।',
+                multipleConditions: 'कई स्वास्थ्य स्थितियाँ बताई गई हैं। व्यक्तिगत हाइड्रेशन सलाह के लिए कृपया अपने डॉक्टर से संपर्क करें।'
+            },
+            results: {
+                aboutLiters: 'लगभग {amount}',
+                aboutCups: 'लगभग {cups} कप (हर कप {cup})',
+                calculated: 'ज़रूरतों की गणना हो गई!',
+                sodiumStandard: 'व्यायाम वाला हिस्सा पसीने के हर घंटे पर {amount}mg सोडियम के मानक अनुमान पर आधारित है।',
+                sodiumSource: 'इसमें व्यायाम से ~{loss}mg की कमी शामिल है: {concentration}mg/L ({source}), {rate} ({rateSource}) पर।',
+                title: 'आपकी रोज़ की ज़रूरतें',
+                water: 'पानी की मात्रा',
+                perDay: '/दिन',
+                download: 'रिपोर्ट डाउनलोड करें (PDF)'
+            },
+            recommendations: {
+                distribute: 'अपना {water} पूरे दिन में बाँटकर पिएँ। जागते समय हर 1-2 घंटे में {perDrink} पीने का लक्ष्य रखें।',
+                highWater: 'पानी की मात्रा ज़्यादा है। इलेक्ट्रोलाइट संतुलन का ध्यान रखें। तेज़ व्यायाम के दौरान स्पोर्ट्स ड्रिंक या इलेक्ट्रोलाइट सप्लीमेंट लेने पर विचार करें।',
+                fluidRestriction: 'आपके लिए प्रतिदिन {limit} की तरल सीमा तय है, जिसमें हर पेय और सूप जैसा तरल भोजन गिना जाता है। इसे पूरे दिन में बाँटें, और अचानक वज़न बढ़ने, सूजन या साँस फूलने पर अपने डॉक्टर को बताएँ।',
+                sodiumRestriction: 'सोडियम को तय {limit} mg प्रतिदिन से कम रखें। नमक से प्यास लगती है, जिससे तरल सीमा निभाना कठिन हो जाता है।',
+                kidneyCap: 'आपने किडनी रोग बताया है। पानी की मात्रा {cap} तक सीमित की गई है। व्यक्तिगत सलाह के लिए कृपया अपने डॉक्टर से संपर्क करें।',
+                measuredSweatRate: 'व्यायाम के लिए तरल आपकी मापी गई पसीने की दर {sweatRate}/घंटा पर आधारित है। मौसम या ट्रेनिंग बदलने पर पसीना टेस्ट दोबारा करें।',
+                sweatSodium: 'पसीने में {concentration}mg/L सोडियम ({sourceLabel}) और आपकी {rateSource} पसीने की दर {sweatRate}/घंटा का मतलब है व्यायाम के हर घंटे में लगभग {hourlyLoss}mg सोडियम की कमी (हर सत्र में {sessionLoss}mg)।',
+                sodiumReplacement: '60 मिनट से लंबे सत्रों में हर घंटे {min}-{max}mg सोडियम इलेक्ट्रोलाइट ड्रिंक, टैबलेट या नमकीन स्नैक से पूरा करें, और व्यायाम के बाद के खाने में नमक डालें।',
+                longExercise: '60 मिनट से लंबे व्यायाम में प्यास के बजाय तय समय पर पिएँ और सोडियम शामिल करें। अपने वर्कआउट हाइड्रेशन प्लान का पालन करें।',
+                veryHighAltitude: '{altitude}m पर आप बहुत अधिक ऊँचाई पर हैं। प्यास और भूख कम हो जाती है, इसलिए तय समय पर पिएँ और नमकीन खाना खाते रहें। सिरदर्द, मतली, आराम करते समय साँस फूलना या भ्रम ऊँचाई की बीमारी हो सकते हैं: ऊपर जाना रोकें और लक्षण बढ़ें तो नीचे उतरें।',
+                highAltitude: '{altitude}m पर सूखी हवा और तेज़ साँसें तरल की कमी बढ़ाती हैं। 3,000m से ऊपर सोने की ऊँचाई दिन में 300-500m से ज़्यादा न बढ़ाएँ और हर 3-4 दिन में एक दिन आराम करें।',
+                altitude: '{altitude}m पर हवा ज़्यादा सूखी होती है और साँस से ज़्यादा पानी निकलता है। हल्का पीला पेशाब इस बात का अच्छा संकेत है कि आप पर्याप्त पी रहे हैं।',
+                acclimatizing: 'ऊँचाई पर दिन {day}: आपका शरीर अभी ढल रहा है और सामान्य से ज़्यादा पेशाब बनाता है। प्यास न लगे तब भी पीते रहें, शराब से बचें और दिन {untilDay} तक हल्का व्यायाम करें।',
+                heatDanger: '{heatIndex}°C का हीट इंडेक्स: लंबी गतिविधि में लू और हीट स्ट्रोक की संभावना है। सबसे ठंडे समय में व्यायाम करें, छाँव में आराम करें और प्यास लगने से पहले पिएँ।',
+                humidity: 'नमी के कारण {temperature}°C, {heatIndex}°C जैसा महसूस होता है। नम हवा में पसीना ठीक से नहीं सूखता, इसलिए तापमान से ज़्यादा तरल की कमी होती है।',
+                hotClimate: 'गर्म जलवायु। पानी की कमी के लक्षणों पर नज़र रखें: गहरे रंग का पेशाब, चक्कर, थकान। ज़रूरत हो तो ज़्यादा पिएँ।',
+                highSodium: 'व्यायाम/जलवायु के कारण सोडियम की ज़्यादा ज़रूरत। अच्छे स्रोत: स्पोर्ट्स ड्रिंक, नमकीन मेवे, अचार, सूप।',
+                potassiumSources: 'पोटैशियम के स्रोत: केला, शकरकंद, पालक, एवोकाडो, राजमा। लक्ष्य: {target}mg/दिन।',
+                magnesiumSources: 'मैग्नीशियम के स्रोत: बादाम, पालक, काली उड़द, डार्क चॉकलेट, कद्दू के बीज। लक्ष्य: {target}mg/दिन।'
+            },
+            fueling: {
+                beforeWhen: '{hours} घंटे पहले',
+                before: '{volume} पिएँ ({min}-{max}ml/kg)',
+                beforeWithSodium: '{volume} पिएँ ({min}-{max}ml/kg), साथ में नमकीन स्नैक (~{sodium}mg सोडियम)',
+                duringWhen: '{minute} मिनट',
+                during: '{volume} पिएँ',
+                duringWithSodium: '~{sodium}mg सोडियम के साथ {volume} पिएँ',
+                afterWhen: 'बाद में',
+                after: '{min}-{max} घंटों में {volume} पिएँ (नमकीन खाना या इलेक्ट्रोलाइट ड्रिंक)',
+                afterWithSodium: '{min}-{max} घंटों में ~{sodium}mg सोडियम के साथ {volume} पिएँ (नमकीन खाना या इलेक्ट्रोलाइट ड्रिंक)',
+                afterNone: 'सामान्य मात्रा के अलावा और तरल की ज़रूरत नहीं',
+                afterNoneWithSodium: 'सामान्य मात्रा के अलावा और तरल की ज़रूरत नहीं, ~{sodium}mg सोडियम के साथ',
+                summary: '{intensity} तीव्रता पर {duration} मिनट में आप लगभग {sweatLoss} पसीना ({rate}, {rateSource}) और {sodium}mg सोडियम खोते हैं।',
+                bodyMassWarning: 'इस प्लान के बाद भी आपका वज़न लगभग {loss}% कम रहता है; पेट सहन करे तो सत्र के दौरान थोड़ा और पिएँ।',
+                title: 'वर्कआउट हाइड्रेशन प्लान'
+            },
+            sweat: {
+                weightsRequired: 'कृपया व्यायाम से पहले और बाद का वज़न दर्ज करें',
+                durationRange: 'कृपया {min} से {max} मिनट के बीच व्यायाम की अवधि दर्ज करें',
+                fluidTooLarge: 'तरल और पेशाब की मात्रा बहुत ज़्यादा लगती है। हर एक के लिए अधिकतम {max}',
+                implausible: 'इन संख्याओं से पसीने की दर {rate} बनती है, जो संभावित सीमा {min}-{max} से बाहर है। कृपया वज़न और मात्राएँ जाँचें।',
+                saved: 'पसीने की दर {rate} सहेजी गई। ज़रूरतें अपडेट करने के लिए दोबारा गणना करें।',
+                confirmDelete: 'यह पसीना टेस्ट हटाएँ?',
+                deleted: 'पसीना टेस्ट हटाया गया',
+                noTestsSummary: 'अभी कोई टेस्ट नहीं। व्यायाम की ज़रूरत {rate} अनुमानित है, तीव्रता के अनुसार समायोजित।',
+                noTests: 'अभी कोई पसीना टेस्ट दर्ज नहीं है।',
+                summaryOne: 'आपकी पसीने की दर: {rate} (आपके नवीनतम टेस्ट से, {intensity} तीव्रता वाले सत्रों को प्राथमिकता)। यह आपकी गणना में सामान्य अनुमान की जगह लेती है।',
+                summaryMany: 'आपकी पसीने की दर: {rate} (आपके नवीनतम {count} टेस्ट का औसत, {intensity} तीव्रता वाले सत्रों को प्राथमिकता)। यह आपकी गणना में सामान्य अनुमान की जगह लेती है।',
+                testDetails: '{date} · {duration} मिनट, {intensity} तीव्रता, {climate} · शरीर के वज़न में {change}%',
+                deleteTest: 'पसीना टेस्ट हटाएँ',
+                title: 'पसीने की दर का टेस्ट',
+                description: 'लगभग एक घंटे के वर्कआउट से ठीक पहले और बाद में बिना कपड़ों के अपना वज़न लें, पहले तौलिये से सुखा लें, और आपने क्या पिया और कितना पेशाब किया यह लिख लें। आपकी मापी गई पसीने की दर व्यायाम के सामान्य अनुमान की जगह लेती है।',
+                duration: 'अवधि (मिनट)',
+                intensity: 'तीव्रता',
+                conditions: 'परिस्थितियाँ',
+                date: 'तारीख़',
+                save: 'पसीना टेस्ट सहेजें',
+                weightBefore: 'पहले का वज़न',
+                weightAfter: 'बाद का वज़न',
+                fluid: 'पिया गया तरल',
+                urine: 'पेशाब'
+            },
+            tracker: {
+                newDay: 'नया दिन शुरू हो गया है। आज का ट्रैकर तैयार है।',
+                noElectrolytes: 'अभी कोई इलेक्ट्रोलाइट दर्ज नहीं है।',
+                noWorkouts: 'आज कोई व्यायाम दर्ज नहीं है।',
+                workoutEntry: '{minutes} मिनट का व्यायाम',
+                workoutAdded: '{minutes} मिनट का व्यायाम दर्ज किया गया',
+                invalidWorkout: 'कृपया व्यायाम की अवधि 1 से {max} मिनट के बीच दर्ज करें',
+                deleteEntry: 'प्रविष्टि हटाएँ',
+                electrolytesAdded: 'इलेक्ट्रोलाइट जोड़े गए',
+                entryDeleted: 'प्रविष्टि हटाई गई',
+                alertExceeded: '{name} की मात्रा ({total}mg) सुरक्षित सीमा {danger}mg से ऊपर है। आज और {name} न लें।',
+                alertNear: '{name} की मात्रा ({total}mg) सुरक्षित सीमा {danger}mg के क़रीब है।',
+                confirmReset: 'क्या आप वाकई आज की ट्रैकिंग रीसेट करना चाहते हैं?',
+                resetDone: 'ट्रैकिंग रीसेट की गई',
+                quickAdd: '{beverage} का {size} ({amount})',
+                invalidAmount: 'कृपया मान्य मात्रा दर्ज करें',
+                amountTooLarge: 'मात्रा बहुत ज़्यादा लगती है। हर प्रविष्टि में अधिकतम {max}',
+                electrolyteInvalid: 'कृपया {name} की मान्य मात्रा दर्ज करें',
+                electrolyteRequired: 'कृपया कम से कम एक इलेक्ट्रोलाइट की मात्रा दर्ज करें',
+                electrolyteTooLarge: 'मात्रा बहुत ज़्यादा लगती है। हर प्रविष्टि में अधिकतम {max}mg {name}',
+                added: '{amount} {beverage} जोड़ा गया',
+                goalReached: 'बधाई हो! आपने आज का पानी का लक्ष्य पूरा कर लिया!',
+                effectiveFrom: '{volume} पेय से प्रभावी हाइड्रेशन',
+                countsAs: '{amount} के बराबर',
+                noWater: 'अभी कोई पानी दर्ज नहीं है। अपनी पहली प्रविष्टि जोड़ें!',
+                electrolyteProgress: '{total} / {goal} mg',
+                sizes: {
+                    glass: 'गिलास',
+                    bottle: 'बोतल',
+                    largeBottle: 'बड़ी बोतल'
+                },
+                title: 'आज की ट्रैकिंग',
+                progress: 'हाइड्रेशन प्रगति',
+                electrolyteProgressTitle: 'इलेक्ट्रोलाइट प्रगति',
+                addDrink: 'पेय जोड़ें',
+                add: 'जोड़ें',
+                addElectrolytes: 'इलेक्ट्रोलाइट जोड़ें',
+                sodiumMg: 'सोडियम (mg)',
+                potassiumMg: 'पोटैशियम (mg)',
+                magnesiumMg: 'मैग्नीशियम (mg)',
+                calciumMg: 'कैल्शियम (mg)',
+                addElectrolytesButton: 'इलेक्ट्रोलाइट जोड़ें',
+                log: 'आज का लॉग',
+                electrolyteLog: 'इलेक्ट्रोलाइट लॉग',
+                logWorkout: 'व्यायाम दर्ज करें',
+                workoutLength: 'व्यायाम की अवधि',
+                minutesUnit: 'मिनट',
+                workoutStart: 'शुरू होने का समय, अभी खत्म किया हो तो खाली छोड़ें',
+                workoutLog: 'व्यायाम लॉग',
+                reset: 'आज की ट्रैकिंग रीसेट करें',
+                progressLabels: {
+                    sodium: 'सोडियम की प्रगति',
+                    potassium: 'पोटैशियम की प्रगति',
+                    magnesium: 'मैग्नीशियम की प्रगति',
+                    calcium: 'कैल्शियम की प्रगति'
+                },
+                beverage: 'पेय',
+                chart: {
+                    title: 'दिन भर की मात्रा',
+                    label: 'आज की कुल मात्रा, समान रफ़्तार और लक्ष्य के मुक़ाबले',
+                    intake: 'आपकी मात्रा',
+                    pace: 'समान रफ़्तार',
+                    goal: 'लक्ष्य',
+                    entry: '{time}: {entry}, अब तक {total}',
+                    summary: 'दर्ज पेय: {count}। {goal} में से {total}। विवरण के लिए किसी बिंदु पर कर्सर ले जाएँ या फ़ोकस करें।'
+                },
+                pace: {
+                    notStarted: 'आपका दिन {wake} बजे शुरू होता है। उठने के बाद से रफ़्तार देखी जाएगी।',
+                    onTrack: 'सही रफ़्तार: अब तक लगभग {expected} अपेक्षित है।',
+                    ahead: 'आप रफ़्तार से {difference} आगे हैं (अब तक {expected} अपेक्षित)।',
+                    behind: 'आप रफ़्तार से {difference} पीछे हैं (अब तक {expected} अपेक्षित)।',
+                    done: 'लक्ष्य पूरा हुआ। बाकी दिन रफ़्तार बनाए रखने की ज़रूरत नहीं है।',
+                    window: 'रफ़्तार आपके जागने के समय ({wake}-{sleep}) पर आधारित है, जिसे "रिमाइंडर और समय-सारणी" में बदला जा सकता है।',
+                    catchUp: 'बराबरी के लिए एक साथ बहुत पीने के बजाय अगले {hours} घंटों तक हर {interval} मिनट में लगभग {perDrink} पिएँ।',
+                    partial: 'बाकी इंतज़ार कर सकता है: {max} से ज़्यादा पीना शरीर पर भारी पड़ता है।',
+                    tooLate: 'आपका जागने का समय लगभग ख़त्म हो चुका है, इसलिए अब कमी पूरी करने की कोशिश न करें। कल नई शुरुआत करें।',
+                    atLimit: 'गति बनाए रखने के लिए ही लगभग {rate} चाहिए, जो सुरक्षित सीमा के बराबर या उससे अधिक है, इसलिए आज अंतर पूरा करने की कोशिश न करें।'
+                }
+            },
+            entries: {
+                edit: 'प्रविष्टि बदलें',
+                amount: 'मात्रा',
+                time: 'समय',
+                timeOptional: 'समय, अभी के लिए खाली छोड़ें',
+                addToDay: 'इस दिन में पेय जोड़ें',
+                added: '{time} पर {amount} जोड़ा गया',
+                updated: 'प्रविष्टि बदली गई',
+                undo: 'पहले जैसा करें',
+                undone: 'बदलाव वापस लिया गया',
+                timeRequired: 'कृपया समय दर्ज करें',
+                futureTime: 'वह समय अभी आया नहीं है'
+            },
+            containers: {
+                title: 'आपके बर्तन',
+                manage: 'बर्तन बदलें',
+                addTitle: 'बर्तन जोड़ें',
+                namePlaceholder: 'नाम, जैसे ऑफ़िस का मग',
+                volume: 'मात्रा',
+                icon: 'आइकन',
+                noIcon: 'कोई आइकन नहीं',
+                anyBeverage: 'चुना गया पेय',
+                add: 'बर्तन जोड़ें',
+                quickAdd: '{name} ({amount})',
+                quickAddWithBeverage: '{name}: {beverage} ({amount})',
+                moveUp: '{name} को ऊपर ले जाएँ',
+                moveDown: '{name} को नीचे ले जाएँ',
+                delete: '{name} हटाएँ',
+                none: 'अभी कोई बर्तन नहीं है। बर्तन बदलें में जाकर एक जोड़ें।',
+                added: '{name} जोड़ा गया',
+                deleted: '{name} हटाया गया',
+                nameInvalid: 'कृपया {max} अक्षरों तक का नाम लिखें',
+                tooMany: 'आप अधिकतम {max} बर्तन रख सकते हैं',
+                icons: {
+                    glass: 'गिलास',
+                    mug: 'मग',
+                    teacup: 'चाय का कप',
+                    cup: 'स्ट्रॉ वाला कप',
+                    bottle: 'बोतल',
+                    carton: 'डिब्बा',
+                    can: 'कैन'
+                }
+            },
+            safety: {
+                rateCaution: 'पिछले एक घंटे में आपने {amount} पिया है, जो आपके गुर्दों की {limit} की क्षमता के करीब है। कुछ देर धीरे पिएँ।',
+                rateWarning: 'पिछले एक घंटे में {amount} आपके गुर्दों की {limit} की क्षमता से अधिक है। अभी पीना रोकें: इतनी तेज़ी से पीने से रक्त में सोडियम घट सकता है।',
+                rateDanger: 'पिछले एक घंटे में {amount} सुरक्षित {limit} से बहुत अधिक है। अभी पीना बंद करें। सिरदर्द, मतली, उल्टी या भ्रम हाइपोनेट्रेमिया का संकेत हो सकते हैं: चिकित्सा सहायता लें।',
+                sodiumFreeWater: '{minutes} मिनट के व्यायाम के दौरान {amount}, पर केवल {sodium} mg सोडियम। इलेक्ट्रोलाइट पेय या नमकीन नाश्ता लें ताकि रक्त में सोडियम कम न हो।',
+                recorded: 'आज दर्ज चेतावनियाँ: {count}'
+            },
+            restriction: {
+                progressLabel: 'तरल सीमा का उपयोग',
+                remaining: 'आज की तरल सीमा में {amount} बाकी है',
+                reached: 'आज की तरल सीमा पूरी हो गई है',
+                exceeded: 'आज की तरल सीमा से {amount} अधिक',
+                confirmExceed: 'इस पेय से आप अपनी {limit} प्रतिदिन की तय सीमा से {amount} आगे हो जाएँगे। फिर भी दर्ज करें?',
+                nearToast: 'आज की तरल सीमा में केवल {amount} बाकी है। छोटे घूँट लें और इसे बाँटकर पिएँ।',
+                reachedToast: 'आप आज की {limit} की तरल सीमा तक पहुँच गए हैं।',
+                exceededToast: 'आज आप {limit} की तरल सीमा से {amount} आगे हैं। ऐसा बार-बार हो तो अपने डॉक्टर को बताएँ।',
+                sodiumExceeded: 'आज का सोडियम ({total} mg) आपकी तय सीमा {limit} mg से अधिक है।'
+            },
+            history: {
+                percentOfGoal: 'लक्ष्य का {percentage}%',
+                daysOnGoal: '{logged} दर्ज दिनों में से {met} दिन लक्ष्य पूरा',
+                showDay: '{date} की प्रविष्टियाँ दिखाएँ',
+                daySummary: '{entries} प्रविष्टियों में {goal} में से {total} ({percentage}%)',
+                noEntries: 'इस दिन कोई प्रविष्टि दर्ज नहीं है।',
+                title: 'इतिहास',
+                last7: 'पिछले 7 दिन',
+                last30: 'पिछले 30 दिन',
+                dailyTotals: 'रोज़ का कुल',
+                close: 'बंद करें',
+                reports: 'रिपोर्ट और निर्यात',
+                from: 'से',
+                to: 'तक',
+                downloadReport: 'PDF रिपोर्ट डाउनलोड करें',
+                exportEntries: 'प्रविष्टियाँ निर्यात करें (CSV)',
+                exportDaily: 'दैनिक कुल निर्यात करें (CSV)',
+                csvDownloaded: 'CSV फ़ाइल डाउनलोड हो गई',
+                csvFailed: 'CSV निर्यात नहीं हो सका। कृपया फिर से कोशिश करें।',
+                invalidRange: 'कृपया ऐसी शुरुआती तारीख चुनें जो अंतिम तारीख से पहले या उसी दिन हो',
+                rangeTooLong: 'एक रिपोर्ट में अधिकतम {days} दिन हो सकते हैं',
+                noDaysInRange: 'इस अवधि में कोई दिन दर्ज नहीं है'
+            },
+            reminders: {
+                sameTimes: 'कृपया जागने और सोने का अलग-अलग समय दर्ज करें',
+                unsupported: 'यह ब्राउज़र सूचनाएँ सपोर्ट नहीं करता',
+                blocked: 'सूचनाएँ ब्लॉक हैं। रिमाइंडर पाने के लिए ब्राउज़र सेटिंग्स में इन्हें अनुमति दें।',
+                blockedStatus: 'इस साइट के लिए सूचनाएँ ब्लॉक हैं। रिमाइंडर इस्तेमाल करने के लिए ब्राउज़र सेटिंग्स में इन्हें अनुमति दें।',
+                quietNote: 'जागने के समय के बाहर या आज का लक्ष्य पूरा होने के बाद कोई रिमाइंडर नहीं।',
+                drinkNow: 'पानी पीने का समय। आज {remaining} बाकी है (आपके लक्ष्य का {percentage}%)।',
+                behindPace: 'आप लगभग {behind} पीछे हैं। अभी एक गिलास पीकर फिर से लय में आ जाएँ।',
+                drinkWithinLimit: 'थोड़ा पीने का समय। आज की तरल सीमा में {remaining} बाकी है ({percentage}% उपयोग)।',
+                restrictedPace: 'तरल सीमा तय होने पर लय वाले रिमाइंडर बंद रहते हैं।',
+                title: 'हाइड्रेशन रिमाइंडर',
+                turnedOn: 'पानी के रिमाइंडर चालू किए गए',
+                turnedOff: 'पानी के रिमाइंडर बंद किए गए',
+                mode: {
+                    interval: 'जब आप {interval} मिनट तक कोई पेय दर्ज नहीं करते तब याद दिलाता है।',
+                    waking: '{wake} और {sleep} के बीच {count} रिमाइंडर बराबर बाँटता है।',
+                    pace: 'सिर्फ़ तब याद दिलाता है जब आप {sleep} तक लक्ष्य पूरा करने की ज़रूरी रफ़्तार से पीछे हों।'
+                },
+                sectionTitle: 'रिमाइंडर और समय-सारणी',
+                enable: 'पानी पीने के रिमाइंडर भेजें',
+                modeLabel: 'मुझे याद दिलाएँ',
+                modes: {
+                    interval: 'तय अंतराल पर',
+                    waking: 'जागने के समय में बाँटकर',
+                    pace: 'सिर्फ़ जब मैं पीछे हूँ'
+                },
+                every: 'हर',
+                intervals: {
+                    '30': '30 मिनट',
+                    '45': '45 मिनट',
+                    '60': '1 घंटा',
+                    '90': '1.5 घंटे',
+                    '120': '2 घंटे'
+                },
+                perDay: 'रोज़ के रिमाइंडर',
+                wake: 'जागने का समय',
+                sleep: 'सोने का समय'
+            },
+            backup: {
+                confirmReplace: 'इस डिवाइस की सभी प्रोफ़ाइल और इतिहास को बैकअप से बदलें? यह कार्रवाई वापस नहीं ली जा सकती।',
+                confirmDiscard: 'अलग रखा गया डेटा स्थायी रूप से हटाएँ?',
+                discarded: 'अलग रखा गया डेटा हटाया गया',
+                quarantineSummary: 'खराब डेटा की {count} कॉपी अलग रखी गई। नवीनतम {date} की: {reason}।',
+                downloaded: 'बैकअप डाउनलोड हो गया!',
+                exportFailed: 'बैकअप एक्सपोर्ट नहीं हो सका। कृपया फिर से कोशिश करें।',
+                notJson: 'यह फ़ाइल मान्य JSON नहीं है',
+                invalid: 'अमान्य बैकअप फ़ाइल: {reason}',
+                readFailed: 'बैकअप फ़ाइल पढ़ी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+                empty: 'फ़ाइल खाली है',
+                wrongApp: 'यह Hydration+ का बैकअप नहीं है',
+                newerVersion: 'बैकअप ऐप के नए संस्करण से बनाया गया है',
+                unknownDate: 'अज्ञात तारीख़',
+                previewSummary: '{date} का बैकअप: {profiles} प्रोफ़ाइल, {days} दिन, {entries} प्रविष्टियाँ।',
+                matchesProfile: 'मौजूदा प्रोफ़ाइल से मेल खाती है',
+                newProfile: 'नई प्रोफ़ाइल',
+                mergeLabel: 'मिलाएँ:',
+                mergePreview: '{newProfiles} प्रोफ़ाइल, {newDays} दिन और {addedEntries} प्रविष्टियाँ जोड़ता है; {skippedEntries} दोहराई गई प्रविष्टियाँ छोड़ता है। मौजूदा सेटिंग्स बनी रहती हैं।',
+                replaceLabel: 'बदलें:',
+                replacePreview: 'इस डिवाइस से {profiles} प्रोफ़ाइल और {days} दिन हटाता है और बैकअप को हूबहू बहाल करता है।',
+                restored: 'बैकअप बहाल हो गया!',
+                merged: 'बैकअप मिलाया गया: {addedEntries} प्रविष्टियाँ जोड़ी गईं, {skippedEntries} दोहराई गई छोड़ी गईं',
+                saveFailed: 'इंपोर्ट किया गया डेटा सहेजा नहीं जा सका',
+                title: 'आपका डेटा',
+                description: 'आपका डेटा सिर्फ़ इसी ब्राउज़र में सहेजा जाता है। इसे सुरक्षित रखने या दूसरे डिवाइस पर ले जाने के लिए बैकअप डाउनलोड करें।',
+                import: 'बैकअप इंपोर्ट करें',
+                quarantineTitle: 'अलग रखा गया खराब डेटा',
+                quarantineDownload: 'अलग रखा गया डेटा डाउनलोड करें',
+                discard: 'हटाएँ',
+                previewTitle: 'इंपोर्ट का पूर्वावलोकन',
+                merge: 'मिलाएँ',
+                replace: 'बदलें',
+                export: 'बैकअप एक्सपोर्ट करें (JSON)',
+                quarantineRegion: 'अलग रखा गया डेटा',
+                previewRegion: 'इंपोर्ट का पूर्वावलोकन'
+            },
+            report: {
+                libraryMissing: 'PDF लाइब्रेरी लोड नहीं हुई। कृपया पेज रीफ़्रेश करें।',
+                calculateFirst: 'कृपया पहले अपनी ज़रूरतों की गणना करें',
+                englishOnly: 'इस भाषा में PDF रिपोर्ट अभी उपलब्ध नहीं है, इसलिए यह रिपोर्ट अंग्रेज़ी में है।',
+                generating: 'PDF रिपोर्ट बन रही है...',
+                downloaded: 'रिपोर्ट डाउनलोड हो गई!',
+                failed: 'रिपोर्ट नहीं बन सकी। कृपया फिर से कोशिश करें।'
+            },
+            disclaimer: {
+                text: 'यह टूल सिर्फ़ हाइड्रेशन की सामान्य जानकारी देता है। व्यक्तिगत चिकित्सा सलाह के लिए हमेशा डॉक्टर से संपर्क करें, ख़ासकर अगर आपको किडनी रोग, दिल की बीमारी या कोई अन्य स्वास्थ्य समस्या है।',
+                title: 'चिकित्सा अस्वीकरण:'
+            }
+        }
+    };
+})();
@@ -0,0 +1,103 @@
+// service worker: keeps the app usable offline, shows drink reminders and
+// brings the app back on click
+'use strict';
+
+// bump the version whenever the shell below changes
+const CACHE_NAME = 'hydration-plus-v2';
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './styles.css',
+    './app.js',
+    './engine/hydration-engine.js',
+    './locales/en.js',
+    './locales/es.js',
+    './locales/hi.js',
+    './vendor/jspdf/jspdf.umd.min.js',
+    './manifest.webmanifest',
+    './assets/svgs/activity.svg',
+    './assets/svgs/age.svg',
+    './assets/svgs/altitude.svg',
+    './assets/svgs/app-icon.svg',
+    './assets/svgs/check.svg',
+    './assets/svgs/download.svg',
+    './assets/svgs/excercise-intensity.svg',
+    './assets/svgs/exercise-duration.svg',
+    './assets/svgs/gender.svg',
+    './assets/svgs/info.svg',
+    './assets/svgs/temperature.svg',
+    './assets/svgs/user.svg',
+    './assets/svgs/warning.svg',
+    './assets/svgs/water-drop.svg'
+];
+
+// cache the app shell
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// drop caches from older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// serve from the cache first and refresh it in the background
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.match(request, { ignoreSearch: true }).then(cached => {
+                const network = fetch(request)
+                    .then(response => {
+                        if (response.ok) {
+                            cache.put(request, response.clone());
+                        }
+                        return response;
+                    })
+                    .catch(() => {
+                        // offline page loads get the cached shell
+                        if (request.mode === 'navigate') {
+                            return cache.match('./index.html');
+                        }
+                        return Response.error();
+                    });
+
+                if (cached) {
+                    event.waitUntil(network);
+                    return cached;
+                }
+                return network;
+            })
+        )
+    );
+});
+
+// focus an open tab, or open the app, when a reminder is clicked
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clientList => {
+            const client = clientList.find(item => 'focus' in item);
+            if (client) {
+                return client.focus();
+            }
+            return self.clients.openWindow('./');
+        })
+    );
+});